@@ -219,7 +219,8 @@ install_stubs() {
 
     # Handle @ant namespace
     if [[ -d "$app_nm/@ant/claude-swift/js" ]]; then
-        cp "$SCRIPT_DIR/stubs/@ant/claude-swift/js/index.js" "$app_nm/@ant/claude-swift/js/index.js"
+        # index.js plus its helper modules (claude-binary.js, ...)
+        cp "$SCRIPT_DIR/stubs/@ant/claude-swift/js/"*.js "$app_nm/@ant/claude-swift/js/"
         log_success "Replaced @ant/claude-swift with stub"
     fi
     if [[ -d "$app_nm/@ant/claude-native" ]]; then
@@ -229,7 +230,7 @@ install_stubs() {
 
     # Handle @anthropic-ai namespace (older versions)
     if [[ -d "$app_nm/@anthropic-ai/claude-swift/js" ]]; then
-        cp "$SCRIPT_DIR/stubs/@ant/claude-swift/js/index.js" "$app_nm/@anthropic-ai/claude-swift/js/index.js"
+        cp "$SCRIPT_DIR/stubs/@ant/claude-swift/js/"*.js "$app_nm/@anthropic-ai/claude-swift/js/"
         log_success "Replaced @anthropic-ai/claude-swift with stub"
     fi
     if [[ -d "$app_nm/@anthropic-ai/claude-native" ]]; then
@@ -266,8 +267,17 @@ apply_patches() {
 install_loader() {
     log_info "Installing loader and frame-fix..."
 
-    # Copy linux-loader.js from repo
+    # Copy linux-loader.js and its support modules from repo
     cp "$SCRIPT_DIR/linux-loader.js" "$RESOURCES_DIR/linux-loader.js"
+    rm -rf "$RESOURCES_DIR/lib" "$RESOURCES_DIR/tools" "$RESOURCES_DIR/test"
+    cp -r "$SCRIPT_DIR/lib" "$RESOURCES_DIR/lib"
+    cp -r "$SCRIPT_DIR/tools" "$RESOURCES_DIR/tools"
+
+    # eipc-replay runs the loader and stubs in the test harness
+    mkdir -p "$RESOURCES_DIR/test" "$RESOURCES_DIR/stubs"
+    cp -r "$SCRIPT_DIR/test/harness" "$RESOURCES_DIR/test/harness"
+    rm -rf "$RESOURCES_DIR/stubs/frame-fix"
+    cp -r "$SCRIPT_DIR/stubs/frame-fix" "$RESOURCES_DIR/stubs/frame-fix"
 
     # Copy frame-fix files into app directory
     cp "$SCRIPT_DIR/stubs/frame-fix/frame-fix-entry.js" "$RESOURCES_DIR/app/frame-fix-entry.js"
@@ -310,11 +320,19 @@ create_launcher() {
 
 RESOURCES_DIR="$HOME/.local/share/claude-cowork/app/Contents/Resources"
 
+# Maintenance tools: claude-cowork <tool> [args...] runs tools/<tool>.js
+if [[ -n "${1:-}" ]] && [[ -f "$RESOURCES_DIR/tools/$1.js" ]]; then
+    TOOL="$RESOURCES_DIR/tools/$1.js"
+    shift
+    exec nix-shell -p nodejs --run "node $(printf '%q ' "$TOOL" "$@")"
+fi
+
 # Parse arguments
 ELECTRON_ARGS=()
 for arg in "$@"; do
     case "$arg" in
         --debug) export CLAUDE_TRACE=1 ;;
+        --record-eipc) export CLAUDE_EIPC_RECORD=1 ;;
         --devtools) ELECTRON_ARGS+=("--inspect") ;;
         *) ELECTRON_ARGS+=("$arg") ;;
     esac
@@ -473,6 +491,7 @@ main() {
     echo "Options:"
     echo "  claude-cowork --debug      Enable trace logging"
     echo "  claude-cowork --devtools   Enable Chrome DevTools"
+    echo "  claude-cowork --record-eipc  Record eipc traffic to the logs dir"
     echo ""
     echo "Logs: ~/.local/share/claude-cowork/logs/startup.log"
     echo ""
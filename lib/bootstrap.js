@@ -0,0 +1,164 @@
+/**
+ * bootstrap.js - Process patches shared by linux-loader.js and frame-fix-wrapper.js
+ *
+ * Both entry points call bootstrap() before anything else. Each patch is
+ * applied at most once per process, whichever entry point gets there first:
+ *
+ *   tmpdir             TMPDIR/TMP/TEMP + os.tmpdir() -> vm_bundles/tmp
+ *   vm-bundle-markers  placeholder claudevm.bundle so the app skips the download
+ *   vm-bundle-watch    log app reads of bundle files (lib/vm-bundle.js); opt-in
+ *   exdev-rename       fs renames fall back to a cross-device move on EXDEV
+ *   platform-spoof     lib/platform-spoof.js with the lib/spoof-profile.js profile
+ *
+ * Patches with scope 'process' change in-memory state and run in every
+ * process. Patches with scope 'session' touch the disk; the first process
+ * records its pid in CLAUDE_COWORK_BOOTSTRAP and child processes that
+ * inherit it (while that pid is alive) mark them 'inherited' instead.
+ *
+ * getRegistry() lists every patch with its status; the loader writes it to
+ * logs/bootstrap-report.json once the app is ready.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crossDeviceMove = require('./cross-device-move');
+const platformSpoof = require('./platform-spoof');
+const { loadSpoofProfile, describeProfile } = require('./spoof-profile');
+const vmBundle = require('./vm-bundle');
+const { VM_TMP_DIR } = vmBundle;
+
+const SESSION_ENV = 'CLAUDE_COWORK_BOOTSTRAP';
+// Shared through globalThis in case the module is loaded from two paths
+const STATE_KEY = Symbol.for('claude-cowork.bootstrap');
+
+// ============================================================
+// Patches
+// ============================================================
+
+// Fix EXDEV error: App downloads VM to /tmp (tmpfs) then tries to
+// rename() to ~/.config/Claude/ (disk). rename() can't cross filesystems.
+function applyTmpdir() {
+  fs.mkdirSync(VM_TMP_DIR, { recursive: true, mode: 0o700 });
+  process.env.TMPDIR = VM_TMP_DIR;
+  process.env.TMP = VM_TMP_DIR;
+  process.env.TEMP = VM_TMP_DIR;
+  os.tmpdir = function() { return VM_TMP_DIR; };
+  console.log('[TMPDIR] Fixed: ' + VM_TMP_DIR);
+  return VM_TMP_DIR;
+}
+
+// Pre-create VM bundle to skip download (we run native, no VM needed);
+// lib/vm-bundle.js records the marker set it wrote
+function applyVmBundleMarkers() {
+  const manifest = vmBundle.ensureBundle();
+  return `${manifest.markerSet} in ${manifest.bundleDir}`;
+}
+
+// Log reads of bundle files - the app checking the bundle for real
+function applyVmBundleWatch() {
+  vmBundle.watchReads();
+}
+
+// fs.rename/renameSync/promises.rename move files and trees across
+// filesystems on EXDEV (see lib/cross-device-move.js)
+function applyExdevRename() {
+  crossDeviceMove.install();
+}
+
+// Spoof for app code only - Electron and Node internals need real platform.
+// Versions come from the installed app and running Electron.
+function applyPlatformSpoof({ appDir }) {
+  const profile = loadSpoofProfile({ appDir });
+  platformSpoof.install(profile);
+  console.log(`[Platform] Spoofing: ${describeProfile(profile)}`);
+  return describeProfile(profile);
+}
+
+const PATCHES = [
+  { name: 'tmpdir', scope: 'process', apply: applyTmpdir },
+  { name: 'vm-bundle-markers', scope: 'session', apply: applyVmBundleMarkers },
+  // Opt-in: it wraps fs for the whole process
+  {
+    name: 'vm-bundle-watch', scope: 'process', apply: applyVmBundleWatch,
+    enabled: () => vmBundle.WATCH_ENABLED, disabledDetail: 'set CLAUDE_VM_BUNDLE_WATCH=1 to enable',
+  },
+  { name: 'exdev-rename', scope: 'process', apply: applyExdevRename },
+  { name: 'platform-spoof', scope: 'process', apply: applyPlatformSpoof },
+];
+
+// ============================================================
+// Registry
+// ============================================================
+
+function getState() {
+  if (!globalThis[STATE_KEY]) {
+    globalThis[STATE_KEY] = { patches: new Map(), entries: [], sessionOwner: null };
+  }
+  return globalThis[STATE_KEY];
+}
+
+// Pid of a live ancestor that already ran the session patches, or null
+function inheritedSessionOwner() {
+  const pid = parseInt(process.env[SESSION_ENV], 10);
+  if (!pid || pid === process.pid) return null;
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (e) {
+    return e.code === 'EPERM' ? pid : null;
+  }
+}
+
+function bootstrap({ entry = 'unknown', appDir = null } = {}) {
+  const state = getState();
+  state.entries.push(entry);
+  if (state.sessionOwner === null) state.sessionOwner = inheritedSessionOwner() || process.pid;
+
+  const applied = [];
+  for (const patch of PATCHES) {
+    if (state.patches.has(patch.name)) continue;
+    const record = { name: patch.name, scope: patch.scope, status: null, entry, pid: process.pid, at: new Date().toISOString() };
+
+    if (patch.scope === 'session' && state.sessionOwner !== process.pid) {
+      record.status = 'inherited';
+      record.detail = `pid ${state.sessionOwner}`;
+    } else if (patch.enabled && !patch.enabled()) {
+      record.status = 'skipped';
+      record.detail = patch.disabledDetail || null;
+    } else {
+      try {
+        record.detail = patch.apply({ appDir }) || null;
+        record.status = 'applied';
+        applied.push(patch.name);
+      } catch (e) {
+        record.status = 'failed';
+        record.error = e.message;
+        console.error(`[Bootstrap] ${patch.name} failed:`, e.message);
+      }
+    }
+    state.patches.set(patch.name, record);
+  }
+
+  if (state.sessionOwner === process.pid) process.env[SESSION_ENV] = String(process.pid);
+  console.log(`[Bootstrap] ${entry}: ` + (applied.length ? `applied ${applied.join(', ')}` : 'all patches already active'));
+  return state;
+}
+
+// [{ name, scope, status: 'applied'|'inherited'|'skipped'|'failed', entry, pid, at, detail, error }]
+function getRegistry() {
+  return [...getState().patches.values()].map(record => ({ ...record }));
+}
+
+function isActive(name) {
+  const record = getState().patches.get(name);
+  return !!record && !['failed', 'skipped'].includes(record.status);
+}
+
+module.exports = {
+  bootstrap,
+  getRegistry,
+  isActive,
+  PATCHES,
+  SESSION_ENV,
+};
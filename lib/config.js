@@ -0,0 +1,41 @@
+/**
+ * config.js - Shared paths and user config loading for the loader side
+ *
+ * User-editable settings live in ~/.config/claude-cowork/ (override with
+ * CLAUDE_COWORK_CONFIG_DIR). Runtime data and logs live in
+ * ~/.local/share/claude-cowork/, same as the stubs use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = process.env.CLAUDE_COWORK_CONFIG_DIR ||
+  path.join(os.homedir(), '.config/claude-cowork');
+const DATA_DIR = path.join(os.homedir(), '.local/share/claude-cowork');
+const LOG_DIR = path.join(DATA_DIR, 'logs');
+
+// Read a JSON file from CONFIG_DIR. Missing file -> fallback.
+// A file that exists but fails to parse is reported, not silently ignored.
+function readJsonConfig(name, fallback = null) {
+  const file = path.join(CONFIG_DIR, name);
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error(`[Config] Ignoring ${file}: ${e.message}`);
+    return fallback;
+  }
+}
+
+module.exports = {
+  CONFIG_DIR,
+  DATA_DIR,
+  LOG_DIR,
+  readJsonConfig,
+};
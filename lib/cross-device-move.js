@@ -0,0 +1,180 @@
+/**
+ * cross-device-move.js - rename() that also works across filesystems
+ *
+ * rename() fails with EXDEV when source and destination are on different
+ * filesystems (e.g. /tmp on tmpfs -> ~/.config on disk). install() patches
+ * fs.rename, fs.renameSync and fs.promises.rename to fall back to a move:
+ *
+ *   1. copy the file or whole tree to a temp name next to the destination,
+ *      keeping permissions, atime/mtime and symlinks (links are recreated,
+ *      not followed)
+ *   2. rename the temp name onto the destination - same filesystem, so
+ *      this is atomic and has rename()'s usual overwrite rules
+ *   3. remove the source
+ *
+ * If 1 or 2 fails the temp copy is removed and the source is untouched.
+ * The caller only hears about success once the source is gone, and an
+ * error removing it is reported like any other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const original = {
+  rename: fs.rename,
+  renameSync: fs.renameSync,
+  promisesRename: fs.promises.rename,
+};
+
+let installed = false;
+
+// fs accepts strings, Buffers and file: URLs
+function toPath(p) {
+  if (p instanceof URL) return fileURLToPath(p);
+  if (Buffer.isBuffer(p)) return p.toString();
+  return String(p);
+}
+
+function tempNameFor(dest) {
+  const suffix = `${process.pid}-${Math.random().toString(36).slice(2, 10)}`;
+  return path.join(path.dirname(dest), `.${path.basename(dest)}.cowork-move-${suffix}`);
+}
+
+function unsupported(src, stat) {
+  const err = new Error(`EXDEV: cannot move special file across devices, rename '${src}'`);
+  err.code = 'EXDEV';
+  err.mode = stat.mode;
+  return err;
+}
+
+// ============================================================
+// Sync
+// ============================================================
+
+function copyTreeSync(src, dest) {
+  const stat = fs.lstatSync(src);
+  if (stat.isSymbolicLink()) {
+    fs.symlinkSync(fs.readlinkSync(src), dest);
+    try { fs.lutimesSync(dest, stat.atime, stat.mtime); } catch (e) {}
+    return;
+  }
+  if (stat.isDirectory()) {
+    fs.mkdirSync(dest, { mode: 0o700 });
+    for (const name of fs.readdirSync(src)) {
+      copyTreeSync(path.join(src, name), path.join(dest, name));
+    }
+  } else if (stat.isFile()) {
+    fs.copyFileSync(src, dest);
+  } else {
+    throw unsupported(src, stat);
+  }
+  // After the children, which would otherwise bump the directory mtime
+  fs.chmodSync(dest, stat.mode & 0o7777);
+  fs.utimesSync(dest, stat.atime, stat.mtime);
+}
+
+function moveSync(src, dest) {
+  src = toPath(src);
+  dest = toPath(dest);
+  const temp = tempNameFor(dest);
+  try {
+    copyTreeSync(src, temp);
+    original.renameSync(temp, dest);
+  } catch (err) {
+    fs.rmSync(temp, { recursive: true, force: true });
+    throw err;
+  }
+  fs.rmSync(src, { recursive: true });
+}
+
+// ============================================================
+// Async
+// ============================================================
+
+async function copyTree(src, dest) {
+  const fsp = fs.promises;
+  const stat = await fsp.lstat(src);
+  if (stat.isSymbolicLink()) {
+    await fsp.symlink(await fsp.readlink(src), dest);
+    try { await fsp.lutimes(dest, stat.atime, stat.mtime); } catch (e) {}
+    return;
+  }
+  if (stat.isDirectory()) {
+    await fsp.mkdir(dest, { mode: 0o700 });
+    for (const name of await fsp.readdir(src)) {
+      await copyTree(path.join(src, name), path.join(dest, name));
+    }
+  } else if (stat.isFile()) {
+    await fsp.copyFile(src, dest);
+  } else {
+    throw unsupported(src, stat);
+  }
+  await fsp.chmod(dest, stat.mode & 0o7777);
+  await fsp.utimes(dest, stat.atime, stat.mtime);
+}
+
+async function move(src, dest) {
+  src = toPath(src);
+  dest = toPath(dest);
+  const temp = tempNameFor(dest);
+  try {
+    await copyTree(src, temp);
+    await original.promisesRename(temp, dest);
+  } catch (err) {
+    await fs.promises.rm(temp, { recursive: true, force: true });
+    throw err;
+  }
+  await fs.promises.rm(src, { recursive: true });
+}
+
+// ============================================================
+// fs patch
+// ============================================================
+
+function install() {
+  if (installed) return;
+  installed = true;
+
+  fs.rename = function(oldPath, newPath, callback) {
+    // Let fs report a missing callback the usual way
+    if (typeof callback !== 'function') return original.rename(oldPath, newPath, callback);
+    original.rename(oldPath, newPath, (err) => {
+      if (err && err.code === 'EXDEV') {
+        // Called outside the promise chain, so a throwing callback is an
+        // uncaught exception as with fs, not a rejection or a second call
+        move(oldPath, newPath).then(
+          () => process.nextTick(callback, null),
+          (moveErr) => process.nextTick(callback, moveErr),
+        );
+      } else {
+        callback(err);
+      }
+    });
+  };
+
+  fs.renameSync = function(oldPath, newPath) {
+    try {
+      return original.renameSync(oldPath, newPath);
+    } catch (err) {
+      if (err.code === 'EXDEV') return moveSync(oldPath, newPath);
+      throw err;
+    }
+  };
+
+  // Same object as require('fs/promises')
+  fs.promises.rename = async function(oldPath, newPath) {
+    try {
+      return await original.promisesRename(oldPath, newPath);
+    } catch (err) {
+      if (err.code === 'EXDEV') return move(oldPath, newPath);
+      throw err;
+    }
+  };
+}
+
+module.exports = {
+  install,
+  move,
+  moveSync,
+};
@@ -0,0 +1,212 @@
+/**
+ * eipc-recorder.js - Record eipc traffic to JSONL
+ *
+ * Enabled with CLAUDE_EIPC_RECORD (a file path, or 1 for a timestamped file
+ * in the logs dir). Hooked into the override registry so it sees every
+ * call routed through ipcMain.handle / webContents.ipc.handle.
+ *
+ * One line per call:
+ *   { ts, channel, namespace, handler, args, answeredBy, pattern,
+ *     latencyMs, result | error, appError? }
+ *
+ * `channel` is stripped of the eipc prefix and UUID (`ClaudeVM_$_start`)
+ * so recordings stay valid across app builds.
+ *
+ * The loader also passes the swift and native stubs through wrapStub(), so
+ * the calls the app makes into them are recorded too:
+ *   { ts, stub: 'swift'|'native', member: 'vm.getRunningStatus', args,
+ *     latencyMs, result | error }
+ *
+ * tools/eipc-replay.js feeds a recording back through the override
+ * registry and the stubs.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { LOG_DIR } = require('./config');
+
+const MAX_DEPTH = 8;
+const MAX_STRING = 64 * 1024;
+const EMITTER_METHODS = new Set(Object.getOwnPropertyNames(EventEmitter.prototype));
+
+// $eipc_message$_<UUID>_$_<namespace>_$_<handler> -> { namespace, handler }
+function parseChannel(channel) {
+  const parts = String(channel).split('_$_');
+  if (parts.length >= 3 && parts[0].startsWith('$eipc_message$')) {
+    const handler = parts[parts.length - 1];
+    const namespace = parts[parts.length - 2];
+    return { namespace, handler, channel: `${namespace}_$_${handler}` };
+  }
+  return { namespace: null, handler: null, channel: String(channel) };
+}
+
+// JSON-safe copy: Buffers as base64, no cycles, no functions, bounded size
+function toSerializable(value, depth = 0, seen = new WeakSet()) {
+  if (value === undefined) return { $type: 'undefined' };
+  if (value === null || typeof value === 'boolean' || typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? value.slice(0, MAX_STRING) + `...[${value.length} chars]` : value;
+  }
+  if (typeof value === 'bigint') return { $type: 'bigint', value: value.toString() };
+  if (typeof value === 'function') return { $type: 'function', name: value.name || '' };
+  if (typeof value === 'symbol') return { $type: 'symbol', value: value.toString() };
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { $type: 'buffer', base64: Buffer.from(value).toString('base64') };
+  }
+  if (value instanceof Error) return { $type: 'error', message: value.message, code: value.code };
+  if (value instanceof Date) return { $type: 'date', value: value.toISOString() };
+  if (depth >= MAX_DEPTH) return { $type: 'truncated' };
+  if (seen.has(value)) return { $type: 'circular' };
+  seen.add(value);
+
+  let out;
+  if (Array.isArray(value)) {
+    out = value.map(v => toSerializable(v, depth + 1, seen));
+  } else if (value instanceof Map) {
+    out = { $type: 'map', entries: [...value].map(e => toSerializable(e, depth + 1, seen)) };
+  } else {
+    out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = toSerializable(v, depth + 1, seen);
+  }
+  seen.delete(value);
+  return out;
+}
+
+// Inverse of toSerializable for the types replay can reconstruct
+function fromSerializable(value) {
+  if (Array.isArray(value)) return value.map(fromSerializable);
+  if (!value || typeof value !== 'object') return value;
+  switch (value.$type) {
+    case 'undefined': return undefined;
+    case 'buffer': return Buffer.from(value.base64, 'base64');
+    case 'date': return new Date(value.value);
+    case 'bigint': return BigInt(value.value);
+    case 'map': return new Map(value.entries.map(fromSerializable));
+    default: break;
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = fromSerializable(v);
+  return out;
+}
+
+function defaultRecordingPath() {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(LOG_DIR, `eipc-${stamp}.jsonl`);
+}
+
+// Returns null when recording is not enabled
+function createEipcRecorder({ file = process.env.CLAUDE_EIPC_RECORD } = {}) {
+  if (!file || file === '0') return null;
+  const target = (file === '1' || file === 'true') ? defaultRecordingPath() : path.resolve(file);
+
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+  } catch (e) {}
+
+  let failed = false;
+
+  function append(line) {
+    if (failed) return;
+    try {
+      fs.appendFileSync(target, JSON.stringify(line) + '\n', { mode: 0o600 });
+    } catch (e) {
+      failed = true;
+      console.error('[eipc-record] Disabled, cannot write', target + ':', e.message);
+    }
+  }
+
+  // Called by the override registry after each call settles
+  function record(call) {
+    const { namespace, handler, channel } = parseChannel(call.channel);
+    const line = {
+      ts: new Date(call.startedAt).toISOString(),
+      channel,
+      namespace,
+      handler,
+      args: toSerializable(call.args),
+      answeredBy: call.answeredBy,
+      pattern: call.pattern || null,
+      latencyMs: Math.round(call.latencyMs * 1000) / 1000,
+    };
+    if (call.error) line.error = toSerializable(call.error);
+    else line.result = toSerializable(call.result);
+    if (call.appError) line.appError = toSerializable(call.appError);
+    append(line);
+  }
+
+  // One stub method, recording each call once it settles. Calls passing a
+  // callback (event registration) can't be replayed and aren't recorded.
+  function recordingMethod(stub, member, fn) {
+    return function(...args) {
+      if (args.some(arg => typeof arg === 'function')) return fn.apply(this, args);
+      const startedAt = Date.now();
+      const started = process.hrtime.bigint();
+      const finish = (result, error) => {
+        const line = {
+          ts: new Date(startedAt).toISOString(),
+          stub,
+          member,
+          args: toSerializable(args),
+          latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e3) / 1e3,
+        };
+        if (error) line.error = toSerializable(error);
+        else line.result = toSerializable(result);
+        append(line);
+      };
+      let result;
+      try {
+        result = fn.apply(this, args);
+      } catch (e) {
+        finish(undefined, e);
+        throw e;
+      }
+      if (result && typeof result.then === 'function') {
+        result.then(value => finish(value, null), e => finish(undefined, e));
+      } else {
+        finish(result, null);
+      }
+      return result;
+    };
+  }
+
+  // Proxy for a stub module; its sub-objects (vm, notifications, ...) are
+  // wrapped one level down. Classes and emitter methods pass through.
+  const proxies = new WeakMap();
+  const ours = new WeakSet();
+  function wrapStub(stub, target, prefix = '') {
+    if (!target || typeof target !== 'object') return target;
+    if (proxies.has(target)) return proxies.get(target);
+    const methods = new Map(); // fn -> recording wrapper
+    const proxy = new Proxy(target, {
+      get(obj, prop, receiver) {
+        const value = Reflect.get(obj, prop, receiver);
+        if (value === obj) return receiver; // module.exports.default
+        if (ours.has(value)) return value; // the same, through another proxy
+        if (typeof prop !== 'string' || prop.startsWith('_') || /^[A-Z]/.test(prop)) return value;
+        if (typeof value === 'function') {
+          if (EMITTER_METHODS.has(prop)) return value;
+          if (!methods.has(value)) methods.set(value, recordingMethod(stub, prefix + prop, value));
+          return methods.get(value);
+        }
+        if (!prefix && value && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value)) {
+          return wrapStub(stub, value, `${prop}.`);
+        }
+        return value;
+      },
+    });
+    proxies.set(target, proxy);
+    ours.add(proxy);
+    return proxy;
+  }
+
+  console.log('[eipc-record] Recording to ' + target);
+  return { file: target, record, wrapStub };
+}
+
+module.exports = {
+  createEipcRecorder,
+  parseChannel,
+  toSerializable,
+  fromSerializable,
+};
@@ -0,0 +1,76 @@
+/**
+ * ipc-builtins.js - Built-in eipc handler overrides
+ *
+ * FORCE_OVERRIDES always replace the app's handler because the original
+ * calls macOS-only APIs. ERROR_FALLBACKS wrap the app's handler and answer
+ * only when it throws.
+ *
+ * Keys are handler-name suffixes (`<namespace>_$_<handler>`), matched with
+ * channel.includes() so they work regardless of the eipc UUID.
+ * User entries from ~/.config/claude-cowork/ipc-overrides.{js,json} are
+ * merged on top of these (see ipc-overrides.js).
+ */
+
+const path = require('path');
+
+// Shared with the swift stub, which runs the binary it finds
+const claudeBinary = require(path.join(__dirname, '..', 'stubs', '@ant', 'claude-swift', 'js', 'claude-binary'));
+// Session list handlers over the swift stub's index, shared with the native stub
+const sessionHandlers = require(path.join(__dirname, '..', 'stubs', '@ant', 'claude-swift', 'js', 'session-handlers'));
+
+const supported = { status: 'supported' };
+const unsupported = (reason) => ({ status: 'unsupported', reason });
+
+const FORCE_OVERRIDES = {
+  'AppFeatures_$_getSupportedFeatures': async () => ({
+    nativeQuickEntry: unsupported('linux'),
+    quickEntryDictation: unsupported('linux'),
+    customQuickEntryDictationShortcut: unsupported('linux'),
+    plushRaccoon: supported,
+    quietPenguin: supported,
+    louderPenguin: supported,
+    chillingSlothEnterprise: supported,
+    chillingSlothFeat: supported,
+    chillingSlothLocal: supported,
+    yukonSilver: supported,
+    yukonSilverGems: supported,
+    desktopTopBar: supported,
+    desktopVoiceDictation: unsupported('linux'),
+  }),
+  'AppFeatures_$_getCoworkFeatureState': async () => ({
+    enabled: true, status: 'supported', reason: null,
+  }),
+  'AppFeatures_$_getYukonSilverStatus': async () => ({
+    status: 'supported',
+  }),
+  'AppFeatures_$_getFeatureFlags': async () => ({
+    yukonSilver: true, cowork: true, localAgentMode: true,
+  }),
+  // The app's own session list lives in the macOS VM; ours is the index
+  'LocalAgentModeSessions_$_getAll': sessionHandlers.getAll,
+  'LocalAgentModeSessions_$_rename': sessionHandlers.rename,
+  'LocalAgentModeSessions_$_delete': sessionHandlers.delete,
+};
+
+const ERROR_FALLBACKS = {
+  'ClaudeVM_$_download': async () => ({ status: 'ready', downloaded: true, progress: 100 }),
+  'ClaudeVM_$_getDownloadStatus': async () => ({ status: 'ready', downloaded: true, progress: 100, version: 'linux-native-1.0.0' }),
+  'ClaudeVM_$_getRunningStatus': async () => ({ running: true, connected: true, status: 'connected' }),
+  'ClaudeVM_$_start': async () => ({ started: true, status: 'running' }),
+  'ClaudeVM_$_stop': async () => ({ stopped: true }),
+  'ClaudeVM_$_getSupportStatus': async () => ({ status: 'supported' }),
+  'ClaudeCode_$_prepare': async () => {
+    // Cached per binary and mtime, so a new download is still checked
+    const claude = await claudeBinary.resolve();
+    return claude.ok
+      ? { ready: true, status: 'ready', version: claude.version, source: claude.source }
+      : { ready: false, status: 'not_installed', reason: claude.error };
+  },
+  'Account_$_setAccountDetails': async () => ({ success: true }),
+  'QuickEntry_$_setRecentChats': async () => ({ success: true }),
+};
+
+module.exports = {
+  FORCE_OVERRIDES,
+  ERROR_FALLBACKS,
+};
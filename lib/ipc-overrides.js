@@ -0,0 +1,234 @@
+/**
+ * ipc-overrides.js - Live eipc override registry
+ *
+ * Merges the built-in FORCE_OVERRIDES / ERROR_FALLBACKS with a user file
+ * in the config dir and reloads it when it changes. Both the ipcMain and
+ * the per-webContents interception in linux-loader.js resolve handlers
+ * through the same registry at call time, so edits apply to channels that
+ * are already registered.
+ *
+ * User file (first one found wins):
+ *   ~/.config/claude-cowork/ipc-overrides.js
+ *     module.exports = {
+ *       forceOverrides: { 'Foo_$_bar': async (event, ...args) => ({ ok: true }) },
+ *       errorFallbacks: { 'Foo_$_baz': { ok: false } },  // plain values work too
+ *       disable: ['ClaudeVM_$_start'],                   // drop a built-in
+ *     };
+ *   ~/.config/claude-cowork/ipc-overrides.json
+ *     { "forceOverrides": { "Foo_$_bar": { "ok": true } }, "errorFallbacks": {}, "disable": [] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR } = require('./config');
+
+const CONFIG_FILES = ['ipc-overrides.js', 'ipc-overrides.json'];
+const RELOAD_DEBOUNCE = 100; // ms - editors fire several events per save
+
+// Plain values from the config are served as constant async handlers
+function toHandler(value) {
+  if (typeof value === 'function') return value;
+  return async () => value;
+}
+
+function loadUserFile(configDir) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(configDir, name);
+    if (!fs.existsSync(file)) continue;
+
+    if (name.endsWith('.js')) {
+      delete require.cache[require.resolve(file)];
+      return { file, config: require(file) };
+    }
+    return { file, config: JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  }
+  return { file: null, config: {} };
+}
+
+function createOverrideRegistry({ forceOverrides = {}, errorFallbacks = {}, configDir = CONFIG_DIR } = {}) {
+  let force = new Map();
+  let fallbacks = new Map();
+  let userFile = null;
+  let generation = 0;
+  let watcher = null;
+  let reloadTimer = null;
+  let callObserver = null;
+
+  // channel -> { generation, entry } so hot paths don't rescan patterns
+  const resolveCache = new Map();
+  // Every channel seen by handle(), for match reporting
+  const registeredChannels = new Set();
+  // pattern -> number of calls answered by it
+  const hits = new Map();
+
+  function build(config) {
+    const disabled = new Set(config.disable || []);
+    const nextForce = new Map();
+    const nextFallbacks = new Map();
+
+    for (const [pattern, fn] of Object.entries(forceOverrides)) {
+      if (!disabled.has(pattern)) nextForce.set(pattern, { handler: fn, source: 'builtin' });
+    }
+    for (const [pattern, fn] of Object.entries(errorFallbacks)) {
+      if (!disabled.has(pattern)) nextFallbacks.set(pattern, { handler: fn, source: 'builtin' });
+    }
+    // User entries win over built-ins; a pattern lives in exactly one table
+    for (const [pattern, value] of Object.entries(config.forceOverrides || {})) {
+      nextFallbacks.delete(pattern);
+      nextForce.set(pattern, { handler: toHandler(value), source: 'user' });
+    }
+    for (const [pattern, value] of Object.entries(config.errorFallbacks || {})) {
+      nextForce.delete(pattern);
+      nextFallbacks.set(pattern, { handler: toHandler(value), source: 'user' });
+    }
+
+    force = nextForce;
+    fallbacks = nextFallbacks;
+    generation++;
+  }
+
+  function reload() {
+    try {
+      const loaded = loadUserFile(configDir);
+      build(loaded.config || {});
+      userFile = loaded.file;
+      console.log(`[IPC] Overrides loaded: ${force.size} forced, ${fallbacks.size} fallbacks` +
+        (userFile ? ` (user: ${userFile})` : ''));
+      return true;
+    } catch (e) {
+      // Keep serving the last good tables
+      console.error('[IPC] Override reload failed, keeping previous:', e.message);
+      return false;
+    }
+  }
+
+  function resolve(channel) {
+    const cached = resolveCache.get(channel);
+    if (cached && cached.generation === generation) return cached.entry;
+
+    let entry = null;
+    for (const [pattern, def] of force) {
+      if (channel.includes(pattern)) { entry = { kind: 'override', pattern, ...def }; break; }
+    }
+    if (!entry) {
+      for (const [pattern, def] of fallbacks) {
+        if (channel.includes(pattern)) { entry = { kind: 'fallback', pattern, ...def }; break; }
+      }
+    }
+    resolveCache.set(channel, { generation, entry });
+    return entry;
+  }
+
+  function isForced(channel) {
+    const entry = resolve(channel);
+    return !!entry && entry.kind === 'override';
+  }
+
+  // Runs one call; fills in `outcome` with who answered it
+  async function dispatch(entry, appHandler, event, args, outcome) {
+    if (!entry) return appHandler(event, ...args);
+
+    hits.set(entry.pattern, (hits.get(entry.pattern) || 0) + 1);
+    outcome.pattern = entry.pattern;
+    if (entry.kind === 'override') {
+      outcome.answeredBy = 'override';
+      return entry.handler(event, ...args);
+    }
+    try {
+      return await appHandler(event, ...args);
+    } catch (e) {
+      outcome.answeredBy = 'fallback';
+      outcome.appError = e;
+      return await entry.handler(event, ...args);
+    }
+  }
+
+  // Wrap an app handler so the override/fallback decision is made per call.
+  // Returns the handler to pass to the real handle().
+  function intercept(channel, appHandler) {
+    registeredChannels.add(channel);
+    return async (event, ...args) => {
+      const entry = resolve(channel);
+      const outcome = { answeredBy: 'app', pattern: null, appError: null };
+      if (!callObserver) return dispatch(entry, appHandler, event, args, outcome);
+
+      const startedAt = Date.now();
+      const started = process.hrtime.bigint();
+      const finish = (result, error) => {
+        try {
+          callObserver({
+            channel, args, startedAt, result, error, ...outcome,
+            latencyMs: Number(process.hrtime.bigint() - started) / 1e6,
+          });
+        } catch (e) {}
+      };
+      try {
+        const result = await dispatch(entry, appHandler, event, args, outcome);
+        finish(result, null);
+        return result;
+      } catch (e) {
+        finish(undefined, e);
+        throw e;
+      }
+    };
+  }
+
+  // Observer sees every intercepted call after it settles (eipc recorder)
+  function setCallObserver(fn) {
+    callObserver = fn || null;
+  }
+
+  function getMatchReport() {
+    const matched = [];
+    const unmatched = [];
+    const tables = [['override', force], ['fallback', fallbacks]];
+    for (const [kind, table] of tables) {
+      for (const [pattern, def] of table) {
+        const channels = [...registeredChannels].filter(c => c.includes(pattern));
+        const row = { pattern, kind, source: def.source, channels, hits: hits.get(pattern) || 0 };
+        (channels.length ? matched : unmatched).push(row);
+      }
+    }
+    return { userFile, matched, unmatched };
+  }
+
+  function watch() {
+    if (watcher) return;
+    try {
+      fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+      // Watch the directory, not the file: the file may not exist yet and
+      // most editors save by replacing it.
+      watcher = fs.watch(configDir, (eventType, filename) => {
+        if (filename && !CONFIG_FILES.includes(String(filename))) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(reload, RELOAD_DEBOUNCE);
+      });
+      watcher.unref();
+    } catch (e) {
+      console.error('[IPC] Cannot watch override config:', e.message);
+    }
+  }
+
+  function close() {
+    clearTimeout(reloadTimer);
+    if (watcher) watcher.close();
+    watcher = null;
+  }
+
+  reload();
+
+  return {
+    resolve,
+    isForced,
+    intercept,
+    setCallObserver,
+    reload,
+    watch,
+    close,
+    getMatchReport,
+  };
+}
+
+module.exports = {
+  createOverrideRegistry,
+};
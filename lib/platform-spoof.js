@@ -0,0 +1,238 @@
+/**
+ * platform-spoof.js - process.platform / arch spoofing for app code only
+ *
+ * App code must see darwin/arm64; Node and Electron internals (and our own
+ * loader) must see the real values. The decision is made from the caller's
+ * stack with the same allow-list as the original isSystemCall(): if any of
+ * the caller frames comes from a system file, the real value is returned.
+ *
+ * Claude Desktop reads these values thousands of times, so the decision
+ * is cached per call site: each access captures only its caller's frame
+ * (a structured CallSite, no formatting) and looks up its file:line:column.
+ * A site's first access checks the whole caller window (9 frames, as the
+ * old text-based check did). A site in a system file, or one whose window
+ * had only app frames, keeps that answer; a site reached through a system
+ * frame further up (app code run during require(), say) is checked again
+ * on every access.
+ *
+ * CLAUDE_SPOOF_BENCH=1 counts hits and time per getter; see report().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Same entries as the original isSystemCall()
+const SYSTEM_MARKERS = [
+  'node:internal',
+  'internal/modules',
+  'node:electron',
+  'electron/js2c',
+  'electron.asar',
+  'linux-loader.js',
+  'frame-fix-wrapper',
+  // Our own support modules (lib/) call os.platform() etc. too
+  path.join(__dirname, path.sep),
+];
+
+// new Error().stack holds 10 frames; the old check dropped the getter's
+// own frame, leaving 9 caller frames.
+const CALLER_FRAMES = 9;
+
+// Eval'd code can mint call sites without end; start over past this
+const MAX_CACHED_SITES = 10000;
+
+const BENCH_ENABLED = ['1', 'true'].includes(process.env.CLAUDE_SPOOF_BENCH);
+
+const fileCache = new Map(); // fileName -> is system
+const siteCache = new Map(); // "file:line:column" -> is system
+let state = null;
+
+function isSystemCall(stack) {
+  return SYSTEM_MARKERS.some(marker => stack.includes(marker));
+}
+
+function isSystemFile(fileName) {
+  let system = fileCache.get(fileName);
+  if (system === undefined) {
+    system = isSystemCall(fileName);
+    fileCache.set(fileName, system);
+  }
+  return system;
+}
+
+function captureCallSites(limit, skipFn) {
+  const prevPrepare = Error.prepareStackTrace;
+  const prevLimit = Error.stackTraceLimit;
+  const holder = {};
+  try {
+    Error.prepareStackTrace = (_, sites) => sites;
+    Error.stackTraceLimit = limit;
+    Error.captureStackTrace(holder, skipFn);
+    return holder.stack || [];
+  } finally {
+    Error.prepareStackTrace = prevPrepare;
+    Error.stackTraceLimit = prevLimit;
+  }
+}
+
+function siteFile(site) {
+  return site.getFileName() || (site.isEval() && site.getEvalOrigin()) || '';
+}
+
+// True if the caller of `skipFn` should see the real platform
+function callerIsSystem(skipFn) {
+  const [caller] = captureCallSites(1, skipFn);
+  if (!caller) return false;
+  const file = siteFile(caller);
+  if (isSystemFile(file)) return true;
+
+  const key = `${file}:${caller.getLineNumber()}:${caller.getColumnNumber()}`;
+  const cached = siteCache.get(key);
+  if (cached !== undefined) return cached;
+
+  const sites = captureCallSites(CALLER_FRAMES, skipFn);
+  // Depends on how the site was reached this time; not cached
+  if (sites.some(site => isSystemFile(siteFile(site)))) return true;
+  if (siteCache.size >= MAX_CACHED_SITES) siteCache.clear();
+  siteCache.set(key, false);
+  return false;
+}
+
+// ============================================================
+// Benchmark mode
+// ============================================================
+
+function createStats() {
+  return { hits: 0, real: 0, spoofed: 0, ns: 0n };
+}
+
+function timed(name, fn) {
+  if (!BENCH_ENABLED) return fn;
+  return function(...args) {
+    const stats = state.stats[name];
+    const started = process.hrtime.bigint();
+    const value = fn.apply(this, args);
+    stats.ns += process.hrtime.bigint() - started;
+    stats.hits++;
+    return value;
+  };
+}
+
+function count(name, real) {
+  if (!BENCH_ENABLED) return;
+  state.stats[name][real ? 'real' : 'spoofed']++;
+}
+
+// Per-getter hits and total time since install, in ms
+function report(label = 'report') {
+  if (!state) return null;
+  const getters = {};
+  for (const [name, s] of Object.entries(state.stats)) {
+    getters[name] = {
+      hits: s.hits,
+      real: s.real,
+      spoofed: s.spoofed,
+      totalMs: Number(s.ns) / 1e6,
+      avgUs: s.hits ? Number(s.ns) / s.hits / 1e3 : 0,
+    };
+  }
+  return {
+    label,
+    enabled: BENCH_ENABLED,
+    sinceInstallMs: Number(process.hrtime.bigint() - state.installedAt) / 1e6,
+    cachedFiles: fileCache.size,
+    cachedSites: siteCache.size,
+    getters,
+  };
+}
+
+function logReport(label, logDir) {
+  if (!BENCH_ENABLED) return;
+  const result = report(label);
+  for (const [name, g] of Object.entries(result.getters)) {
+    console.log(`[Platform] ${label}: ${name} ${g.hits} hits, ${g.totalMs.toFixed(1)}ms ` +
+      `(${g.spoofed} spoofed, ${g.real} real)`);
+  }
+  if (logDir) {
+    try {
+      fs.mkdirSync(logDir, { recursive: true, mode: 0o700 });
+      fs.appendFileSync(path.join(logDir, 'spoof-benchmark.jsonl'), JSON.stringify(result) + '\n', { mode: 0o600 });
+    } catch (e) {}
+  }
+}
+
+// ============================================================
+// Install
+// ============================================================
+
+// Takes a spoof profile (lib/spoof-profile.js). Idempotent: a second call
+// (e.g. from frame-fix-wrapper) keeps the first install, so the "original"
+// functions are never our own wrappers.
+function install(profile = {}) {
+  if (state) return state;
+  const { platform = 'darwin', arch = 'arm64', macosVersion = '14.0.0' } = profile;
+
+  const realPlatform = process.platform;
+  const realArch = process.arch;
+  const originalOsPlatform = os.platform;
+  const originalOsArch = os.arch;
+
+  state = {
+    realPlatform,
+    realArch,
+    profile,
+    spoofed: { platform, arch, macosVersion },
+    installedAt: process.hrtime.bigint(),
+    stats: {
+      'process.platform': createStats(),
+      'process.arch': createStats(),
+      'os.platform': createStats(),
+      'os.arch': createStats(),
+    },
+  };
+
+  // skipFn is the outermost installed function, so the capture starts
+  // at the caller whether or not the bench wrapper is in between
+  function decide(name, skipFn) {
+    const real = callerIsSystem(skipFn);
+    count(name, real);
+    return real;
+  }
+
+  const platformGetter = timed('process.platform', function getPlatform() {
+    return decide('process.platform', platformGetter) ? realPlatform : state.spoofed.platform;
+  });
+  const archGetter = timed('process.arch', function getArch() {
+    return decide('process.arch', archGetter) ? realArch : state.spoofed.arch;
+  });
+  const osPlatform = timed('os.platform', function platformFn() {
+    return decide('os.platform', osPlatform) ? originalOsPlatform.call(os) : state.spoofed.platform;
+  });
+  const osArch = timed('os.arch', function archFn() {
+    return decide('os.arch', osArch) ? originalOsArch.call(os) : state.spoofed.arch;
+  });
+
+  Object.defineProperty(process, 'platform', { get: platformGetter, configurable: true });
+  Object.defineProperty(process, 'arch', { get: archGetter, configurable: true });
+  os.platform = osPlatform;
+  os.arch = osArch;
+
+  process.getSystemVersion = function() { return state.spoofed.macosVersion; };
+
+  return state;
+}
+
+// The profile passed to the install that took effect, or null
+function getProfile() {
+  return state ? state.profile : null;
+}
+
+module.exports = {
+  install,
+  getProfile,
+  isSystemCall,
+  report,
+  logReport,
+  SYSTEM_MARKERS,
+};
@@ -0,0 +1,11 @@
+/**
+ * retention-worker.js - One retention sweep, off the main thread
+ *
+ * Started by retention.sweepInWorker() with sweep()'s options as
+ * workerData; posts the report back.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const retention = require('./retention');
+
+parentPort.postMessage(retention.sweep(workerData || {}));
@@ -0,0 +1,303 @@
+/**
+ * retention.js - Garbage collection for session data, old logs and VM tmp
+ *
+ * Cowork data only grows: session directories (with their uploads) under
+ * ~/.local/share/claude-cowork/sessions, rotated *.old trace logs and
+ * whatever the app leaves in vm_bundles/tmp. sweep() removes what the
+ * policy in ~/.config/claude-cowork/retention.json no longer keeps:
+ *
+ *   { "enabled": true, "intervalHours": 6,
+ *     "sessions": { "maxAgeDays": 30, "maxTotalMB": 5120, "keepLast": 10,
+ *                   "autoRemove": false },
+ *     "logs": { "maxAgeDays": 14 },
+ *     "vmTmp": { "maxAgeDays": 2 } }
+ *
+ * The keepLast most recently active sessions are never removed. Of the
+ * rest, those idle for more than maxAgeDays go first, then the oldest until
+ * all sessions fit in maxTotalMB. Running sessions are always skipped.
+ * Unset keys don't limit anything.
+ *
+ * The loader sweeps in the background (startSweeper), in a worker thread so
+ * the walk never blocks the app. Those sweeps only report sessions the
+ * policy no longer keeps, unless sessions.autoRemove is set; `claude-cowork
+ * retention run` removes them on demand. Each sweep writes
+ * logs/retention-report.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { LOG_DIR, readJsonConfig } = require('./config');
+const { VM_TMP_DIR } = require('./vm-bundle');
+
+// Shared with the swift stub, which records the sessions
+const sessionIndex = require(path.join(__dirname, '..', 'stubs', '@ant', 'claude-swift', 'js', 'session-index'));
+
+const CONFIG_NAME = 'retention.json';
+const REPORT_FILE = path.join(LOG_DIR, 'retention-report.json');
+const FIRST_SWEEP_DELAY_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  intervalHours: 6,
+  sessions: { maxAgeDays: 30, maxTotalMB: null, keepLast: 10, autoRemove: false },
+  logs: { maxAgeDays: 14 },
+  vmTmp: { maxAgeDays: 2 },
+};
+
+let sweepTimer = null;
+
+function positive(value, origin) {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+  if (typeof value === 'number' && value >= 0 && Number.isFinite(value)) return value;
+  console.error(`[Config] Ignoring ${CONFIG_NAME} ${origin}: ${JSON.stringify(value)}`);
+  return undefined;
+}
+
+// DEFAULT_POLICY with the user's valid keys on top
+function loadPolicy() {
+  const config = readJsonConfig(CONFIG_NAME, {}) || {};
+  const policy = JSON.parse(JSON.stringify(DEFAULT_POLICY));
+  if (typeof config.enabled === 'boolean') policy.enabled = config.enabled;
+  const interval = positive(config.intervalHours, 'intervalHours');
+  if (interval) policy.intervalHours = interval;
+  for (const section of ['sessions', 'logs', 'vmTmp']) {
+    const values = config[section];
+    if (!values || typeof values !== 'object') continue;
+    for (const key of Object.keys(policy[section])) {
+      if (typeof policy[section][key] === 'boolean') {
+        if (typeof values[key] === 'boolean') policy[section][key] = values[key];
+        else if (values[key] !== undefined) console.error(`[Config] Ignoring ${CONFIG_NAME} ${section}.${key}: ${JSON.stringify(values[key])}`);
+        continue;
+      }
+      const value = positive(values[key], `${section}.${key}`);
+      if (value !== undefined) policy[section][key] = value;
+    }
+  }
+  return policy;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+// Size and newest mtime of a tree, without following symlinks
+function treeStats(p) {
+  let bytes = 0;
+  let newest = 0;
+  const walk = (current) => {
+    let stat;
+    try { stat = fs.lstatSync(current); } catch (e) { return; }
+    newest = Math.max(newest, stat.mtimeMs);
+    if (stat.isDirectory()) {
+      let names = [];
+      try { names = fs.readdirSync(current); } catch (e) {}
+      for (const name of names) walk(path.join(current, name));
+    } else {
+      bytes += stat.size;
+    }
+  };
+  walk(p);
+  return { bytes, newest };
+}
+
+// ============================================================
+// Planning
+// ============================================================
+
+function planSessions(policy, now, report) {
+  const { maxAgeDays, maxTotalMB, keepLast } = policy.sessions;
+  const sessions = sessionIndex.getAll(); // newest activity first
+  const remove = [];
+  const candidates = [];
+  let total = 0;
+
+  sessions.forEach((session, i) => {
+    // Listings report the last measurement; background sweeps run in a worker
+    const bytes = sessionIndex.diskUsage(sessionIndex.sessionDir(session.name));
+    total += bytes;
+    if (sessionIndex.isRunning(session.name)) {
+      report.skipped.push({ kind: 'session', name: session.name, reason: 'running' });
+      return;
+    }
+    if (keepLast != null && i < keepLast) return;
+    candidates.push({ session, bytes });
+  });
+
+  // Oldest first, so the size limit takes the least recently used
+  candidates.reverse();
+  const kept = [];
+  for (const candidate of candidates) {
+    const idleMs = now - Date.parse(candidate.session.lastActiveAt);
+    if (maxAgeDays != null && idleMs > maxAgeDays * DAY_MS) {
+      remove.push({ ...candidate, reason: `inactive for more than ${maxAgeDays} days` });
+      total -= candidate.bytes;
+    } else {
+      kept.push(candidate);
+    }
+  }
+  if (maxTotalMB != null) {
+    for (const candidate of kept) {
+      if (total <= maxTotalMB * 1024 * 1024) break;
+      remove.push({ ...candidate, reason: `sessions over ${maxTotalMB} MB` });
+      total -= candidate.bytes;
+    }
+  }
+  return remove;
+}
+
+// Rotated trace logs (*.old)
+function planLogs(policy, now) {
+  const { maxAgeDays } = policy.logs;
+  if (maxAgeDays == null) return [];
+  let names = [];
+  try { names = fs.readdirSync(LOG_DIR); } catch (e) {}
+  const remove = [];
+  for (const name of names.filter(n => n.endsWith('.old'))) {
+    const file = path.join(LOG_DIR, name);
+    const { bytes, newest } = treeStats(file);
+    if (now - newest > maxAgeDays * DAY_MS) remove.push({ path: file, bytes, reason: `older than ${maxAgeDays} days` });
+  }
+  return remove;
+}
+
+// The app's TMPDIR; an entry goes once nothing in it changed for maxAgeDays
+function planVmTmp(policy, now) {
+  const { maxAgeDays } = policy.vmTmp;
+  if (maxAgeDays == null) return [];
+  let names = [];
+  try { names = fs.readdirSync(VM_TMP_DIR); } catch (e) {}
+  const remove = [];
+  for (const name of names) {
+    const entry = path.join(VM_TMP_DIR, name);
+    const { bytes, newest } = treeStats(entry);
+    if (now - newest > maxAgeDays * DAY_MS) remove.push({ path: entry, bytes, reason: `unused for ${maxAgeDays} days` });
+  }
+  return remove;
+}
+
+// ============================================================
+// Sweep
+// ============================================================
+
+/**
+ * Remove what the policy doesn't keep. With dryRun, only report it; with
+ * removeSessions false, sessions are listed under `due` instead of removed.
+ * Returns { startedAt, dryRun, policy, removed, due, skipped, errors, freedBytes }.
+ */
+function sweep({ dryRun = false, removeSessions = true, policy = loadPolicy() } = {}) {
+  const now = Date.now();
+  const report = {
+    startedAt: new Date(now).toISOString(),
+    dryRun,
+    policy,
+    removed: [],
+    due: [],
+    skipped: [],
+    errors: [],
+    freedBytes: 0,
+  };
+
+  const done = (item) => {
+    report.removed.push(item);
+    report.freedBytes += item.bytes;
+  };
+
+  for (const { session, bytes, reason } of planSessions(policy, now, report)) {
+    const item = { kind: 'session', name: session.name, title: session.title, path: path.join(sessionIndex.SESSIONS_BASE, session.name), bytes, reason };
+    if (!removeSessions) {
+      report.due.push(item);
+      continue;
+    }
+    try {
+      // remove() refuses if the session was started again meanwhile
+      if (!dryRun) sessionIndex.remove(session.name);
+      done(item);
+    } catch (e) {
+      report.errors.push({ ...item, error: e.message });
+    }
+  }
+
+  const files = [
+    ...planLogs(policy, now).map(item => ({ kind: 'log', ...item })),
+    ...planVmTmp(policy, now).map(item => ({ kind: 'vm-tmp', ...item })),
+  ];
+  for (const item of files) {
+    try {
+      if (!dryRun) fs.rmSync(item.path, { recursive: true, force: true });
+      done(item);
+    } catch (e) {
+      report.errors.push({ ...item, error: e.message });
+    }
+  }
+
+  if (!dryRun) {
+    try {
+      fs.mkdirSync(LOG_DIR, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2), { mode: 0o600 });
+    } catch (e) {}
+  }
+  return report;
+}
+
+function summarize(report) {
+  const count = (kind) => report.removed.filter(item => item.kind === kind).length;
+  const running = report.skipped.filter(item => item.reason === 'running').length;
+  const due = (report.due || []).length;
+  return `${report.dryRun ? 'Would free' : 'Freed'} ${formatBytes(report.freedBytes)}: ` +
+    `${count('session')} session(s), ${count('log')} log(s), ${count('vm-tmp')} tmp entr(ies)` +
+    (due ? `; ${due} session(s) due for removal (sessions.autoRemove is off)` : '') +
+    (running ? `; ${running} running session(s) skipped` : '') +
+    (report.errors.length ? `; ${report.errors.length} error(s)` : '');
+}
+
+// One sweep in a worker thread (retention-worker.js); resolves its report
+function sweepInWorker(options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'retention-worker.js'), { workerData: options });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => reject(new Error(`retention worker exited with code ${code}`)));
+  });
+}
+
+// Background sweeps: the first a few minutes after launch, then every
+// intervalHours. CLAUDE_RETENTION=0 or "enabled": false turns them off.
+// Sessions are only removed with sessions.autoRemove.
+function startSweeper() {
+  if (sweepTimer || process.env.CLAUDE_RETENTION === '0') return;
+  const policy = loadPolicy();
+  if (!policy.enabled) return;
+
+  const run = async () => {
+    const current = loadPolicy();
+    try {
+      const report = await sweepInWorker({ removeSessions: current.sessions.autoRemove });
+      if (report.removed.length || report.due.length || report.errors.length) {
+        console.log(`[retention] ${summarize(report)}`);
+      }
+    } catch (e) {
+      console.error('[retention] Sweep failed:', e.message);
+    }
+    sweepTimer = setTimeout(run, current.intervalHours * 60 * 60 * 1000);
+    if (sweepTimer.unref) sweepTimer.unref();
+  };
+  sweepTimer = setTimeout(run, FIRST_SWEEP_DELAY_MS);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  REPORT_FILE,
+  loadPolicy,
+  sweep,
+  sweepInWorker,
+  summarize,
+  formatBytes,
+  startSweeper,
+};
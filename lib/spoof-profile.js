@@ -0,0 +1,125 @@
+/**
+ * spoof-profile.js - What the app is told about the machine it runs on
+ *
+ * One profile feeds every spoof: app.getVersion(), the User-Agent rewrite,
+ * the anthropic-client-* header rewrite and the platform/arch getters.
+ *
+ *   appVersion       version from the installed app's package.json
+ *   electronVersion  process.versions.electron (the Electron actually running)
+ *   macosVersion     '14.0.0' unless pinned
+ *   arch             'arm64' unless pinned
+ *
+ * Any field can be pinned in ~/.config/claude-cowork/spoof-profile.json:
+ *
+ *   { "macosVersion": "15.1", "arch": "x64", "userAgent": "Mozilla/5.0 ..." }
+ *
+ * `userAgent` replaces the rewritten User-Agent as a whole; without it the
+ * Linux UA is rewritten from the other fields.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, readJsonConfig } = require('./config');
+
+const PROFILE_FILE = 'spoof-profile.json';
+
+// Last known-good values, used when the app or Electron can't tell us
+const DEFAULTS = {
+  platform: 'darwin',
+  appVersion: '1.1.2156',
+  electronVersion: '39.4.0',
+  macosVersion: '14.0.0',
+  arch: 'arm64',
+};
+
+const ARCHES = ['arm64', 'x64'];
+// CPU in the Mac UA's platform token, per profile arch
+const UA_CPU = { arm64: 'Apple M1', x64: 'Intel' };
+const VERSION_RE = /^\d+(\.\d+){0,3}$/;
+
+function readAppVersion(appDir) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(appDir, 'package.json'), 'utf-8'));
+    return typeof pkg.version === 'string' && VERSION_RE.test(pkg.version) ? pkg.version : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// '14' / '14.1' -> '14.0.0' / '14.1.0', as process.getSystemVersion() reports
+function normalizeMacosVersion(version) {
+  const parts = String(version).split('.').slice(0, 3);
+  while (parts.length < 3) parts.push('0');
+  return parts.join('.');
+}
+
+// Validate one pinned field; bad values are reported and ignored
+function pinned(config, key, isValid) {
+  if (config[key] === undefined || config[key] === null) return undefined;
+  if (isValid(config[key])) return config[key];
+  console.error(`[Config] Ignoring ${path.join(CONFIG_DIR, PROFILE_FILE)} ${key}: ${JSON.stringify(config[key])}`);
+  return undefined;
+}
+
+function loadSpoofProfile({ appDir } = {}) {
+  const config = readJsonConfig(PROFILE_FILE, {}) || {};
+  const sources = {};
+
+  function pick(key, candidates) {
+    for (const [source, value] of candidates) {
+      if (value !== undefined && value !== null) {
+        sources[key] = source;
+        return value;
+      }
+    }
+    sources[key] = 'default';
+    return DEFAULTS[key];
+  }
+
+  const isVersion = v => typeof v === 'string' && VERSION_RE.test(v);
+
+  const profile = {
+    platform: DEFAULTS.platform,
+    appVersion: pick('appVersion', [
+      ['config', pinned(config, 'appVersion', isVersion)],
+      ['app', appDir ? readAppVersion(appDir) : null],
+    ]),
+    electronVersion: pick('electronVersion', [
+      ['config', pinned(config, 'electronVersion', isVersion)],
+      ['electron', process.versions.electron],
+    ]),
+    macosVersion: normalizeMacosVersion(pick('macosVersion', [
+      ['config', pinned(config, 'macosVersion', isVersion)],
+    ])),
+    arch: pick('arch', [
+      ['config', pinned(config, 'arch', v => ARCHES.includes(v))],
+    ]),
+    userAgent: pinned(config, 'userAgent', v => typeof v === 'string' && v.length > 0) || null,
+    sources,
+  };
+  sources.userAgent = profile.userAgent ? 'config' : 'rewrite';
+  return profile;
+}
+
+// Linux Chromium UA -> the UA Claude.app sends on the profile's Mac
+function rewriteUserAgent(userAgent, profile) {
+  if (profile.userAgent) return profile.userAgent;
+  const [major, minor] = profile.macosVersion.split('.');
+  const osVersion = `${major}_${minor}`;
+  return userAgent
+    .replace(/X11; Linux (x86_64|aarch64)/g, `Macintosh; ${UA_CPU[profile.arch] || UA_CPU.x64} Mac OS X ${osVersion}`)
+    .replace(/Electron\/[\d.]+/g, `Electron/${profile.electronVersion}`)
+    .replace(/Claude\/[\d.]+/g, `Claude/${profile.appVersion}`);
+}
+
+function describeProfile(profile) {
+  return `${profile.platform}/${profile.arch} macOS ${profile.macosVersion}, ` +
+    `Claude ${profile.appVersion} (${profile.sources.appVersion}), Electron ${profile.electronVersion}`;
+}
+
+module.exports = {
+  DEFAULTS,
+  loadSpoofProfile,
+  rewriteUserAgent,
+  describeProfile,
+};
@@ -0,0 +1,206 @@
+/**
+ * unhandled-tracker.js - Record what the app expects but we don't provide
+ *
+ * Two kinds of gaps:
+ *   channel  an eipc call that hit "No handler registered for '...'"
+ *   method   a swift/native stub member that was missing
+ *            ("x.y is not a function", or a read of an undefined member
+ *            through a stub wrapped with wrapStub())
+ *
+ * Each gap keeps its namespace, a call count and the first stack trace.
+ * On exit the loader writes logs/unhandled-report.json and, when there are
+ * gaps, logs/unhandled-scaffold.js with a skeleton ERROR_FALLBACKS entry or
+ * createEmitterObject method per gap to paste into the right file.
+ *
+ * The module is a singleton so the loader and frame-fix-wrapper share it.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { LOG_DIR } = require('./config');
+const { parseChannel } = require('./eipc-recorder');
+
+// Members probed by Promise resolution, JSON, React, util.inspect etc.
+// Reading them off a stub is normal and not a gap.
+const IGNORED_MEMBERS = new Set([
+  'then', 'catch', 'finally', 'toJSON', 'toString', 'valueOf', 'constructor',
+  '__esModule', '$$typeof', 'nodeType', 'prototype', 'length', 'inspect',
+  'asymmetricMatch',
+]);
+
+const channels = new Map(); // channel -> gap
+const methods = new Map();  // "namespace.method" -> gap
+const proxies = new WeakMap();
+const stubs = new Map();    // namespace -> stub object wrapped under that name
+
+function bump(map, key, init, stack) {
+  let gap = map.get(key);
+  if (!gap) {
+    gap = { ...init, count: 0, firstSeen: new Date().toISOString(), firstStack: stack || null };
+    map.set(key, gap);
+  }
+  gap.count++;
+  return gap;
+}
+
+function callerStack() {
+  // Drop this frame and the proxy trap
+  return (new Error().stack || '').split('\n').slice(3).join('\n');
+}
+
+function noteMissingChannel(channel, stack) {
+  const parsed = parseChannel(channel);
+  return bump(channels, parsed.channel, {
+    channel: parsed.channel,
+    namespace: parsed.namespace,
+    handler: parsed.handler,
+    rawChannel: channel,
+  }, stack);
+}
+
+function noteMissingMethod(namespace, method, stack) {
+  return bump(methods, `${namespace}.${method}`, { namespace, method }, stack);
+}
+
+// "e.vm.startFoo is not a function" -> { namespace: 'vm', method: 'startFoo' }
+// Minified receivers (single letters) carry no information; keep the last
+// non-trivial segment before the method as the namespace.
+function parseNotAFunction(message) {
+  const match = /([\w$.]+) is not a function/.exec(message);
+  if (!match) return null;
+  const parts = match[1].split('.');
+  const method = parts.pop();
+  const namespace = parts.reverse().find(p => p.length > 1 && p !== 'default') || 'unknown';
+  return { namespace, method };
+}
+
+// Returns true if the error was a gap we understand (and therefore safe
+// to swallow in the uncaughtException handler). "is not a function" only
+// counts when it names a member a wrapped stub lacks; the app's own
+// TypeErrors are rethrown.
+function noteError(error) {
+  const message = error && error.message;
+  if (!message) return false;
+
+  const noHandler = /No handler registered for '([^']+)'/.exec(message);
+  if (noHandler) {
+    noteMissingChannel(noHandler[1], error.stack);
+    return true;
+  }
+  if (message.includes('No handler registered')) {
+    noteMissingChannel('unknown', error.stack);
+    return true;
+  }
+  if (message.includes('is not a function')) {
+    const parsed = parseNotAFunction(message);
+    const stub = parsed && stubs.get(parsed.namespace);
+    if (!stub || typeof stub[parsed.method] === 'function') return false;
+    noteMissingMethod(parsed.namespace, parsed.method, error.stack);
+    return true;
+  }
+  return false;
+}
+
+// Proxy a stub object so reads of members it doesn't define are recorded.
+// Sub-module emitters reached through it are wrapped too.
+function wrapStub(name, target, depth = 0) {
+  if (!target || (typeof target !== 'object' && typeof target !== 'function')) return target;
+  if (!stubs.has(name)) stubs.set(name, target);
+  const cached = proxies.get(target);
+  if (cached) return cached;
+
+  const proxy = new Proxy(target, {
+    get(obj, prop, receiver) {
+      const value = Reflect.get(obj, prop, receiver);
+      if (value === obj) return receiver; // module.exports.default
+      // Private state (_events, _processes, ...) is ours, not the app's API
+      if (typeof prop !== 'string' || prop.startsWith('_')) return value;
+      if (value === undefined) {
+        if (!IGNORED_MEMBERS.has(prop) && !(prop in obj)) noteMissingMethod(name, prop, callerStack());
+        return value;
+      }
+      // Sub-modules are emitters (createEmitterObject tags them with _stubName)
+      if (depth < 2 && value !== obj && value instanceof EventEmitter) {
+        // Error messages name it by the property it was reached through
+        if (!stubs.has(prop)) stubs.set(prop, value);
+        return wrapStub(value._stubName || prop, value, depth + 1);
+      }
+      return value;
+    },
+  });
+  proxies.set(target, proxy);
+  return proxy;
+}
+
+function getReport() {
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    generatedAt: new Date().toISOString(),
+    channels: [...channels.values()].sort(byCount),
+    methods: [...methods.values()].sort(byCount),
+  };
+}
+
+function generateScaffold(report = getReport()) {
+  const lines = [
+    '// Generated by lib/unhandled-tracker.js - skeletons for gaps seen this run.',
+    '// Fill in the return values before pasting.',
+    '',
+  ];
+
+  const namedChannels = report.channels.filter(c => c.handler);
+  if (namedChannels.length) {
+    lines.push('// ERROR_FALLBACKS entries (lib/ipc-builtins.js or ~/.config/claude-cowork/ipc-overrides.js)');
+    for (const gap of namedChannels) {
+      lines.push(`'${gap.channel}': async () => ({ /* TODO */ }), // ${gap.count} call(s)`);
+    }
+    lines.push('');
+  }
+
+  const byNamespace = new Map();
+  for (const gap of report.methods) {
+    if (!byNamespace.has(gap.namespace)) byNamespace.set(gap.namespace, []);
+    byNamespace.get(gap.namespace).push(gap);
+  }
+  for (const [namespace, gaps] of byNamespace) {
+    if (namespace === 'swift') {
+      lines.push('// ClaudeSwiftInstance top-level methods (stubs/@ant/claude-swift/js/index.js)');
+    } else if (namespace === 'claude-native-binding') {
+      lines.push('// claude-native-binding.node members (Module._load in linux-loader.js)');
+    } else {
+      lines.push(`// createEmitterObject('${namespace}', { ... }) methods (stubs/@ant/claude-swift/js/index.js)`);
+    }
+    for (const gap of gaps) {
+      lines.push(`${gap.method}: async (...args) => { trace('${namespace}', '${gap.method}()', args); return null; }, // ${gap.count} access(es)`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function writeReport(dir = LOG_DIR) {
+  const report = getReport();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(path.join(dir, 'unhandled-report.json'), JSON.stringify(report, null, 2), { mode: 0o600 });
+
+  const scaffoldFile = path.join(dir, 'unhandled-scaffold.js');
+  if (report.channels.length || report.methods.length) {
+    fs.writeFileSync(scaffoldFile, generateScaffold(report), { mode: 0o600 });
+  } else {
+    fs.rmSync(scaffoldFile, { force: true });
+  }
+  return report;
+}
+
+module.exports = {
+  noteError,
+  parseNotAFunction,
+  noteMissingChannel,
+  noteMissingMethod,
+  wrapStub,
+  getReport,
+  generateScaffold,
+  writeReport,
+};
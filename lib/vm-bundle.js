@@ -0,0 +1,357 @@
+/**
+ * vm-bundle.js - Placeholder claudevm.bundle lifecycle
+ *
+ * We run Claude Code natively, so the app's VM bundle
+ * (~/.config/Claude/vm_bundles/claudevm.bundle) only has to look installed.
+ * ensureBundle() writes the current MARKER_SET and records what it wrote
+ * in a manifest (~/.local/share/claude-cowork/vm-bundle-manifest.json):
+ *
+ *   { markerSet, bundleDir, updatedAt, holder: { pid, start },
+ *     files: { name: { owner: 'cowork'|'foreign', sha256, size } },
+ *     reads: [{ file, kind, via, count, firstSeen }] }
+ *
+ * holder is the process that wrote the markers (the app, with start time
+ * from /proc/<pid>/stat); resetBundle() and purgeBundle() refuse while it
+ * runs, since the app uses vm_bundles/tmp as its TMPDIR.
+ *
+ * Files already in the bundle that we didn't write (e.g. a real rootfs
+ * from a download) are left alone and recorded as 'foreign'. When
+ * MARKER_SET changes, our own files from the previous set are replaced.
+ *
+ * watchReads() (opt-in: CLAUDE_VM_BUNDLE_WATCH=1, as it wraps fs for the
+ * life of the process) hooks fs reads and checks (open, readFile, stat,
+ * access, exists, createReadStream) under the bundle dir. Reading a
+ * placeholder, a foreign file or a file that doesn't exist means the app
+ * is checking the bundle for real (checksums, a new layout); each is logged once and
+ * kept in the manifest's `reads` for `claude-cowork vm-bundle status`.
+ * Not seen: directory listings of the bundle, and reads by native code or
+ * child processes, which don't go through this process's fs module.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const util = require('util');
+const { DATA_DIR } = require('./config');
+
+const VM_BUNDLE_DIR = path.join(os.homedir(), '.config/Claude/vm_bundles');
+const VM_TMP_DIR = path.join(VM_BUNDLE_DIR, 'tmp');
+const CLAUDE_VM_BUNDLE = path.join(VM_BUNDLE_DIR, 'claudevm.bundle');
+const MANIFEST_FILE = path.join(DATA_DIR, 'vm-bundle-manifest.json');
+const WATCH_ENABLED = ['1', 'true'].includes(process.env.CLAUDE_VM_BUNDLE_WATCH);
+
+const PLACEHOLDER = 'linux-native-placeholder';
+
+// Bump `id` whenever the files change so existing installs are updated
+const MARKER_SET = {
+  id: 'linux-native-1',
+  files: {
+    'bundle_complete': PLACEHOLDER,
+    'rootfs.img': PLACEHOLDER,
+    'rootfs.img.zst': PLACEHOLDER,
+    'vmlinux': PLACEHOLDER,
+    'config.json': '{"version":"linux-native","skip_vm":true}',
+    'version': '999.0.0-linux-native',
+  },
+};
+
+// Contents any of our marker sets has written, so files from before the
+// manifest existed are still recognised as ours
+const KNOWN_PLACEHOLDERS = new Set([PLACEHOLDER, ...Object.values(MARKER_SET.files)]);
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeManifest(manifest) {
+  try {
+    fs.mkdirSync(path.dirname(MANIFEST_FILE), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2), { mode: 0o600 });
+  } catch (e) {
+    console.error('[VMBundle] Could not write manifest:', e.message);
+  }
+}
+
+function readIfExists(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Was this file written by us (this or an earlier marker set)?
+function isOurs(previous, name, data) {
+  const recorded = previous && previous.files && previous.files[name];
+  if (recorded) return recorded.owner === 'cowork' && recorded.sha256 === sha256(data);
+  return KNOWN_PLACEHOLDERS.has(data.toString());
+}
+
+// Kernel start time of a live process (/proc/<pid>/stat field 22), or null
+function processStart(pid) {
+  try {
+    const raw = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    const fields = raw.slice(raw.lastIndexOf(')') + 2).split(' ');
+    return fields[0] === 'Z' ? null : parseInt(fields[19], 10);
+  } catch (e) {
+    return null;
+  }
+}
+
+// The pid of the process holding the bundle, if it still runs
+function liveHolder(manifest = readManifest()) {
+  const holder = manifest && manifest.holder;
+  if (!holder || !holder.pid) return null;
+  const start = processStart(holder.pid);
+  return start !== null && start === holder.start ? holder.pid : null;
+}
+
+function refuseWhileHeld(action) {
+  const pid = liveHolder();
+  if (pid) throw new Error(`Cannot ${action} ${CLAUDE_VM_BUNDLE}: Claude (pid ${pid}) is still using it; quit it first`);
+}
+
+// ============================================================
+// Lifecycle
+// ============================================================
+
+// Write the marker set, keeping foreign files. Returns the manifest.
+function ensureBundle() {
+  return withoutWatch(writeMarkers);
+}
+
+function writeMarkers() {
+  const previous = readManifest();
+  fs.mkdirSync(CLAUDE_VM_BUNDLE, { recursive: true, mode: 0o755 });
+
+  const files = {};
+  for (const [name, content] of Object.entries(MARKER_SET.files)) {
+    const file = path.join(CLAUDE_VM_BUNDLE, name);
+    const existing = readIfExists(file);
+    if (existing && !isOurs(previous, name, existing)) {
+      files[name] = { owner: 'foreign', sha256: sha256(existing), size: existing.length };
+      continue;
+    }
+    if (!existing || existing.toString() !== content) {
+      fs.writeFileSync(file, content, { mode: 0o644 });
+    }
+    files[name] = { owner: 'cowork', sha256: sha256(content), size: Buffer.byteLength(content) };
+  }
+
+  const manifest = {
+    markerSet: MARKER_SET.id,
+    bundleDir: CLAUDE_VM_BUNDLE,
+    updatedAt: new Date().toISOString(),
+    holder: { pid: process.pid, start: processStart(process.pid) },
+    files,
+    // Reads seen against an older marker set say nothing about this one
+    reads: previous && previous.markerSet === MARKER_SET.id ? previous.reads || [] : [],
+  };
+  writeManifest(manifest);
+
+  if (previous && previous.markerSet !== MARKER_SET.id) {
+    console.log(`[VMBundle] Updated markers ${previous.markerSet} -> ${MARKER_SET.id}`);
+  }
+  return manifest;
+}
+
+function dirStats(dir) {
+  let entries = 0;
+  let bytes = 0;
+  const walk = (p) => {
+    let stat;
+    try { stat = fs.lstatSync(p); } catch (e) { return; }
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(p)) {
+        if (p === dir) entries++;
+        walk(path.join(p, name));
+      }
+    } else {
+      bytes += stat.size;
+    }
+  };
+  walk(dir);
+  return { entries, bytes };
+}
+
+// Current state of every file in the bundle against the manifest
+function getStatus() {
+  return withoutWatch(collectStatus);
+}
+
+function collectStatus() {
+  const manifest = readManifest();
+  const files = [];
+  const names = new Set(Object.keys(MARKER_SET.files));
+  try {
+    for (const name of fs.readdirSync(CLAUDE_VM_BUNDLE)) names.add(name);
+  } catch (e) {}
+
+  for (const name of [...names].sort()) {
+    const recorded = manifest && manifest.files && manifest.files[name];
+    const data = readIfExists(path.join(CLAUDE_VM_BUNDLE, name));
+    let state;
+    if (!data) state = 'missing';
+    else if (!recorded) state = 'unknown';
+    else if (recorded.sha256 !== sha256(data)) state = 'modified';
+    else state = recorded.owner;
+    files.push({ name, state, size: data ? data.length : 0 });
+  }
+
+  return {
+    bundleDir: CLAUDE_VM_BUNDLE,
+    manifestFile: MANIFEST_FILE,
+    markerSet: manifest ? manifest.markerSet : null,
+    currentMarkerSet: MARKER_SET.id,
+    updatedAt: manifest ? manifest.updatedAt : null,
+    heldBy: liveHolder(manifest),
+    files,
+    reads: manifest ? manifest.reads || [] : [],
+    tmp: { dir: VM_TMP_DIR, ...dirStats(VM_TMP_DIR) },
+  };
+}
+
+// Empty vm_bundles/tmp, keeping the directory (it is TMPDIR)
+function clearTmp() {
+  let removed = 0;
+  let names = [];
+  try { names = fs.readdirSync(VM_TMP_DIR); } catch (e) {}
+  for (const name of names) {
+    fs.rmSync(path.join(VM_TMP_DIR, name), { recursive: true, force: true });
+    removed++;
+  }
+  return removed;
+}
+
+// Rewrite the bundle from scratch; foreign files are removed too
+function resetBundle() {
+  refuseWhileHeld('reset');
+  fs.rmSync(CLAUDE_VM_BUNDLE, { recursive: true, force: true });
+  fs.rmSync(MANIFEST_FILE, { force: true });
+  const tmpRemoved = clearTmp();
+  return { manifest: ensureBundle(), tmpRemoved };
+}
+
+// Remove everything; the next launch recreates the markers
+function purgeBundle() {
+  refuseWhileHeld('purge');
+  fs.rmSync(CLAUDE_VM_BUNDLE, { recursive: true, force: true });
+  fs.rmSync(MANIFEST_FILE, { force: true });
+  return { tmpRemoved: clearTmp() };
+}
+
+// ============================================================
+// Read detection
+// ============================================================
+
+let watching = false;
+let currentFiles = null;
+let selfAccess = 0; // our own reads (ensureBundle, getStatus) aren't the app's
+
+function withoutWatch(fn) {
+  selfAccess++;
+  try {
+    return fn();
+  } finally {
+    selfAccess--;
+  }
+}
+
+function bundleRelative(p) {
+  if (p instanceof URL) p = p.protocol === 'file:' ? fileURLToPath(p) : '';
+  else if (Buffer.isBuffer(p)) p = p.toString();
+  if (typeof p !== 'string' || !p.startsWith(CLAUDE_VM_BUNDLE + path.sep)) return null;
+  const name = path.relative(CLAUDE_VM_BUNDLE, path.resolve(p));
+  return name.startsWith('..') ? null : name;
+}
+
+function noteRead(p, via) {
+  const name = bundleRelative(p);
+  if (!name) return;
+  if (!currentFiles) currentFiles = (readManifest() || {}).files || {};
+
+  const recorded = currentFiles[name];
+  let kind;
+  if (recorded && recorded.owner === 'cowork') kind = 'placeholder';
+  else if (fs.existsSync(path.join(CLAUDE_VM_BUNDLE, name))) kind = 'foreign';
+  else kind = 'missing';
+
+  const manifest = readManifest();
+  if (!manifest) return;
+  manifest.reads = manifest.reads || [];
+  let entry = manifest.reads.find(r => r.file === name && r.kind === kind);
+  if (!entry) {
+    entry = { file: name, kind, via, count: 0, firstSeen: new Date().toISOString() };
+    manifest.reads.push(entry);
+    console.warn(`[VMBundle] App read ${kind} bundle file ${name} (${via}) - see claude-cowork vm-bundle status`);
+  }
+  entry.count++;
+  writeManifest(manifest);
+}
+
+// Only the first read of a given file per process is recorded. Returns
+// false unless CLAUDE_VM_BUNDLE_WATCH is set.
+function watchReads() {
+  if (!WATCH_ENABLED) return false;
+  if (watching) return true;
+  watching = true;
+  const seen = new Set();
+  const note = (p, via) => {
+    try {
+      if (selfAccess) return;
+      const key = String(p);
+      if (seen.has(key)) return;
+      if (bundleRelative(p) === null) return;
+      seen.add(key);
+      // noteRead's own existsSync is hooked too
+      withoutWatch(() => noteRead(p, via));
+    } catch (e) {}
+  };
+
+  // Wrapped one by one: readFileSync (utf-8) and the stat family don't go
+  // through fs.open
+  const wrap = (obj, method, via) => {
+    const original = obj[method];
+    obj[method] = function(p, ...rest) {
+      note(p, via);
+      return original.call(this, p, ...rest);
+    };
+    // fs.exists has its own promisified form
+    if (original[util.promisify.custom]) obj[method][util.promisify.custom] = original[util.promisify.custom];
+  };
+  for (const method of [
+    'open', 'openSync', 'readFile', 'readFileSync', 'createReadStream',
+    'stat', 'statSync', 'lstat', 'lstatSync', 'access', 'accessSync', 'exists', 'existsSync',
+  ]) {
+    wrap(fs, method, `fs.${method}`);
+  }
+  for (const method of ['open', 'readFile', 'stat', 'lstat', 'access']) {
+    wrap(fs.promises, method, `fs.promises.${method}`);
+  }
+  return true;
+}
+
+module.exports = {
+  MARKER_SET,
+  VM_BUNDLE_DIR,
+  VM_TMP_DIR,
+  CLAUDE_VM_BUNDLE,
+  MANIFEST_FILE,
+  WATCH_ENABLED,
+  ensureBundle,
+  getStatus,
+  clearTmp,
+  resetBundle,
+  purgeBundle,
+  watchReads,
+};
@@ -7,87 +7,24 @@
  * IPC handler overrides, and BrowserWindow frame fixes.
  *
  * CRITICAL ORDER OF OPERATIONS:
- * 0. TMPDIR fix + os.tmpdir() patch (fixes EXDEV cross-device rename)
- * 1. Platform spoofing (immediate - patches process.platform AND os.platform())
+ * 0. Bootstrap: TMPDIR fix, EXDEV rename, platform spoofing (lib/bootstrap.js)
+ * 1. Spoof profile for the version/User-Agent/header patches
  * 2. Module interception (BEFORE electron require!)
  * 3. Electron patching (safe now that interception is active)
  * 4. Load application
  */
 
 // ============================================================
-// 0. TMPDIR FIX - MUST BE ABSOLUTELY FIRST
+// 0. BOOTSTRAP - MUST BE ABSOLUTELY FIRST
 // ============================================================
-// Fix EXDEV error: App downloads VM to /tmp (tmpfs) then tries to
-// rename() to ~/.config/Claude/ (disk). rename() can't cross filesystems.
+// TMPDIR fix, VM bundle markers, EXDEV rename fallback and platform
+// spoofing, shared with frame-fix-wrapper.js (see lib/bootstrap.js)
 const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const bootstrap = require('./lib/bootstrap');
 
-const vmBundleDir = path.join(os.homedir(), '.config/Claude/vm_bundles');
-const vmTmpDir = path.join(vmBundleDir, 'tmp');
-const claudeVmBundle = path.join(vmBundleDir, 'claudevm.bundle');
-
-try {
-  fs.mkdirSync(vmTmpDir, { recursive: true, mode: 0o700 });
-  process.env.TMPDIR = vmTmpDir;
-  process.env.TMP = vmTmpDir;
-  process.env.TEMP = vmTmpDir;
-  os.tmpdir = function() { return vmTmpDir; };
-
-  // Pre-create VM bundle to skip download (we run native, no VM needed)
-  fs.mkdirSync(claudeVmBundle, { recursive: true, mode: 0o755 });
-  const markers = ['bundle_complete', 'rootfs.img', 'rootfs.img.zst', 'vmlinux', 'config.json'];
-  for (const m of markers) {
-    const p = path.join(claudeVmBundle, m);
-    if (!fs.existsSync(p)) {
-      if (m === 'config.json') {
-        fs.writeFileSync(p, '{"version":"linux-native","skip_vm":true}', { mode: 0o644 });
-      } else {
-        fs.writeFileSync(p, 'linux-native-placeholder', { mode: 0o644 });
-      }
-    }
-  }
-  fs.writeFileSync(path.join(claudeVmBundle, 'version'), '999.0.0-linux-native', { mode: 0o644 });
-  console.log('[TMPDIR] Fixed: ' + vmTmpDir);
-} catch (e) {
-  console.error('[TMPDIR] Setup failed:', e.message);
-}
-
-// ============================================================
-// 0b. PATCH fs.rename TO HANDLE EXDEV (cross-device) ERRORS
-// ============================================================
-const originalRename = fs.rename;
-const originalRenameSync = fs.renameSync;
-
-fs.rename = function(oldPath, newPath, callback) {
-  originalRename(oldPath, newPath, (err) => {
-    if (err && err.code === 'EXDEV') {
-      const readStream = fs.createReadStream(oldPath);
-      const writeStream = fs.createWriteStream(newPath);
-      readStream.on('error', callback);
-      writeStream.on('error', callback);
-      writeStream.on('close', () => {
-        fs.unlink(oldPath, (unlinkErr) => callback(null));
-      });
-      readStream.pipe(writeStream);
-    } else {
-      callback(err);
-    }
-  });
-};
-
-fs.renameSync = function(oldPath, newPath) {
-  try {
-    return originalRenameSync(oldPath, newPath);
-  } catch (err) {
-    if (err.code === 'EXDEV') {
-      fs.copyFileSync(oldPath, newPath);
-      fs.unlinkSync(oldPath);
-      return;
-    }
-    throw err;
-  }
-};
+bootstrap.bootstrap({ entry: 'linux-loader', appDir: path.join(__dirname, 'app') });
 
 const Module = require('module');
 
@@ -101,65 +38,27 @@ const RESOURCES_DIR = __dirname;
 const STUB_PATH = path.join(RESOURCES_DIR, 'stubs', '@ant', 'claude-swift', 'js', 'index.js');
 
 // ============================================================
-// 1. PLATFORM/ARCH/VERSION SPOOFING (must be first!)
+// 1. SPOOF PROFILE
 // ============================================================
-// Spoof for app code only - Electron and Node internals need real platform
-
-function isSystemCall(stack) {
-  return stack.includes('node:internal') ||
-         stack.includes('internal/modules') ||
-         stack.includes('node:electron') ||
-         stack.includes('electron/js2c') ||
-         stack.includes('electron.asar') ||
-         stack.includes('linux-loader.js') ||
-         stack.includes('frame-fix-wrapper');
-}
-
-Object.defineProperty(process, 'platform', {
-  get() {
-    const stack = new Error().stack || '';
-    const callerFrames = stack.split('\n').slice(2).join('\n');
-    if (isSystemCall(callerFrames)) return REAL_PLATFORM;
-    return 'darwin';
-  },
-  configurable: true
-});
-
-Object.defineProperty(process, 'arch', {
-  get() {
-    const stack = new Error().stack || '';
-    const callerFrames = stack.split('\n').slice(2).join('\n');
-    if (isSystemCall(callerFrames)) return REAL_ARCH;
-    return 'arm64';
-  },
-  configurable: true
-});
+// The getters were installed by bootstrap; the same profile drives the
+// version, User-Agent and header patches below.
 
-const originalOsPlatform = os.platform;
-const originalOsArch = os.arch;
-
-os.platform = function() {
-  const stack = new Error().stack || '';
-  const callerFrames = stack.split('\n').slice(2).join('\n');
-  if (isSystemCall(callerFrames)) return originalOsPlatform.call(os);
-  return 'darwin';
-};
-
-os.arch = function() {
-  const stack = new Error().stack || '';
-  const callerFrames = stack.split('\n').slice(2).join('\n');
-  if (isSystemCall(callerFrames)) return originalOsArch.call(os);
-  return 'arm64';
-};
-
-process.getSystemVersion = function() { return '14.0.0'; };
-
-console.log('[Platform] Spoofing: darwin/arm64 macOS 14.0');
+const { rewriteUserAgent } = require('./lib/spoof-profile');
+const platformSpoof = require('./lib/platform-spoof');
+const spoofProfile = platformSpoof.getProfile();
 
 // ============================================================
 // 2. MODULE INTERCEPTION - MUST BE BEFORE ELECTRON REQUIRE!
 // ============================================================
 
+const unhandledTracker = require('./lib/unhandled-tracker');
+const { createEipcRecorder } = require('./lib/eipc-recorder');
+
+// CLAUDE_EIPC_RECORD=<file|1> writes every eipc call, and every call the
+// app makes into the stubs, to JSONL (tools/eipc-replay.js)
+const eipcRecorder = createEipcRecorder();
+const STUB_REQUEST = /^@ant(hropic-ai)?\/claude-(swift|native)(\/js)?(\/index(\.js)?)?$/;
+
 const originalLoad = Module._load;
 let swiftStubCache = null;
 let loadingStub = false;
@@ -170,7 +69,9 @@ function loadSwiftStub() {
   loadingStub = true;
   try {
     delete require.cache[STUB_PATH];
-    swiftStubCache = originalLoad.call(Module, STUB_PATH, module, false);
+    // Wrapped so members the app reads but the stub lacks get recorded
+    swiftStubCache = unhandledTracker.wrapStub('swift', originalLoad.call(Module, STUB_PATH, module, false));
+    if (eipcRecorder) swiftStubCache = eipcRecorder.wrapStub('swift', swiftStubCache);
   } finally {
     loadingStub = false;
   }
@@ -186,11 +87,15 @@ Module._load = function(request, _parent, _isMain) {
     return loadSwiftStub();
   }
   if (request.includes('claude-native-binding') && request.endsWith('.node')) {
-    return {};
+    return unhandledTracker.wrapStub('claude-native-binding', {});
   }
   if (request === 'electron' && patchedElectron) {
     return patchedElectron;
   }
+  const stub = eipcRecorder && STUB_REQUEST.exec(request);
+  if (stub) {
+    return eipcRecorder.wrapStub(stub[2], originalLoad.apply(this, arguments));
+  }
 
   return originalLoad.apply(this, arguments);
 };
@@ -204,7 +109,7 @@ console.log('[Module] Swift interception enabled');
 const electron = require('electron');
 
 // Patch app version - needed for anthropic-client-version header
-const APP_VERSION = '1.1.2156';
+const APP_VERSION = spoofProfile.appVersion;
 electron.app.getVersion = function() { return APP_VERSION; };
 electron.app.setVersion = function(v) {};
 console.log(`[Version] Patched app.getVersion() to return ${APP_VERSION}`);
@@ -213,13 +118,8 @@ console.log(`[Version] Patched app.getVersion() to return ${APP_VERSION}`);
 electron.app.on('ready', () => {
   const ses = electron.session.defaultSession;
   const defaultUA = ses.getUserAgent();
-  const macUA = defaultUA
-    .replace(/X11; Linux x86_64/g, 'Macintosh; Intel Mac OS X 14_0')
-    .replace(/X11; Linux aarch64/g, 'Macintosh; Apple M1 Mac OS X 14_0')
-    .replace(/Electron\/[\d.]+/g, `Electron/39.4.0`)
-    .replace(/Claude\/[\d.]+/g, `Claude/${APP_VERSION}`);
-  ses.setUserAgent(macUA);
-  console.log('[UserAgent] Spoofed to macOS');
+  ses.setUserAgent(rewriteUserAgent(defaultUA, spoofProfile));
+  console.log(`[UserAgent] Spoofed to macOS (${spoofProfile.sources.userAgent})`);
 });
 
 // Intercept outgoing HTTP headers to fix platform detection
@@ -242,7 +142,7 @@ electron.app.on('ready', () => {
         handler(details, (result) => {
           const headers = result?.requestHeaders || details.requestHeaders;
           if (headers['anthropic-client-os-platform']) {
-            headers['anthropic-client-os-platform'] = 'darwin';
+            headers['anthropic-client-os-platform'] = spoofProfile.platform;
           }
           callback({ requestHeaders: headers, cancel: result?.cancel });
         });
@@ -400,71 +300,29 @@ console.log('[Electron] Patched (systemPreferences + BrowserWindow + Menu)');
 
 const { ipcMain } = electron;
 
-const supported = { status: 'supported' };
-const unsupported = (reason) => ({ status: 'unsupported', reason });
-const FORCE_OVERRIDES = {
-  'AppFeatures_$_getSupportedFeatures': async () => ({
-    nativeQuickEntry: unsupported('linux'),
-    quickEntryDictation: unsupported('linux'),
-    customQuickEntryDictationShortcut: unsupported('linux'),
-    plushRaccoon: supported,
-    quietPenguin: supported,
-    louderPenguin: supported,
-    chillingSlothEnterprise: supported,
-    chillingSlothFeat: supported,
-    chillingSlothLocal: supported,
-    yukonSilver: supported,
-    yukonSilverGems: supported,
-    desktopTopBar: supported,
-    desktopVoiceDictation: unsupported('linux'),
-  }),
-  'AppFeatures_$_getCoworkFeatureState': async () => ({
-    enabled: true, status: 'supported', reason: null,
-  }),
-  'AppFeatures_$_getYukonSilverStatus': async () => ({
-    status: 'supported',
-  }),
-  'AppFeatures_$_getFeatureFlags': async () => ({
-    yukonSilver: true, cowork: true, localAgentMode: true,
-  }),
-};
+const { FORCE_OVERRIDES, ERROR_FALLBACKS } = require('./lib/ipc-builtins');
+const { createOverrideRegistry } = require('./lib/ipc-overrides');
+const { LOG_DIR } = require('./lib/config');
 
-const ERROR_FALLBACKS = {
-  'ClaudeVM_$_download': async () => ({ status: 'ready', downloaded: true, progress: 100 }),
-  'ClaudeVM_$_getDownloadStatus': async () => ({ status: 'ready', downloaded: true, progress: 100, version: 'linux-native-1.0.0' }),
-  'ClaudeVM_$_getRunningStatus': async () => ({ running: true, connected: true, status: 'connected' }),
-  'ClaudeVM_$_start': async () => ({ started: true, status: 'running' }),
-  'ClaudeVM_$_stop': async () => ({ stopped: true }),
-  'ClaudeVM_$_getSupportStatus': async () => ({ status: 'supported' }),
-  'ClaudeCode_$_prepare': async () => ({ ready: true, status: 'ready' }),
-  'Account_$_setAccountDetails': async () => ({ success: true }),
-  'QuickEntry_$_setRecentChats': async () => ({ success: true }),
-};
+// Built-ins merged with ~/.config/claude-cowork/ipc-overrides.{js,json},
+// reloaded live. Handlers resolve through it on every call.
+const overrideRegistry = createOverrideRegistry({
+  forceOverrides: FORCE_OVERRIDES,
+  errorFallbacks: ERROR_FALLBACKS,
+});
+overrideRegistry.watch();
+
+if (eipcRecorder) overrideRegistry.setCallObserver(eipcRecorder.record);
 
 const origHandle = ipcMain.handle.bind(ipcMain);
 const origRemoveHandler = ipcMain.removeHandler.bind(ipcMain);
 
 ipcMain.handle = function(channel, handler) {
-  for (const [pattern, override] of Object.entries(FORCE_OVERRIDES)) {
-    if (channel.includes(pattern)) return origHandle(channel, override);
-  }
-  for (const [pattern, fallback] of Object.entries(ERROR_FALLBACKS)) {
-    if (channel.includes(pattern)) {
-      const appHandler = handler;
-      const safeHandler = async (...args) => {
-        try { return await appHandler(...args); }
-        catch (e) { return await fallback(...args); }
-      };
-      return origHandle(channel, safeHandler);
-    }
-  }
-  return origHandle(channel, handler);
+  return origHandle(channel, overrideRegistry.intercept(channel, handler));
 };
 
 ipcMain.removeHandler = function(channel) {
-  for (const pattern of Object.keys(FORCE_OVERRIDES)) {
-    if (channel.includes(pattern)) return;
-  }
+  if (overrideRegistry.isForced(channel)) return;
   return origRemoveHandler(channel);
 };
 
@@ -481,48 +339,73 @@ electron.app.on('web-contents-created', (event, webContents) => {
 
   const origWcHandle = webContents.ipc.handle.bind(webContents.ipc);
   webContents.ipc.handle = function(channel, handler) {
-    for (const [pattern, override] of Object.entries(FORCE_OVERRIDES)) {
-      if (channel.includes(pattern)) return origWcHandle(channel, override);
-    }
-    for (const [pattern, fallback] of Object.entries(ERROR_FALLBACKS)) {
-      if (channel.includes(pattern)) {
-        const appHandler = handler;
-        const safeHandler = async (evt, ...args) => {
-          try { return await appHandler(evt, ...args); }
-          catch (e) { return await fallback(evt, ...args); }
-        };
-        return origWcHandle(channel, safeHandler);
-      }
-    }
-    return origWcHandle(channel, handler);
+    return origWcHandle(channel, overrideRegistry.intercept(channel, handler));
   };
 
   const origWcRemove = webContents.ipc.removeHandler.bind(webContents.ipc);
   webContents.ipc.removeHandler = function(channel) {
-    for (const pattern of Object.keys(FORCE_OVERRIDES)) {
-      if (channel.includes(pattern)) return;
-    }
+    if (overrideRegistry.isForced(channel)) return;
     return origWcRemove(channel);
   };
 });
 
+// Record which overrides matched a registered channel this run
+process.on('exit', () => {
+  try {
+    const report = overrideRegistry.getMatchReport();
+    fs.mkdirSync(LOG_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(LOG_DIR, 'ipc-override-matches.json'),
+      JSON.stringify(report, null, 2), { mode: 0o600 });
+  } catch (e) {}
+});
+
 console.log('[IPC] Handler interception ready');
 
+// Background sweeps of old session data, logs and VM tmp (lib/retention.js)
+electron.app.on('ready', () => require('./lib/retention').startSweeper());
+
+// Which bootstrap patches are active, and which entry point applied them;
+// by now the wrapper has run its bootstrap() too
+electron.app.on('ready', () => {
+  const patches = bootstrap.getRegistry();
+  const failed = patches.filter(p => p.status === 'failed');
+  if (failed.length) {
+    console.error('[Bootstrap] Not active: ' + failed.map(p => `${p.name} (${p.error})`).join(', '));
+  }
+  try {
+    fs.mkdirSync(LOG_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(LOG_DIR, 'bootstrap-report.json'),
+      JSON.stringify({ pid: process.pid, patches }, null, 2), { mode: 0o600 });
+  } catch (e) {}
+});
+
+// Spoof getter cost at startup and over the whole run (bench mode only)
+electron.app.on('ready', () => platformSpoof.logReport('startup', LOG_DIR));
+process.on('exit', () => platformSpoof.logReport('exit', LOG_DIR));
+
 // ============================================================
 // 6. ERROR HANDLING
 // ============================================================
 
+// "No handler registered" / "<stub>.x is not a function" mean the app
+// expects a channel or stub method we don't provide. Record the gap
+// instead of crashing; the report on exit says what to add.
 process.on('uncaughtException', (error) => {
-  if (error.message && (
-    error.message.includes('is not a function') ||
-    error.message.includes('No handler registered')
-  )) {
+  if (unhandledTracker.noteError(error)) {
     console.error('[Error] Caught:', error.message);
     return;
   }
   throw error;
 });
 
+process.on('exit', () => {
+  try {
+    const report = unhandledTracker.writeReport();
+    const gaps = report.channels.length + report.methods.length;
+    if (gaps) console.log(`[Unhandled] ${gaps} gap(s) - see ${path.join(LOG_DIR, 'unhandled-report.json')}`);
+  } catch (e) {}
+});
+
 // ============================================================
 // 7. LOAD APPLICATION
 // ============================================================
@@ -9,7 +9,8 @@
  * native module init code never runs.
  *
  * Missing handlers identified from loader-trace.log:
- * - LocalAgentModeSessions_$_getAll
+ * - LocalAgentModeSessions_$_getAll (plus _$_rename/_$_delete, from the
+ *   swift stub's session-handlers.js)
  * - ClaudeCode_$_prepare
  * - ClaudeVM_$_download/getDownloadStatus/getRunningStatus/start
  * - WindowControl_$_setThemeMode
@@ -74,14 +75,33 @@ function safeHandle(channel, handler) {
   }
 }
 
+// session-handlers.js ships with the swift stub, which install.sh places
+// next to this package in every node_modules namespace
+let sessionHandlers;
+function loadSessionHandlers() {
+  if (sessionHandlers === undefined) {
+    try {
+      sessionHandlers = require(path.join(__dirname, '..', 'claude-swift', 'js', 'session-handlers'));
+    } catch (e) {
+      log('Session index not available:', e.message);
+      sessionHandlers = null;
+    }
+  }
+  return sessionHandlers;
+}
+
 function registerCriticalHandlers() {
   log('Registering critical IPC handlers...');
 
-  // Local Agent Mode Sessions
-  safeHandle('LocalAgentModeSessions_$_getAll', async () => {
-    trace('IPC', 'LocalAgentModeSessions_$_getAll called');
-    return []; // Return empty sessions list
-  });
+  // Local Agent Mode Sessions - the same handlers as the loader's overrides
+  const unavailable = { success: false, error: 'session index unavailable' };
+  for (const [name, fallback] of [['getAll', []], ['rename', unavailable], ['delete', unavailable]]) {
+    safeHandle(`LocalAgentModeSessions_$_${name}`, async (event, ...args) => {
+      trace('IPC', `LocalAgentModeSessions_$_${name} called`, { args });
+      const handlers = loadSessionHandlers();
+      return handlers ? handlers[name](event, ...args) : fallback;
+    });
+  }
 
   // Claude Code
   safeHandle('ClaudeCode_$_prepare', async () => {
@@ -0,0 +1,180 @@
+/**
+ * claude-binary.js - Find the Claude Code CLI that vm.spawn runs
+ *
+ * The app asks for /usr/local/bin/claude inside the VM. On Linux we run a
+ * host binary instead, picked from (first that passes `--version` wins):
+ *
+ *   1. config    CLAUDE_CODE_BINARY, or "binary" in
+ *                ~/.config/claude-cowork/claude-code.json
+ *   2. vm        newest ~/.config/Claude/claude-code-vm/<version>/claude
+ *                (where the app downloads it)
+ *   3. path      `claude` on PATH
+ *
+ * resolve() looks again on every call, so a version the app downloads
+ * mid-session is picked up; `--version` only runs once per binary (and
+ * mtime) unless resolve({ refresh: true }), asynchronously so a slow
+ * binary never blocks the main process. The result says why candidates
+ * were rejected, so the ClaudeCode_$_prepare fallback can report real
+ * readiness.
+ *
+ * Shared by the swift stub and the loader (lib/ipc-builtins.js); keep it
+ * free of Electron and app dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { CONFIG_DIR, readJsonConfig, expandHome } = require('./cowork-config');
+
+const VM_BINARY_DIR = path.join(os.homedir(), '.config/Claude/claude-code-vm');
+const CONFIG_FILE = path.join(CONFIG_DIR, 'claude-code.json');
+const VERSION_TIMEOUT_MS = 10000;
+
+let lastPath;
+const versionCache = new Map(); // "path:mtimeMs" -> Promise of { version } | { error }
+
+// Numeric compare of dotted versions; non-numeric parts sort last
+function compareVersions(a, b) {
+  const pa = a.split(/[.-]/).map(n => parseInt(n, 10));
+  const pb = b.split(/[.-]/).map(n => parseInt(n, 10));
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const x = Number.isNaN(pa[i]) || pa[i] === undefined ? -1 : pa[i];
+    const y = Number.isNaN(pb[i]) || pb[i] === undefined ? -1 : pb[i];
+    if (x !== y) return x - y;
+  }
+  return 0;
+}
+
+function isExecutable(file) {
+  try {
+    const stat = fs.statSync(file);
+    if (!stat.isFile()) return false;
+    fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function configuredBinary() {
+  if (process.env.CLAUDE_CODE_BINARY) {
+    return { path: process.env.CLAUDE_CODE_BINARY, origin: 'CLAUDE_CODE_BINARY' };
+  }
+  const config = readJsonConfig(path.basename(CONFIG_FILE), {});
+  if (config && typeof config.binary === 'string' && config.binary) {
+    return { path: expandHome(config.binary), origin: CONFIG_FILE };
+  }
+  return null;
+}
+
+// Newest first
+function vmBinaries() {
+  let versions = [];
+  try {
+    versions = fs.readdirSync(VM_BINARY_DIR).filter(v => /^\d/.test(v));
+  } catch (e) {
+    return [];
+  }
+  return versions
+    .sort((a, b) => compareVersions(b, a))
+    .map(version => ({ path: path.join(VM_BINARY_DIR, version, 'claude'), dirVersion: version }));
+}
+
+function pathBinary() {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    const candidate = path.join(dir, 'claude');
+    if (isExecutable(candidate)) return candidate;
+  }
+  return null;
+}
+
+function runVersion(binary) {
+  return new Promise((resolve) => {
+    execFile(binary, ['--version'], {
+      encoding: 'utf-8',
+      timeout: VERSION_TIMEOUT_MS,
+    }, (err, out) => {
+      if (err) {
+        resolve({ error: `--version failed: ${err.message.split('\n')[0]}` });
+        return;
+      }
+      const match = /(\d+\.\d+\.\d+[\w.-]*)/.exec(String(out));
+      resolve(match ? { version: match[1] } : { error: `unrecognised --version output: ${String(out).trim().slice(0, 80)}` });
+    });
+  });
+}
+
+// Run `<binary> --version` once per binary (and mtime); concurrent callers
+// share the run
+function checkVersion(binary) {
+  let key;
+  try {
+    key = `${binary}:${fs.statSync(binary).mtimeMs}`;
+  } catch (e) {
+    return Promise.resolve({ error: `not found: ${binary}` });
+  }
+  if (!versionCache.has(key)) {
+    versionCache.set(key, isExecutable(binary)
+      ? runVersion(binary)
+      : Promise.resolve({ error: `not executable: ${binary}` }));
+  }
+  return versionCache.get(key);
+}
+
+function candidates() {
+  const list = [];
+  const configured = configuredBinary();
+  if (configured) list.push({ source: 'config', path: configured.path, origin: configured.origin });
+  for (const entry of vmBinaries()) list.push({ source: 'vm', ...entry });
+  const onPath = pathBinary();
+  if (onPath) list.push({ source: 'path', path: onPath });
+  return list;
+}
+
+// Resolves { ok, path, version, source, checkedAt, rejected: [{ source, path, error }], error }
+async function resolve({ refresh = false } = {}) {
+  if (refresh) versionCache.clear();
+
+  const rejected = [];
+  let found = null;
+  for (const candidate of candidates()) {
+    const check = await checkVersion(candidate.path);
+    if (check.version) {
+      found = { ...candidate, version: check.version };
+      break;
+    }
+    rejected.push({ source: candidate.source, path: candidate.path, error: check.error });
+  }
+
+  const result = {
+    ok: !!found,
+    path: found ? found.path : null,
+    version: found ? found.version : null,
+    source: found ? found.source : null,
+    checkedAt: new Date().toISOString(),
+    rejected,
+    error: found ? null : (rejected.length
+      ? `no working Claude Code binary (${rejected.map(r => `${r.source}: ${r.error}`).join('; ')})`
+      : `Claude Code not installed (looked in ${VM_BINARY_DIR} and PATH)`),
+  };
+
+  // Log when the choice changes, not on every spawn
+  if (result.path !== lastPath) {
+    lastPath = result.path;
+    if (found) {
+      console.log(`[claude-binary] Claude Code ${found.version} (${found.source}): ${found.path}`);
+    } else {
+      console.error(`[claude-binary] ${result.error}`);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  resolve,
+  compareVersions,
+  VM_BINARY_DIR,
+  CONFIG_FILE,
+};
@@ -0,0 +1,43 @@
+/**
+ * cowork-config.js - User config for the swift stub's helper modules
+ *
+ * Same directory and error reporting as lib/config.js on the loader side
+ * (which the stub can't reach from the app's node_modules):
+ * ~/.config/claude-cowork/, or CLAUDE_COWORK_CONFIG_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = process.env.CLAUDE_COWORK_CONFIG_DIR ||
+  path.join(os.homedir(), '.config/claude-cowork');
+
+// Read a JSON file from CONFIG_DIR. Missing file -> fallback.
+// A file that exists but fails to parse is reported, not silently ignored.
+function readJsonConfig(name, fallback = null) {
+  const file = path.join(CONFIG_DIR, name);
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.error(`[Config] Ignoring ${file}: ${e.message}`);
+    return fallback;
+  }
+}
+
+// "~/x" -> "$HOME/x"
+function expandHome(p) {
+  return typeof p === 'string' ? p.replace(/^~(?=\/|$)/, os.homedir()) : p;
+}
+
+module.exports = {
+  CONFIG_DIR,
+  readJsonConfig,
+  expandHome,
+};
@@ -0,0 +1,212 @@
+/**
+ * domain-proxy.js - Local HTTP(S) proxy that enforces a session's allowedDomains
+ *
+ * vm.spawn gets an allowedDomains list from the app. On macOS the VM's
+ * network enforces it; here each spawn that receives a list gets its own
+ * proxy on 127.0.0.1, injected as HTTP_PROXY/HTTPS_PROXY. HTTPS goes
+ * through CONNECT (the proxy never sees the TLS contents), plain HTTP as
+ * absolute-URI requests. Anything not on the list gets a 403.
+ *
+ * Patterns:  example.com    that host only
+ *            *.example.com  any subdomain (not example.com itself)
+ *            *              everything (logging only)
+ *
+ * Every decision is appended to logs/domain-proxy.jsonl through one write
+ * stream, rotated to .old past 10MB like the trace log; denials are also
+ * logged to the console. This is a cooperative filter - a process that
+ * ignores HTTP(S)_PROXY is not stopped; CLAUDE_ISOLATE_NETWORK is the hard
+ * switch.
+ *
+ * `upstream(host, port)` maps where an allowed connection really goes, so
+ * tests can point allowed names at a local stand-in server and run offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+
+const LOG_DIR = path.join(os.homedir(), '.local/share/claude-cowork/logs');
+const DECISION_LOG = path.join(LOG_DIR, 'domain-proxy.jsonl');
+const MAX_LOG_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Shared by every proxy in this process
+let logStream = null;
+let logBytes = 0;
+
+function normalizePatterns(allowedDomains) {
+  return (allowedDomains || [])
+    .filter(d => typeof d === 'string' && d.trim())
+    .map(d => d.trim().toLowerCase().replace(/^\./, '*.').replace(/\.$/, ''));
+}
+
+function isAllowed(patterns, host) {
+  const h = String(host).toLowerCase().replace(/\.$/, '');
+  return patterns.some(p => {
+    if (p === '*') return true;
+    if (p.startsWith('*.')) return h.endsWith(p.slice(1));
+    return h === p;
+  });
+}
+
+// "host:port" / "[v6]:port" -> { host, port }
+function splitHostPort(authority, defaultPort) {
+  const m = /^\[([^\]]+)\](?::(\d+))?$/.exec(authority) || /^([^:]+)(?::(\d+))?$/.exec(authority);
+  if (!m) return null;
+  return { host: m[1], port: m[2] ? parseInt(m[2], 10) : defaultPort };
+}
+
+function openDecisionLog() {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+  try {
+    logBytes = fs.statSync(DECISION_LOG).size;
+  } catch (e) {
+    logBytes = 0;
+  }
+  if (logBytes > MAX_LOG_SIZE) {
+    fs.renameSync(DECISION_LOG, `${DECISION_LOG}.old`);
+    logBytes = 0;
+  }
+  const stream = fs.createWriteStream(DECISION_LOG, { flags: 'a', mode: 0o600 });
+  // Reopened on the next decision
+  stream.on('error', () => {
+    if (logStream === stream) logStream = null;
+  });
+  return stream;
+}
+
+function appendDecision(entry) {
+  try {
+    if (logStream && logBytes > MAX_LOG_SIZE) {
+      // Queued lines still land in the renamed file
+      logStream.end();
+      logStream = null;
+      fs.renameSync(DECISION_LOG, `${DECISION_LOG}.old`);
+    }
+    if (!logStream) logStream = openDecisionLog();
+    const line = JSON.stringify(entry) + '\n';
+    logStream.write(line);
+    logBytes += Buffer.byteLength(line);
+  } catch (e) {
+    // Logging must never break the connection
+  }
+}
+
+/**
+ * Start a proxy for one session.
+ *   session         label for the log (session / process name)
+ *   allowedDomains  patterns, see above; [] denies everything
+ *   upstream        (host, port) -> { host, port }; defaults to identity
+ *   onDecision      called with each log entry (tests, tracing)
+ *
+ * Resolves to { url, port, close(), patterns }.
+ */
+function startProxy({ session, allowedDomains, upstream = (host, port) => ({ host, port }), onDecision } = {}) {
+  const patterns = normalizePatterns(allowedDomains);
+  const sockets = new Set();
+
+  const decide = (method, host, port) => {
+    const allowed = isAllowed(patterns, host);
+    const entry = { time: new Date().toISOString(), session, method, host, port, allowed };
+    appendDecision(entry);
+    if (!allowed) console.error(`[domain-proxy] ${session}: denied ${method} ${host}:${port}`);
+    if (onDecision) onDecision(entry);
+    return allowed;
+  };
+
+  const server = http.createServer((req, res) => {
+    // Plain HTTP through a proxy: the request line carries an absolute URI
+    let target;
+    try {
+      target = new URL(req.url);
+    } catch (e) {
+      res.writeHead(400).end('absolute URI required\n');
+      return;
+    }
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    const port = parseInt(target.port, 10) || 80;
+    if (target.protocol !== 'http:' || !decide(req.method, host, port)) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' }).end(`${host} is not in this session's allowed domains\n`);
+      return;
+    }
+
+    const dest = upstream(host, port);
+    const headers = { ...req.headers };
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+    const forward = http.request({
+      host: dest.host,
+      port: dest.port,
+      method: req.method,
+      path: target.pathname + target.search,
+      headers,
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+    forward.on('error', (err) => {
+      if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'text/plain' });
+      res.end(`upstream error: ${err.message}\n`);
+    });
+    req.pipe(forward);
+  });
+
+  server.on('connect', (req, clientSocket, head) => {
+    // The server no longer listens for errors on a socket handed to
+    // 'connect'; a client reset after the 403 must not be uncaught
+    clientSocket.on('error', () => {});
+    const target = splitHostPort(req.url, 443);
+    if (!target || !decide('CONNECT', target.host, target.port)) {
+      clientSocket.end('HTTP/1.1 403 Forbidden\r\nContent-Type: text/plain\r\n\r\n' +
+        `${target ? target.host : req.url} is not in this session's allowed domains\n`);
+      return;
+    }
+
+    const dest = upstream(target.host, target.port);
+    let established = false;
+    const upstreamSocket = net.connect(dest.port, dest.host, () => {
+      established = true;
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head && head.length) upstreamSocket.write(head);
+      upstreamSocket.pipe(clientSocket);
+      clientSocket.pipe(upstreamSocket);
+    });
+    sockets.add(upstreamSocket);
+    upstreamSocket.on('close', () => sockets.delete(upstreamSocket));
+    upstreamSocket.on('error', (err) => {
+      if (established) clientSocket.destroy();
+      else clientSocket.end(`HTTP/1.1 502 Bad Gateway\r\n\r\nupstream error: ${err.message}\n`);
+    });
+    clientSocket.on('error', () => upstreamSocket.destroy());
+  });
+
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      server.removeListener('error', reject);
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        port,
+        patterns,
+        close() {
+          for (const socket of sockets) socket.destroy();
+          return new Promise(done => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  startProxy,
+  isAllowed,
+  normalizePatterns,
+  DECISION_LOG,
+};
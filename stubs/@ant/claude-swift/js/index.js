@@ -11,10 +11,24 @@
  */
 
 const EventEmitter = require('events');
+const { StringDecoder } = require('string_decoder');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { spawn: nodeSpawn, execFileSync } = require('child_process');
+const claudeBinary = require('./claude-binary');
+const sandboxProfiles = require('./sandbox-profiles');
+const domainProxy = require('./domain-proxy');
+const resourceLimits = require('./resource-limits');
+const sandboxBackends = require('./sandbox-backends');
+const processSupervisor = require('./process-supervisor');
+const sessionIndex = require('./session-index');
+const sessionHandlers = require('./session-handlers');
+const stdoutFraming = require('./stdout-framing');
+const readinessConfig = require('./readiness');
+const sessionFiles = require('./session-files');
+const sessionPaths = require('./session-paths');
+const liveMounts = require('./live-mounts');
 
 const LOG_PREFIX = '[claude-swift-stub]';
 const TRACE_ENABLED = !!process.env.CLAUDE_TRACE; // Controlled by env var
@@ -30,8 +44,16 @@ const LOG_FILE = path.join(LOG_DIR, 'claude-swift-trace.log');
 // Cache for created directories
 const CREATED_DIRS = new Set();
 
-// Resolve Claude binary path once at startup
-const CLAUDE_BINARY = path.join(os.homedir(), '.config/Claude/claude-code-vm/2.1.5/claude');
+// How long after a spawn exits its stdout/stderr may stay open before the
+// exit is reported regardless
+const STDIO_DRAIN_MS = 2000;
+
+// At app shutdown sessions get SIGTERM, and SIGKILL this long after
+const SHUTDOWN_KILL_MS = 1500;
+
+// Once its group is gone, how long vm.kill waits for the child's 'exit'
+// to report its status
+const KILL_EXIT_WAIT_MS = 1000;
 
 // Ensure directories exist
 try {
@@ -72,6 +94,22 @@ function trace(category, msg, data = null) {
 console.log(`${LOG_PREFIX} LOADING MODULE`);
 console.log(`${LOG_PREFIX} process.platform at load time: ${process.platform}`);
 
+// Pick the sandbox backend now, so the log says which one (and why) before
+// the first session starts
+sandboxBackends.detect();
+
+// Sessions left running by a previous launch that died without cleaning up
+processSupervisor.reapOrphans();
+process.on('exit', () => processSupervisor.terminateAll());
+
+// Fail every vm.writeStdin() still waiting for its process to become ready
+function rejectQueuedWrites(state, error) {
+  while (state.writeQueue.length > 0) {
+    const { reject } = state.writeQueue.shift();
+    reject(error);
+  }
+}
+
 /**
  * Create an EventEmitter-based object that also has all the stub methods.
  * This is the key - every sub-object must have .on(), .emit(), etc.
@@ -137,6 +175,9 @@ const vm = createEmitterObject('vm', {
   stop: async () => { trace('vm', 'stop()'); return { success: true }; },
   startVM: async (bundlePath, memoryGB) => {
     trace('vm', 'startVM()', { bundlePath, memoryGB });
+    // No VM to size; memoryGB becomes the default per-session memory limit,
+    // applied where sessions get a systemd cgroup (resource-limits.js)
+    resourceLimits.setVmMemory(memoryGB);
     return { success: true };
   },
   stopVM: async () => { trace('vm', 'stopVM()'); return { success: true }; },
@@ -164,8 +205,12 @@ const vm = createEmitterObject('vm', {
     if (onNetworkStatus) onNetworkStatus('connected');
   },
 
-  spawn: (id, processName, command, args, options, envVars, additionalMounts, isResume, allowedDomains, sharedCwdPath) => {
-    trace('vm', 'spawn()', { id, processName, command, additionalMounts });
+  // Resolves { success, pid } or { success: false, error }. Async since the
+  // domain proxy has to be listening before the child starts; it used to
+  // return the object directly, so callers must await it (which works
+  // either way). Failures are also reported through _onError.
+  spawn: async (id, processName, command, args, options, envVars, additionalMounts, isResume, allowedDomains, sharedCwdPath) => {
+    trace('vm', 'spawn()', { id, processName, command, additionalMounts, allowedDomains, isResume: !!isResume });
 
     // Create session directory (cached)
     const sessionDir = path.join(SESSIONS_BASE, processName);
@@ -174,15 +219,34 @@ const vm = createEmitterObject('vm', {
       CREATED_DIRS.add(sessionDir);
     }
 
-    // Translate command path (use cached constant)
+    // The VM's claude is whichever host install passes --version (claude-binary.js)
     let hostCommand = command;
+    let claudeVersion = null;
     if (command === '/usr/local/bin/claude') {
-      hostCommand = CLAUDE_BINARY;
+      const claude = await claudeBinary.resolve();
+      if (!claude.ok) {
+        trace('vm', 'spawn: no claude binary', { error: claude.error });
+        if (vm._onError) vm._onError(id, claude.error, '');
+        return { success: false, error: claude.error };
+      }
+      hostCommand = claude.path;
+      claudeVersion = claude.version;
+    }
+
+    // What the session runs in (sandbox-backends.js), detected once at startup
+    const backendState = sandboxBackends.detect();
+    const backend = sandboxBackends.getBackend(backendState.name);
+    if (!backend) {
+      const error = `Cannot start session: ${backendState.reason}`;
+      trace('vm', 'spawn: no sandbox backend', { error });
+      if (vm._onError) vm._onError(id, error, '');
+      return { success: false, error };
     }
 
     // Build mount mappings from additionalMounts
     const username = os.userInfo().username;
     const mountMap = {};
+    const mountModes = {};
 
     // Process additionalMounts to build the mapping
     if (additionalMounts && typeof additionalMounts === 'object') {
@@ -191,16 +255,48 @@ const vm = createEmitterObject('vm', {
           // mountInfo.path is relative to home, empty string means home itself
           const relPath = mountInfo.path || '';
           mountMap[mountName] = relPath ? path.join(os.homedir(), relPath) : os.homedir();
+          if (mountInfo.mode === 'ro' || mountInfo.readOnly) mountModes[mountName] = 'ro';
         }
       }
     }
 
+    // A resumed session gets back the mounts, cwd and env it last ran with
+    // (session-index.js); if they can't be restored, say so rather than
+    // quietly starting a fresh session
+    let resume = null;
+    if (isResume) {
+      resume = sessionIndex.resumeState(processName, {
+        mounts: { ...mountMap },
+        mountModes: { ...mountModes },
+        cwd: sharedCwdPath,
+      });
+      if (resume.error) {
+        trace('vm', 'spawn: resume failed', { id, error: resume.error });
+        if (vm._onError) vm._onError(id, resume.error, '');
+        return { success: false, error: resume.error };
+      }
+      Object.assign(mountMap, resume.mounts);
+      Object.assign(mountModes, resume.mountModes);
+      trace('vm', 'spawn resume', { id, mounts: Object.keys(resume.mounts), cwd: resume.cwd });
+    }
+
     // Fallback defaults if not in additionalMounts
     if (!mountMap[username]) mountMap[username] = os.homedir();
     if (!mountMap['.claude']) mountMap['.claude'] = path.join(os.homedir(), '.claude');
     if (!mountMap['.skills']) mountMap['.skills'] = path.join(os.homedir(), '.config/Claude/local-agent-mode-sessions/skills-plugin');
     if (!mountMap['uploads']) mountMap['uploads'] = path.join(sessionDir, 'uploads');
 
+    // Which host paths this session sees, and how (sandbox-profiles.js);
+    // the session's folders can pick the profile
+    const sandbox = sandboxProfiles.resolveProfile(processName, {
+      folders: sandboxProfiles.selectedFolders(mountMap),
+    });
+    if (sandbox.error) {
+      trace('vm', 'spawn: bad sandbox profile', { error: sandbox.error });
+      if (vm._onError) vm._onError(id, sandbox.error, '');
+      return { success: false, error: sandbox.error };
+    }
+
     // Ensure mount targets exist (with caching)
     for (const hostPath of Object.values(mountMap)) {
       if (!CREATED_DIRS.has(hostPath)) {
@@ -211,74 +307,92 @@ const vm = createEmitterObject('vm', {
       }
     }
 
-    // Build bwrap arguments with security hardening
-    // This creates an isolated namespace where /sessions/{processName}/mnt/{mountName} is available
+    // Mounts the profile allows; the backend turns them into its own arguments
     const vmSessionPath = `/sessions/${processName}`;
+    const plan = sandboxProfiles.planMounts(sandbox.profile, {
+      mounts: Object.entries(mountMap).map(([name, hostPath]) => ({ name, hostPath, mode: mountModes[name] })),
+      vmSessionPath,
+      hostCommand,
+    });
+    trace('vm', 'spawn sandbox profile', { profile: sandbox.name, source: sandbox.source, skipped: plan.skipped });
+    // Path translation and vm.readFile/writeFile see the same folders as the session
+    const visibleMounts = plan.session.map(b => ({ name: b.name, hostPath: b.source, readOnly: b.readOnly }));
+    sessionPaths.setMounts(processName, visibleMounts);
 
     // Network enabled by default, can be isolated for testing
     const isolateNetwork = ['true', '1'].includes(process.env.CLAUDE_ISOLATE_NETWORK);
 
-    const bwrapArgs = [
-      // User namespace isolation
-      '--unshare-user',
-      '--uid', String(process.getuid()),
-      '--gid', String(process.getgid()),
-      '--die-with-parent',
-
-      // Network isolation (opt-in for testing/security)
-      ...(isolateNetwork ? ['--unshare-net'] : []),
-
-      // Start with empty tmpfs root for maximum isolation
-      '--tmpfs', '/',
-
-      // Bind only necessary system directories (READ-ONLY where possible)
-      '--ro-bind', '/usr', '/usr',
-      '--ro-bind', '/bin', '/bin',
-      '--ro-bind', '/lib', '/lib',
-      '--ro-bind', '/etc', '/etc',
-
-      // Only bind user's home directory (not all of /home)
-      '--bind', os.homedir(), os.homedir(),
-
-      // Isolated temp directory (NOT host /tmp)
-      '--tmpfs', '/tmp',
-
-      // Minimal /dev and /proc
-      '--dev', '/dev',
-      '--proc', '/proc',
-
-      // DO NOT MOUNT: /run (IPC sockets), /var (system state)
-    ];
-
-    // Optional system dirs that may exist (READ-ONLY)
-    for (const optDir of ['/lib64', '/lib32', '/opt', '/snap', '/nix']) {
+    // allowedDomains is enforced by a per-spawn filtering proxy (domain-proxy.js).
+    // No list means no proxy, as before; CLAUDE_DOMAIN_PROXY=0 turns it off.
+    let proxy = null;
+    if (Array.isArray(allowedDomains) && !isolateNetwork && process.env.CLAUDE_DOMAIN_PROXY !== '0') {
       try {
-        if (fs.existsSync(optDir)) {
-          bwrapArgs.push('--ro-bind', optDir, optDir);
-        }
-      } catch(e) {}
+        proxy = await domainProxy.startProxy({
+          session: processName,
+          allowedDomains,
+          onDecision: (entry) => trace('vm', 'proxy decision', { id, ...entry }),
+        });
+        trace('vm', 'spawn proxy', { id, url: proxy.url, patterns: proxy.patterns });
+      } catch (err) {
+        const error = `domain proxy failed to start: ${err.message}`;
+        if (vm._onError) vm._onError(id, error, err.stack);
+        return { success: false, error };
+      }
     }
 
-    // Create /sessions directory structure in the namespace
-    bwrapArgs.push('--dir', '/sessions');
-    bwrapArgs.push('--dir', `${vmSessionPath}`);
-    bwrapArgs.push('--dir', `${vmSessionPath}/mnt`);
+    // Set working directory inside the sandbox; if the profile hides the
+    // home mount, start in the first selected folder instead
+    const defaultCwd = plan.skipped.includes(username)
+      ? (plan.session.find(b => !['.claude', '.skills', 'uploads'].includes(b.name)) || { dest: vmSessionPath }).dest
+      : `${vmSessionPath}/mnt/${username}`;
+    const sessionCwd = sharedCwdPath || (resume && resume.cwd) || defaultCwd;
+    let vmCwd = sessionCwd;
+    let vmArgs = args || [];
+
+    // Tell claude to pick up the conversation, unless the app already did
+    if (resume && command === '/usr/local/bin/claude' &&
+        !vmArgs.some(arg => ['--resume', '-r', '--continue', '-c'].includes(arg) || arg.startsWith('--resume='))) {
+      vmArgs = ['--continue', ...vmArgs];
+    }
 
-    // Add bind mounts for each mount point
-    for (const [mountName, hostPath] of Object.entries(mountMap)) {
-      const vmMountPath = `${vmSessionPath}/mnt/${mountName}`;
-      bwrapArgs.push('--dir', vmMountPath);
-      bwrapArgs.push('--bind', hostPath, vmMountPath);
+    // bwrap binds the host's mnt/ so vm.mountPath can add folders later
+    if (backend.name === 'bubblewrap') {
+      try {
+        liveMounts.prepareMountDir(sessionDir);
+      } catch (err) {
+        trace('vm', 'spawn: mount dir failed', { error: err.message });
+      }
     }
 
-    // Set working directory inside the sandbox
-    let vmCwd = sharedCwdPath || `${vmSessionPath}/mnt/${username}`;
-    bwrapArgs.push('--chdir', vmCwd);
+    // Backends without bind mounts reach the session dirs through host-side
+    // links instead of /sessions/<name> (sandbox-backends.js)
+    if (backend.hostPaths) {
+      try {
+        sandboxBackends.linkSessionMounts(sessionDir, plan);
+      } catch (err) {
+        trace('vm', 'spawn: session links failed', { error: err.message });
+      }
+      vmCwd = sandboxBackends.toHostPath(vmCwd, vmSessionPath, sessionDir);
+      vmArgs = vmArgs.map(arg => sandboxBackends.toHostPath(arg, vmSessionPath, sessionDir));
+    }
 
-    // Add the actual command to run
-    bwrapArgs.push('--', hostCommand, ...(args || []));
+    const sandboxed = backend.build({
+      hostCommand,
+      args: vmArgs,
+      plan,
+      vmSessionPath,
+      hostSessionPath: sessionDir,
+      vmCwd,
+      isolateNetwork,
+    });
+    trace('vm', 'spawn sandbox', { backend: backend.name, command: sandboxed.command, args: sandboxed.args.slice(0, 20) });
 
-    trace('vm', 'spawn bwrap', { bwrapArgs: bwrapArgs.slice(0, 20) });
+    // Resource limits wrap the sandbox, so they cover the whole tree (resource-limits.js)
+    const limits = resourceLimits.resolveLimits(processName);
+    const launch = resourceLimits.wrapCommand(limits, sandboxed.command, sandboxed.args);
+    if (Object.keys(limits).length) {
+      trace('vm', 'spawn limits', { id, limits, launcher: launch.command, memoryVia: launch.memoryVia, skipped: launch.skipped });
+    }
 
     // Build secure environment with whitelist
     const userInfo = os.userInfo();
@@ -296,13 +410,27 @@ const vm = createEmitterObject('vm', {
 
       // Claude-specific environment
       CLAUDE_COWORK_SESSION: processName,
-      CLAUDE_VM_VERSION: '2.1.5',
+      ...(claudeVersion && { CLAUDE_VM_VERSION: claudeVersion }),
       CLAUDE_SANDBOX: 'true',
-      CLAUDE_SESSION_DIR: vmSessionPath,
+      CLAUDE_SANDBOX_PROFILE: sandbox.name,
+      CLAUDE_SANDBOX_BACKEND: backend.name,
+      CLAUDE_SESSION_DIR: backend.hostPaths ? sessionDir : vmSessionPath,
+      ...(resume && { CLAUDE_COWORK_RESUME: '1' }),
 
-      // Explicitly passed env vars
+      // Env saved from the session's last spawn, then explicitly passed env vars
+      ...(resume && resume.env),
       ...envVars,
 
+      // After envVars so the app's env can't route around the filter
+      ...(proxy && {
+        HTTP_PROXY: proxy.url,
+        HTTPS_PROXY: proxy.url,
+        http_proxy: proxy.url,
+        https_proxy: proxy.url,
+        ALL_PROXY: proxy.url,
+        all_proxy: proxy.url,
+      }),
+
       // Selectively pass display/graphics vars if present
       ...(process.env.DISPLAY && { DISPLAY: process.env.DISPLAY }),
       ...(process.env.WAYLAND_DISPLAY && { WAYLAND_DISPLAY: process.env.WAYLAND_DISPLAY }),
@@ -311,35 +439,114 @@ const vm = createEmitterObject('vm', {
       // Development vars (if explicitly enabled)
       ...(process.env.CLAUDE_DEBUG && { CLAUDE_DEBUG: process.env.CLAUDE_DEBUG }),
       ...(process.env.NODE_OPTIONS && { NODE_OPTIONS: process.env.NODE_OPTIONS }),
+
+      // Backend needs (dry-run runs under Electron's node)
+      ...sandboxed.env,
     };
 
     // DO NOT PASS: SSH_AUTH_SOCK, GPG_AGENT_INFO, DBUS_SESSION_BUS_ADDRESS,
     // AWS_*, AZURE_*, GCP_*, *_API_KEY, *_SECRET, *_TOKEN (unless in envVars)
 
+    // NO_PROXY=* from envVars or the saved env would send everything
+    // around the filter
+    if (proxy) {
+      delete vmEnv.NO_PROXY;
+      delete vmEnv.no_proxy;
+    }
+
+    // Session paths in the app's env, like those in args, only exist as
+    // host paths without bind mounts
+    if (backend.hostPaths) {
+      for (const [key, value] of Object.entries(vmEnv)) {
+        vmEnv[key] = sandboxBackends.envToHostPath(value, vmSessionPath, sessionDir);
+      }
+    }
+
     try {
-      const proc = nodeSpawn('bwrap', bwrapArgs, {
+      const proc = nodeSpawn(launch.command, launch.args, {
         env: vmEnv,
-        stdio: ['pipe', 'pipe', 'pipe']
+        ...(sandboxed.cwd && { cwd: sandboxed.cwd }),
+        stdio: ['pipe', 'pipe', 'pipe'],
+        // Own process group, so the supervisor can find everything it starts
+        detached: true,
       });
 
       // Store process for writeStdin/kill
       vm._processes = vm._processes || new Map();
       vm._processes.set(id, proc);
+      processSupervisor.register({
+        id,
+        pid: proc.pid,
+        session: processName,
+        command: hostCommand,
+        backend: backend.name,
+      });
+      try {
+        sessionIndex.recordSpawn(processName, {
+          pid: proc.pid,
+          mounts: mountMap,
+          mountModes,
+          planned: visibleMounts,
+          cwd: sessionCwd,
+          env: { ...(resume && resume.env), ...envVars },
+          backend: backend.name,
+          profile: sandbox.name,
+          resumed: !!resume,
+        });
+      } catch (err) {
+        trace('vm', 'session index: record spawn failed', { id, error: err.message });
+      }
 
       // Initialize process state for handshake simulation
-      // The macOS VM has a proper guest connection handshake; we simulate it by
-      // waiting for first stdout (proves process is alive and reading)
-      vm._processState = vm._processState || new Map();
-      vm._processState.set(id, {
+      // The macOS VM has a proper guest connection handshake; we simulate it
+      // with a readiness signal and a startup timeout (readiness.js)
+      const readiness = readinessConfig.resolveReadiness(processName);
+      const state = {
         ready: false,
-        writeQueue: [],  // Queue writes until process is ready
+        failed: null,     // Why readiness failed; later writes are rejected with it
+        writeQueue: [],   // Queue writes until process is ready
+        readyTimer: null,
+        session: processName, // For vm.mountPath
+        sandboxed: backend.name !== 'unsandboxed',
+      };
+      vm._processState = vm._processState || new Map();
+      vm._processState.set(id, state);
+      trace('vm', 'spawn readiness', { id, signal: readiness.signal, timeoutSeconds: readiness.timeoutSeconds });
+
+      // What the session prints is kept with it (session-index.js)
+      const output = sessionIndex.openOutput(processName, id);
+
+      const runtime = resourceLimits.watchRuntime(limits, () => {
+        trace('vm', 'max runtime reached', { id, seconds: limits.maxRuntimeSeconds });
+        // Everything the session started, escalating as vm.kill does
+        processSupervisor.terminate(id, { signal: 'SIGTERM', child: proc });
       });
+      const memory = resourceLimits.watchMemory(proc, launch.memoryVia);
+      let stderrTail = '';
 
       // Create cleanup function to remove all listeners
       // NOTE: We keep stdin error listener to catch late EPIPE from writes-in-flight
-      const cleanup = () => {
-        vm._processes?.delete(id);
+      const cleanup = (exit) => {
+        clearTimeout(state.readyTimer);
+        rejectQueuedWrites(state, new Error(state.failed || `process ${id} exited before it was ready`));
+        if (state.ready) vm.emit('guestConnectionChanged', { connected: false, processId: id });
         vm._processState?.delete(id);
+        // Folders added mid-session go with the last process using them
+        if (![...(vm._processState?.values() || [])].some(s => s.session === processName)) {
+          const unmounted = liveMounts.unmountAll(processName);
+          if (unmounted.length) trace('vm', 'live mounts undone', { session: processName, unmounted });
+        }
+        try {
+          sessionIndex.recordExit(processName, exit);
+        } catch (err) {
+          trace('vm', 'session index: record exit failed', { id, error: err.message });
+        }
+        if (proxy) proxy.close();
+        output.close();
+        runtime.clear();
+        memory.close();
+        processSupervisor.unregister(id);
+        vm._processes?.delete(id);
         if (proc.stdout) proc.stdout.removeAllListeners();
         if (proc.stderr) proc.stderr.removeAllListeners();
         // Don't remove stdin listeners - keep error handler for late EPIPE
@@ -369,49 +576,71 @@ const vm = createEmitterObject('vm', {
         }
       };
 
-      // Mark process as ready (called on first stdout)
+      // Mark process as ready (called when the readiness signal is seen)
       const markReady = () => {
-        const state = vm._processState?.get(id);
-        if (state && !state.ready) {
-          state.ready = true;
-          trace('vm', 'process ready (first stdout received)', { id });
-          // Emit guestConnectionChanged to match native behavior
-          vm.emit('guestConnectionChanged', { connected: true, processId: id });
-          // Flush any queued writes
-          flushWriteQueue();
-        }
+        if (state.ready || state.failed || !vm._processState?.has(id)) return;
+        state.ready = true;
+        clearTimeout(state.readyTimer);
+        trace('vm', 'process ready', { id, signal: readiness.signal });
+        // Emit guestConnectionChanged to match native behavior
+        vm.emit('guestConnectionChanged', { connected: true, processId: id });
+        // Flush any queued writes
+        flushWriteQueue();
       };
 
-      // Buffer stdout to reduce callback frequency (helps prevent renderer overload)
-      let stdoutBuffer = '';
-      let stdoutTimer = null;
-      const STDOUT_FLUSH_DELAY = 16; // ~1 frame
+      // No signal in time: fail the session visibly instead of queueing forever
+      state.readyTimer = setTimeout(() => {
+        if (state.ready || !vm._processes?.has(id)) return;
+        state.failed = `Session did not become ready within ${readiness.timeoutSeconds}s ` +
+          `(waiting for ${readinessConfig.describe(readiness)})`;
+        trace('vm', 'readiness timeout', { id, error: state.failed });
+        rejectQueuedWrites(state, new Error(state.failed));
+        vm.emit('guestConnectionChanged', { connected: false, processId: id, error: state.failed });
+        if (vm._onError) vm._onError(id, state.failed, '');
+        processSupervisor.terminate(id, { signal: 'SIGTERM', child: proc });
+      }, readiness.timeoutSeconds * 1000);
+      if (state.readyTimer.unref) state.readyTimer.unref();
+      if (readiness.signal === 'spawn' && proc.pid) setImmediate(markReady);
+
+      // stdout reaches _onStdout as whole lines (stdout-framing.js), batched
+      // per frame to keep the renderer from being flooded; past the buffer
+      // cap the pipe is paused until the batch is delivered
+      const stdoutFramer = stdoutFraming.createFramer({
+        mode: stdoutFraming.modeFromEnv(),
+        partialFlushMs: stdoutFraming.partialFlushFromEnv(),
+        deliver: (text) => {
+          if (readiness.signal === 'pattern' && readiness.pattern.test(text)) markReady();
+          output.write('stdout', text);
+          if (vm._onStdout) {
+            trace('vm', 'stdout', { id, len: text.length });
+            vm._onStdout(id, text);
+          }
+        },
+        onOverflow: (info) => trace('vm', 'stdout line over buffer cap, delivered in pieces', { id, ...info }),
+        onDrain: () => {
+          if (proc.stdout && proc.stdout.isPaused()) proc.stdout.resume();
+        },
+      });
+      const stderrDecoder = new StringDecoder('utf8');
 
       if (proc.stdout) {
         proc.stdout.on('data', (data) => {
-          // First stdout = process is ready (handshake complete)
-          markReady();
-
-          stdoutBuffer += data.toString('utf-8');
-          if (!stdoutTimer) {
-            stdoutTimer = setTimeout(() => {
-              if (stdoutBuffer && vm._onStdout) {
-                trace('vm', 'stdout', { id, len: stdoutBuffer.length });
-                vm._onStdout(id, stdoutBuffer);
-              }
-              stdoutBuffer = '';
-              stdoutTimer = null;
-            }, STDOUT_FLUSH_DELAY);
-          }
+          if (readiness.signal === 'output') markReady();
+          sessionIndex.touch(processName);
+          if (!stdoutFramer.push(data)) proc.stdout.pause();
         });
       }
 
       if (proc.stderr) {
         proc.stderr.on('data', (data) => {
           // stderr also indicates process is alive
-          markReady();
+          if (readiness.signal === 'output') markReady();
           trace('vm', 'stderr', { id, len: data.length });
-          if (vm._onStderr) vm._onStderr(id, data.toString('utf-8'));
+          const text = stderrDecoder.write(data);
+          if (!text) return;
+          output.write('stderr', text);
+          stderrTail = resourceLimits.stderrTail(stderrTail, text);
+          if (vm._onStderr) vm._onStderr(id, text);
         });
       }
 
@@ -426,36 +655,119 @@ const vm = createEmitterObject('vm', {
         });
       }
 
-      proc.on('exit', (code, signal) => {
-        cleanup();
+      // 'exit' can come before the last stdout/stderr chunks; the exit is
+      // reported on 'close', once the pipes are drained. A grandchild that
+      // keeps them open only delays that by STDIO_DRAIN_MS.
+      let exitReported = false;
+      let drainTimer = null;
+      const reportExit = (code, signal) => {
+        if (exitReported) return;
+        exitReported = true;
+        clearTimeout(drainTimer);
+        // Whatever stdout is still buffered goes out before the exit
+        stdoutFramer.end();
+        const stderrRest = stderrDecoder.end();
+        if (stderrRest) {
+          output.write('stderr', stderrRest);
+          stderrTail = resourceLimits.stderrTail(stderrTail, stderrRest);
+          if (vm._onStderr) vm._onStderr(id, stderrRest);
+        }
+        // vm.kill() drops the entry first; a kill we were asked for isn't a limit
+        const killedOnRequest = !vm._processes?.has(id);
+        const reason = killedOnRequest ? null : resourceLimits.exitReason({
+          code, signal, limits, timedOut: runtime.timedOut(), oomKilled: memory.oomKilled(), stderr: stderrTail,
+        });
+        cleanup({ code, signal, reason: reason || state.failed || (killedOnRequest ? 'killed' : null) });
+        if (reason) {
+          trace('vm', 'resource limit hit', { id, code, signal, reason });
+          if (vm._onError) vm._onError(id, `Resource limit: ${reason}${signal ? ` (${signal})` : ''}`, '');
+          if (vm._onExit) vm._onExit(id, code || 0, signal ? `${signal}: ${reason}` : reason);
+          return;
+        }
         if (vm._onExit) vm._onExit(id, code || 0, signal || '');
+      };
+      proc.on('exit', (code, signal) => {
+        if (exitReported || drainTimer) return;
+        drainTimer = setTimeout(() => {
+          trace('vm', 'stdio still open after exit, reporting it anyway', { id });
+          reportExit(code, signal);
+        }, STDIO_DRAIN_MS);
+        if (drainTimer.unref) drainTimer.unref();
       });
+      proc.on('close', (code, signal) => reportExit(code, signal));
       proc.on('error', (err) => {
-        cleanup();
+        // With a pid the process exists and the error came from kill();
+        // its exit is still reported by the exit handler
+        if (proc.pid) {
+          trace('vm', 'process error', { id, error: err.message });
+          return;
+        }
+        cleanup({ code: null, signal: null, reason: err.message });
         if (vm._onError) vm._onError(id, err.message, err.stack);
       });
 
       return { success: true, pid: proc.pid };
     } catch (err) {
+      if (proxy) proxy.close();
       trace('vm', 'spawn error', { error: err.message });
       if (vm._onError) vm._onError(id, err.message, err.stack);
       return { success: false, error: err.message };
     }
   },
 
-  kill: async (id, signal) => {
-    trace('vm', 'kill()', { id, signal });
+  // Stops the whole process group: the given signal (default: the first of
+  // the kill schedule, SIGINT), escalating to SIGTERM and SIGKILL while
+  // anything is left (process-supervisor.js). Resolves once it is all gone,
+  // with the child's exit status (null if its 'exit' doesn't follow within
+  // KILL_EXIT_WAIT_MS); _onExit still fires once, from the exit handler.
+  // { withinMs } brings every step forward to that deadline.
+  kill: async (id, signal, { withinMs } = {}) => {
+    trace('vm', 'kill()', { id, signal, withinMs });
     const proc = vm._processes?.get(id);
-    if (proc) {
-      try {
-        proc.kill(signal || 'SIGTERM');
-      } catch (err) {
-        trace('vm', 'kill error', { id, error: err.message });
-      }
-      // Cleanup will happen in exit handler, but delete from map immediately
-      vm._processes.delete(id);
-      vm._processState?.delete(id);
-    }
+    if (!proc) return { id, killed: false };
+
+    // Cleanup will happen in exit handler, but delete from map immediately
+    vm._processes.delete(id);
+    const state = vm._processState?.get(id);
+    if (state) rejectQueuedWrites(state, new Error(`process ${id} was killed before it was ready`));
+
+    const exited = proc.exitCode != null || proc.signalCode != null
+      ? Promise.resolve({ code: proc.exitCode, signal: proc.signalCode })
+      : new Promise(resolve => proc.once('exit', (code, sig) => resolve({ code, signal: sig })));
+    const result = await processSupervisor.terminate(id, { signal, child: proc, withinMs });
+    trace('vm', 'kill: group terminated', { id, ...result });
+    let waitTimer = null;
+    const status = await Promise.race([
+      exited,
+      new Promise((resolve) => {
+        waitTimer = setTimeout(resolve, result.remaining ? 0 : KILL_EXIT_WAIT_MS, null);
+      }),
+    ]);
+    clearTimeout(waitTimer);
+    return { id, killed: true, signals: result.signals, remaining: result.remaining, exit: status };
+  },
+
+  // Everything still running, e.g. at app shutdown
+  killAll: async (signal, options) => {
+    const ids = [...(vm._processes?.keys() || [])];
+    trace('vm', 'killAll()', { count: ids.length, signal });
+    return Promise.all(ids.map(id => vm.kill(id, signal, options)));
+  },
+
+  // Every running spawn of a session, e.g. before its directory is deleted
+  killSession: async (sessionName, signal) => {
+    const ids = [...(vm._processState || new Map())]
+      .filter(([id, state]) => state.session === sessionName && vm._processes?.has(id))
+      .map(([id]) => id);
+    trace('vm', 'killSession()', { sessionName, count: ids.length, signal });
+    return Promise.all(ids.map(id => vm.kill(id, signal)));
+  },
+
+  // Quitting shouldn't wait out the whole kill schedule
+  shutdown: async () => {
+    trace('vm', 'shutdown()');
+    await vm.killAll('SIGTERM', { withinMs: SHUTDOWN_KILL_MS });
+    return true;
   },
 
   writeStdin: async (id, data) => {
@@ -468,11 +780,15 @@ const vm = createEmitterObject('vm', {
       return Promise.resolve(false);
     }
 
+    if (state && state.failed) {
+      return Promise.reject(new Error(state.failed));
+    }
+
     // If process not ready yet, queue the write (handshake simulation)
     if (state && !state.ready) {
       trace('vm', 'writeStdin queued (waiting for process ready)', { id, dataLen: data?.length, queueLen: state.writeQueue.length });
-      return new Promise((resolve) => {
-        state.writeQueue.push({ data, resolve });
+      return new Promise((resolve, reject) => {
+        state.writeQueue.push({ data, resolve, reject });
       });
     }
 
@@ -498,55 +814,87 @@ const vm = createEmitterObject('vm', {
     });
   },
 
-  readFile: async (sessionName, vmPath) => {
-    let hostPath = vmPath;
-    if (vmPath?.startsWith('/sessions/')) {
-      hostPath = path.join(SESSIONS_BASE, vmPath.substring('/sessions/'.length));
+  // Paths resolve through the session's mounts (session-files.js); large
+  // files go in chunks with { offset, length } / { offset } / { append }
+  readFile: async (sessionName, vmPath, options) => {
+    trace('vm', 'readFile()', { sessionName, vmPath, options });
+    try {
+      return await sessionFiles.readFile(sessionName, vmPath, options);
+    } catch (err) {
+      trace('vm', 'readFile error', { sessionName, vmPath, error: err.message });
+      throw err;
     }
-    return fs.readFileSync(hostPath).toString('base64');
   },
 
-  writeFile: async (sessionName, vmPath, base64Content) => {
-    let hostPath = vmPath;
-    if (vmPath?.startsWith('/sessions/')) {
-      hostPath = path.join(SESSIONS_BASE, vmPath.substring('/sessions/'.length));
+  writeFile: async (sessionName, vmPath, base64Content, options) => {
+    trace('vm', 'writeFile()', { sessionName, vmPath, options, dataLen: base64Content?.length });
+    try {
+      return await sessionFiles.writeFile(sessionName, vmPath, base64Content, options);
+    } catch (err) {
+      trace('vm', 'writeFile error', { sessionName, vmPath, error: err.message });
+      throw err;
     }
-    const dir = path.dirname(hostPath);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
-    fs.writeFileSync(hostPath, Buffer.from(base64Content, 'base64'), { mode: 0o600 });
-    return true;
   },
 
+  // Linux-only: a session's paths in either direction (session-paths.js)
+  toHostPath: (vmPath) => sessionPaths.toHostPath(vmPath),
+  toVmPath: (sessionName, hostPath) => sessionPaths.toVmPath(sessionName, hostPath),
+
+  // Linux-only: size and type of a file, so callers know how many chunks to read
+  statFile: async (sessionName, vmPath) => sessionFiles.statFile(sessionName, vmPath),
+
+  // Adds a folder to a session; in a running one it appears at
+  // /sessions/<name>/mnt/<mount> right away (live-mounts.js)
   mountPath: async (processId, subpath, pathName, mode) => {
     trace('vm', 'mountPath()', { processId, subpath, pathName, mode });
 
-    // On Linux we need to create the mount point directory/symlink
     // subpath is like "/sessions/laughing-zen-darwin/mnt/zack"
     // pathName is like "/home/zack" (the actual host path to mount)
+    const match = /^\/sessions\/([^/]+)\/mnt\/([^/]+)\/?$/.exec(subpath || '');
+    const readOnly = ['ro', 'readonly', 'read-only'].includes(String(mode).toLowerCase());
     try {
-      if (subpath && pathName) {
-        let hostMountPoint = subpath;
-        if (subpath.startsWith('/sessions/')) {
-          hostMountPoint = path.join(SESSIONS_BASE, subpath.substring('/sessions/'.length));
-        }
+      if (!match) throw new Error(`unsupported mount point ${JSON.stringify(subpath)}; expected /sessions/<name>/mnt/<mount>`);
+      const [, session, mount] = match;
+      if (mount === '.' || mount === '..') throw new Error(`invalid mount name ${JSON.stringify(mount)}`);
+      const source = path.resolve(pathName || '');
+      if (!pathName || !fs.existsSync(source)) throw new Error(`folder ${pathName} does not exist`);
+
+      const planned = sessionPaths.mountsFor(session).find(m => m.name === mount);
+      const live = liveMounts.liveMounts(session).some(m => m.name === mount);
+      if (planned && !live) {
+        if (planned.hostPath === source && planned.readOnly === readOnly) return { success: true };
+        throw new Error(`mount ${mount} already exists in session ${session} (${planned.hostPath})`);
+      }
 
-        // Create parent directory
-        const parentDir = path.dirname(hostMountPoint);
-        if (!fs.existsSync(parentDir)) {
-          fs.mkdirSync(parentDir, { recursive: true, mode: 0o700 });
-        }
+      // The process asked about, or any other still running in the session
+      const own = vm._processState?.get(processId);
+      const running = own && own.session === session
+        ? own
+        : [...(vm._processState?.values() || [])].find(s => s.session === session);
+      let via = null;
+      if (running) {
+        ({ via } = await liveMounts.mount({
+          session,
+          name: mount,
+          source,
+          readOnly,
+          hostSessionPath: sessionIndex.sessionDir(session),
+          sandboxed: running.sandboxed,
+        }));
+      }
 
-        // Create symlink to host path (if it doesn't exist)
-        if (!fs.existsSync(hostMountPoint)) {
-          fs.symlinkSync(pathName, hostMountPoint);
-          trace('vm', 'mountPath created symlink', { hostMountPoint, pathName });
-        }
+      sessionPaths.addMount(session, { name: mount, hostPath: source, readOnly });
+      try {
+        sessionIndex.recordMount(session, mount, source, readOnly);
+      } catch (err) {
+        trace('vm', 'session index: record mount failed', { session, error: err.message });
       }
-    } catch (e) {
-      trace('vm', 'mountPath error (non-fatal)', { error: e.message });
+      trace('vm', 'mountPath done', { session, mount, source, readOnly, via });
+      return { success: true, live: !!running };
+    } catch (err) {
+      trace('vm', 'mountPath error', { processId, subpath, pathName, error: err.message });
+      return { success: false, error: err.message };
     }
-
-    return { success: true };
   },
 
   addApprovedOauthToken: async (token) => {
@@ -554,6 +902,37 @@ const vm = createEmitterObject('vm', {
     return { success: true };
   },
 
+  // Linux-only: pick a sandbox profile for a session's next spawn
+  // (null clears it). Not called by the app; for tools and debugging.
+  setSandboxProfile: (sessionName, profileName) => {
+    trace('vm', 'setSandboxProfile()', { sessionName, profileName });
+    if (!sandboxProfiles.setSessionProfile(sessionName, profileName)) {
+      return { success: false, error: `unknown sandbox profile '${profileName}'` };
+    }
+    return { success: true };
+  },
+  getSandboxProfile: (sessionName) => {
+    const meta = sessionIndex.get(sessionName);
+    const folders = sandboxProfiles.selectedFolders(meta ? meta.mounts : {});
+    const { name, source, profile, error } = sandboxProfiles.resolveProfile(sessionName, { folders });
+    return { name, source, profile: profile || null, error: error || null };
+  },
+
+  // Linux-only: which sandbox backend spawn uses and why; refresh re-detects
+  getSandboxBackend: (options) => sandboxBackends.detect(options),
+
+  // Linux-only: supervised spawns with live CPU/RSS from /proc
+  listProcesses: () => processSupervisor.listProcesses(),
+  getProcessInfo: (id) => processSupervisor.getProcessInfo(id),
+
+  // Linux-only: per-session limits (see resource-limits.js); null clears them
+  setResourceLimits: (sessionName, limits) => {
+    trace('vm', 'setResourceLimits()', { sessionName, limits });
+    resourceLimits.setSessionLimits(sessionName, limits);
+    return { success: true, limits: resourceLimits.resolveLimits(sessionName) };
+  },
+  getResourceLimits: (sessionName) => resourceLimits.resolveLimits(sessionName),
+
   isDebugLoggingEnabled: () => TRACE_ENABLED,
   setDebugLogging: (enabled) => { trace('vm', 'setDebugLogging()', { enabled }); },
   showDebugWindow: () => { trace('vm', 'showDebugWindow()'); },
@@ -561,6 +940,9 @@ const vm = createEmitterObject('vm', {
   isConsoleEnabled: () => !!process.env.CLAUDE_ENABLE_LOGGING,
 });
 
+// LocalAgentModeSessions_$_delete with { force: true } stops the session first
+sessionHandlers.registerStopper(sessionName => vm.killSession(sessionName));
+
 const clipboard = createEmitterObject('clipboard', {
   read: () => {
     trace('clipboard', 'read()');
@@ -602,35 +984,6 @@ const quickAccess = createEmitterObject('quickAccess', {
   submit: (data) => { trace('quickAccess', 'submit()', data); },
 });
 
-// Helper to translate VM paths to host paths for file operations
-function translateVmPathToHost(vmPath) {
-  if (!vmPath || typeof vmPath !== 'string') return vmPath;
-
-  // Handle /sessions/{session}/mnt/{mountName}/... paths
-  if (vmPath.startsWith('/sessions/')) {
-    const parts = vmPath.split('/');
-    // /sessions/session-name/mnt/mountName/rest/of/path
-    const mntIdx = parts.indexOf('mnt');
-    if (mntIdx !== -1 && parts[mntIdx + 1]) {
-      const mountName = parts[mntIdx + 1];
-      const rest = parts.slice(mntIdx + 2).join('/');
-
-      // Common mount mappings - mount name matches current user's username
-      const username = os.userInfo().username;
-      if (mountName === username) {
-        return rest ? path.join(os.homedir(), rest) : os.homedir();
-      }
-      if (mountName === '.claude') {
-        return rest ? path.join(os.homedir(), '.claude', rest) : path.join(os.homedir(), '.claude');
-      }
-    }
-    // Fallback: try mapping to sessions base
-    return path.join(SESSIONS_BASE, vmPath.substring('/sessions/'.length));
-  }
-
-  return vmPath;
-}
-
 const desktop = createEmitterObject('desktop', {
   getDisplays: async () => [],
   getActiveWindow: async () => null,
@@ -642,7 +995,7 @@ const desktop = createEmitterObject('desktop', {
   captureWindowScreenshot: async () => null,
   getSessionId: () => 'linux-session-' + Date.now(),
   openFile: (filePath) => {
-    const hostPath = translateVmPathToHost(filePath);
+    const hostPath = sessionPaths.toHostPath(filePath);
     trace('desktop', 'openFile()', { filePath, hostPath });
     const { execFile } = require('child_process');
     execFile('xdg-open', [hostPath], (err) => {
@@ -651,7 +1004,7 @@ const desktop = createEmitterObject('desktop', {
     return Promise.resolve(true);
   },
   revealFile: (filePath) => {
-    const hostPath = translateVmPathToHost(filePath);
+    const hostPath = sessionPaths.toHostPath(filePath);
     trace('desktop', 'revealFile()', { filePath, hostPath });
     const { execFile } = require('child_process');
     execFile('xdg-open', [path.dirname(hostPath)], (err) => {
@@ -660,7 +1013,7 @@ const desktop = createEmitterObject('desktop', {
     return Promise.resolve(true);
   },
   previewFile: (filePath) => {
-    const hostPath = translateVmPathToHost(filePath);
+    const hostPath = sessionPaths.toHostPath(filePath);
     trace('desktop', 'previewFile()', { filePath, hostPath });
     const { execFile } = require('child_process');
     execFile('xdg-open', [hostPath], (err) => {
@@ -774,23 +1127,27 @@ const files = createEmitterObject('files', {
     }
   },
   reveal: (filePath) => {
-    const hostPath = translateVmPathToHost(filePath);
+    const hostPath = sessionPaths.toHostPath(filePath);
     trace('files', 'reveal()', { filePath, hostPath });
     const { spawn } = require('child_process');
     spawn('xdg-open', [path.dirname(hostPath)], { detached: true, stdio: 'ignore' });
   },
   openLocalFile: (filePath) => {
-    const hostPath = translateVmPathToHost(filePath);
+    const hostPath = sessionPaths.toHostPath(filePath);
     trace('files', 'openLocalFile()', { filePath, hostPath });
     const { spawn } = require('child_process');
     spawn('xdg-open', [hostPath], { detached: true, stdio: 'ignore' });
     return Promise.resolve(true);
   },
-  read: (filePath) => Promise.resolve(fs.readFileSync(filePath, 'utf-8')),
-  write: (filePath, content) => { fs.writeFileSync(filePath, content, 'utf-8'); return Promise.resolve(true); },
-  exists: (filePath) => Promise.resolve(fs.existsSync(filePath)),
+  read: (filePath) => Promise.resolve(fs.readFileSync(sessionPaths.toHostPath(filePath), 'utf-8')),
+  // Read-only mounts stay read-only here too, as in vm.writeFile
+  write: async (filePath, content) => {
+    fs.writeFileSync(sessionPaths.toHostPath(filePath, { write: true }), content, 'utf-8');
+    return true;
+  },
+  exists: (filePath) => Promise.resolve(fs.existsSync(sessionPaths.toHostPath(filePath))),
   stat: (filePath) => {
-    const stats = fs.statSync(filePath);
+    const stats = fs.statSync(sessionPaths.toHostPath(filePath));
     return Promise.resolve({
       size: stats.size,
       isFile: stats.isFile(),
@@ -800,7 +1157,8 @@ const files = createEmitterObject('files', {
     });
   },
   list: (dirPath) => {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    // Entries keep the caller's form of the path
+    const entries = fs.readdirSync(sessionPaths.toHostPath(dirPath), { withFileTypes: true });
     return Promise.resolve(entries.map(e => ({
       name: e.name,
       isFile: e.isFile(),
@@ -844,7 +1202,10 @@ class ClaudeSwiftInstance extends EventEmitter {
 
     // Top-level methods
     this.initialize = async () => { trace('instance', 'initialize()'); return true; };
-    this.shutdown = async () => { trace('instance', 'shutdown()'); };
+    this.shutdown = async () => {
+      trace('instance', 'shutdown()');
+      await vm.shutdown();
+    };
     this.setWindowButtonPosition = () => {};
     this.setThemeMode = (mode) => { trace('instance', 'setThemeMode()', { mode }); };
     this.setApplicationMenu = () => {};
@@ -0,0 +1,221 @@
+/**
+ * live-mounts.js - Folders added to a session while it runs (vm.mountPath)
+ *
+ * A running sandbox's mount namespace can't be entered from outside, so
+ * bubblewrap binds the host directory
+ * ~/.local/share/claude-cowork/sessions/<name>/mnt at /sessions/<name>/mnt
+ * and a folder added later is mounted into that directory on the host with
+ * bindfs (-r for read-only). The sandbox's mounts are slaves of the
+ * host's, so the new mount shows up inside it. That only works if the
+ * host mount holding the sessions directory is shared, which is checked
+ * first.
+ *
+ *   bubblewrap, firejail  bindfs (firejail sees the host session directory)
+ *   unsandboxed           a symlink, or bindfs -r for a read-only folder
+ *
+ * bindfs runs in the foreground under the process supervisor, so a crash
+ * leaves it to the next launch's reapOrphans(). unmountAll() runs when the
+ * session exits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const processSupervisor = require('./process-supervisor');
+const { findTool } = require('./sandbox-backends');
+
+const MOUNT_TIMEOUT_MS = 5000;
+const POLL_MS = 50;
+const UNMOUNT_TIMEOUT_MS = 5000;
+
+const live = new Map(); // session -> Map(mount -> { source, readOnly, via, child, id })
+
+// ============================================================
+// /proc/self/mountinfo
+// ============================================================
+
+function unescapeMountPath(p) {
+  return p.replace(/\\([0-7]{3})/g, (m, octal) => String.fromCharCode(parseInt(octal, 8)));
+}
+
+function readMountInfo() {
+  return fs.readFileSync('/proc/self/mountinfo', 'utf-8').split('\n').filter(Boolean).map((line) => {
+    const fields = line.split(' ');
+    const dash = fields.indexOf('-');
+    return { mountPoint: unescapeMountPath(fields[4]), optional: fields.slice(6, dash), fsType: fields[dash + 1] };
+  });
+}
+
+function isMounted(dir) {
+  return readMountInfo().some(m => m.mountPoint === dir);
+}
+
+// Mounts made under `dir` on the host reach running sandboxes only if the
+// mount containing it is shared
+function propagates(dir) {
+  const real = fs.realpathSync(dir);
+  let containing = null;
+  for (const m of readMountInfo()) {
+    const inside = real === m.mountPoint || real.startsWith(m.mountPoint === '/' ? '/' : m.mountPoint + '/');
+    if (inside && (!containing || m.mountPoint.length >= containing.mountPoint.length)) containing = m;
+  }
+  return !!containing && containing.optional.some(tag => tag.startsWith('shared:'));
+}
+
+// ============================================================
+// Mount directory
+// ============================================================
+
+// Before a bubblewrap spawn: mnt/ must exist and hold no links, since
+// bwrap follows them when it creates the session's mount points
+function prepareMountDir(hostSessionPath) {
+  const mntDir = path.join(hostSessionPath, 'mnt');
+  fs.mkdirSync(mntDir, { recursive: true, mode: 0o700 });
+  for (const entry of fs.readdirSync(mntDir)) {
+    const full = path.join(mntDir, entry);
+    try {
+      if (fs.lstatSync(full).isSymbolicLink()) fs.unlinkSync(full);
+    } catch (e) {}
+  }
+  return mntDir;
+}
+
+// ============================================================
+// Mounting
+// ============================================================
+
+function bindfs({ id, session, source, target, readOnly }) {
+  const bin = findTool('bindfs');
+  if (!bin) throw new Error('bindfs is not installed; it is needed to add folders to a running session');
+
+  const child = spawn(bin, ['-f', ...(readOnly ? ['-r'] : []), source, target], {
+    detached: true,
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    let exited = false;
+    child.on('error', (err) => { exited = true; reject(new Error(`bindfs failed: ${err.message}`)); });
+    child.on('exit', (code) => {
+      if (exited) return;
+      exited = true;
+      reject(new Error(`bindfs exited with code ${code}: ${stderr.trim() || 'no output'}`));
+    });
+    const check = () => {
+      if (exited) return;
+      if (isMounted(target)) {
+        // From here on its exit is the unmount, not a failure
+        exited = true;
+        child.removeAllListeners('exit');
+        processSupervisor.register({ id, pid: child.pid, session, command: bin, backend: 'bindfs' });
+        resolve(child);
+      } else if (Date.now() - started > MOUNT_TIMEOUT_MS) {
+        exited = true;
+        try { child.kill('SIGTERM'); } catch (e) {}
+        reject(new Error(`bindfs did not mount ${target} within ${MOUNT_TIMEOUT_MS / 1000}s`));
+      } else {
+        setTimeout(check, POLL_MS);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * Make `source` visible at /sessions/<session>/mnt/<name> in the running
+ * session. `sandboxed` is false only for the unsandboxed backend.
+ * Resolves { via: 'bindfs'|'symlink' }, or rejects with the reason it
+ * can't be done.
+ */
+async function mount({ session, name, source, readOnly, hostSessionPath, sandboxed }) {
+  const mntDir = path.join(hostSessionPath, 'mnt');
+  const target = path.join(mntDir, name);
+  const mounts = live.get(session) || new Map();
+  const existing = mounts.get(name);
+  if (existing) {
+    if (existing.source === source && existing.readOnly === readOnly) return { via: existing.via };
+    throw new Error(`mount ${name} is already in use by ${existing.source}`);
+  }
+
+  fs.mkdirSync(mntDir, { recursive: true, mode: 0o700 });
+  let stat = null;
+  try { stat = fs.lstatSync(target); } catch (e) {}
+  if (stat && stat.isSymbolicLink()) {
+    fs.unlinkSync(target);
+    stat = null;
+  }
+
+  let entry;
+  if (!sandboxed && !readOnly) {
+    if (stat) throw new Error(`${target} already exists`);
+    fs.symlinkSync(source, target);
+    entry = { source, readOnly, via: 'symlink' };
+  } else {
+    if (sandboxed && !propagates(mntDir)) {
+      throw new Error(`${mntDir} is not on a shared mount, so new mounts don't reach running sandboxes; restart the session instead`);
+    }
+    if (stat && (!stat.isDirectory() || fs.readdirSync(target).length)) {
+      throw new Error(`${target} is in use`);
+    }
+    if (!stat) fs.mkdirSync(target, { mode: 0o700 });
+    const id = `mount:${session}:${name}`;
+    let child;
+    try {
+      child = await bindfs({ id, session, source, target, readOnly });
+    } catch (err) {
+      if (!stat) try { fs.rmdirSync(target); } catch (e) {}
+      throw err;
+    }
+    entry = { source, readOnly, via: 'bindfs', child, id, target };
+  }
+  mounts.set(name, entry);
+  live.set(session, mounts);
+  return { via: entry.via };
+}
+
+function fusermount(target) {
+  const bin = findTool('fusermount3') || findTool('fusermount');
+  if (!bin) return false;
+  try {
+    execFileSync(bin, ['-u', target], { stdio: 'ignore', timeout: UNMOUNT_TIMEOUT_MS });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// The session exited: undo its bindfs mounts (links stay until the next
+// spawn tidies mnt/). Returns [{ name, via: 'fusermount'|'SIGTERM' }] for
+// the caller's trace.
+function unmountAll(session) {
+  const mounts = live.get(session);
+  if (!mounts) return [];
+  live.delete(session);
+  const undone = [];
+  for (const [name, entry] of mounts) {
+    if (entry.via !== 'bindfs') continue;
+    // SIGTERM makes bindfs unmount too, if fusermount isn't there
+    let via = 'fusermount';
+    if (!fusermount(entry.target)) {
+      via = 'SIGTERM';
+      try { entry.child.kill('SIGTERM'); } catch (e) {}
+    }
+    processSupervisor.unregister(entry.id);
+    undone.push({ name, via });
+  }
+  return undone;
+}
+
+function liveMounts(session) {
+  return [...(live.get(session) || new Map())].map(([name, { source, readOnly, via }]) => ({ name, source, readOnly, via }));
+}
+
+module.exports = {
+  prepareMountDir,
+  mount,
+  unmountAll,
+  liveMounts,
+};
@@ -0,0 +1,454 @@
+/**
+ * process-supervisor.js - Persistent registry of vm.spawn processes
+ *
+ * Each spawned session runs in its own process group (spawn with
+ * `detached`), so the sandbox, claude and anything claude starts can be
+ * found and signalled together. A process that leaves the group (setsid,
+ * setpgid) is still found as a descendant of the leader, and is remembered
+ * in `escaped` so it stays found once the leader is gone. The registry
+ * (~/.local/share/claude-cowork/processes.json) records, per spawn:
+ *
+ *   { id, pid, pgid, session, command, backend, startedAt, procStart,
+ *     ownerPid, ownerStart, escaped: { <pid>: <starttime> } }
+ *
+ * procStart and ownerStart are kernel start times from /proc/<pid>/stat,
+ * so a recycled pid is never mistaken for ours or for a running owner. If
+ * Claude Desktop dies without cleaning up (crash, SIGKILL - --die-with-parent
+ * doesn't reach grandchildren), the next launch finds the entries of the
+ * dead owner and reaps every process still in those groups: SIGTERM, then
+ * SIGKILL.
+ *
+ * listProcesses() / getProcessInfo() add live CPU and RSS for the whole
+ * group, read from /proc.
+ *
+ * terminate() stops a group gracefully, escalating along the kill
+ * schedule until nothing in it is left. The schedule comes from
+ * CLAUDE_KILL_SCHEDULE ("SIGINT:0,SIGTERM:3000,SIGKILL:6000") or
+ * `killSchedule` in ~/.config/claude-cowork/supervisor.json:
+ *
+ *   { "killSchedule": [{ "signal": "SIGINT", "afterMs": 0 }, { "signal": "SIGKILL", "afterMs": 2000 }] }
+ *
+ * The registry is kept on globalThis: the loader and the app each load a
+ * copy of this module, and both copies write the same processes.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { readJsonConfig } = require('./cowork-config');
+
+const DATA_DIR = path.join(os.homedir(), '.local/share/claude-cowork');
+const REGISTRY_FILE = path.join(DATA_DIR, 'processes.json');
+const REAP_GRACE_MS = 3000;
+const CONFIG_NAME = 'supervisor.json';
+const DEFAULT_KILL_SCHEDULE = [
+  { signal: 'SIGINT', afterMs: 0 },
+  { signal: 'SIGTERM', afterMs: 3000 },
+  { signal: 'SIGKILL', afterMs: 6000 },
+];
+const EMPTY_POLL_MS = 100;
+const SHUTDOWN_GRACE_MS = 500;
+
+const STATE_KEY = Symbol.for('claude-cowork.process-registry');
+if (!globalThis[STATE_KEY]) {
+  globalThis[STATE_KEY] = {
+    entries: new Map(), // id -> entry (this process's spawns)
+    cpuSamples: new Map(), // pid -> { ticks, at }
+    foreign: [], // entries of other live owners, kept as-is
+  };
+}
+const state = globalThis[STATE_KEY];
+const { entries, cpuSamples } = state;
+let sysconf = null;
+
+function getSysconf() {
+  if (sysconf) return sysconf;
+  sysconf = { clockTicks: 100, pageSize: 4096 };
+  try {
+    sysconf.clockTicks = parseInt(execFileSync('getconf', ['CLK_TCK'], { encoding: 'utf-8', timeout: 2000 }), 10) || 100;
+    sysconf.pageSize = parseInt(execFileSync('getconf', ['PAGESIZE'], { encoding: 'utf-8', timeout: 2000 }), 10) || 4096;
+  } catch (e) {}
+  return sysconf;
+}
+
+// ============================================================
+// /proc
+// ============================================================
+
+// Fields of /proc/<pid>/stat we use, or null if the process is gone
+function readStat(pid) {
+  let raw;
+  try {
+    raw = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+  // comm may contain spaces and parens; the fields start after the last ')'
+  const close = raw.lastIndexOf(')');
+  const fields = raw.slice(close + 2).split(' ');
+  return {
+    pid,
+    comm: raw.slice(raw.indexOf('(') + 1, close),
+    state: fields[0],
+    ppid: parseInt(fields[1], 10),
+    pgrp: parseInt(fields[2], 10),
+    ticks: parseInt(fields[11], 10) + parseInt(fields[12], 10),
+    threads: parseInt(fields[17], 10),
+    starttime: parseInt(fields[19], 10),
+    rssPages: parseInt(fields[21], 10),
+  };
+}
+
+// starttime (clock ticks after boot) -> age in ms
+function processAgeMs(starttime, clockTicks) {
+  try {
+    const uptime = parseFloat(fs.readFileSync('/proc/uptime', 'utf-8'));
+    return Math.max(0, (uptime - starttime / clockTicks) * 1000);
+  } catch (e) {
+    return 0;
+  }
+}
+
+function allStats() {
+  let pids = [];
+  try {
+    pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+  } catch (e) {}
+  return pids.map(pid => readStat(parseInt(pid, 10))).filter(Boolean);
+}
+
+// Processes of an entry's group, and descendants that left it, that
+// started no earlier than the entry (a reused pgid or pid can't match older
+// processes, and zombies don't count). Updates entry.escaped.
+function groupMembers(entry, stats = allStats()) {
+  if (typeof entry.procStart !== 'number') return [];
+  const live = stats.filter(s => s.state !== 'Z' && s.starttime >= entry.procStart);
+  const escaped = entry.escaped || {};
+  const found = new Map(live.filter(s => s.pgrp === entry.pgid).map(s => [s.pid, s]));
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const s of live) {
+      if (found.has(s.pid)) continue;
+      if (s.ppid === entry.pid || found.has(s.ppid) || escaped[s.pid] === s.starttime) {
+        found.set(s.pid, s);
+        grew = true;
+      }
+    }
+  }
+  const outside = [...found.values()].filter(s => s.pgrp !== entry.pgid);
+  if (outside.length || entry.escaped) {
+    entry.escaped = Object.fromEntries(outside.map(s => [s.pid, s.starttime]));
+  }
+  return [...found.values()];
+}
+
+// The registering process, if it is still the one that wrote the entry
+function ownerRunning(entry) {
+  const stat = readStat(entry.ownerPid);
+  return !!stat && stat.state !== 'Z' && (entry.ownerStart == null || stat.starttime === entry.ownerStart);
+}
+
+let ownStart;
+function selfStart() {
+  if (ownStart === undefined) {
+    const stat = readStat(process.pid);
+    ownStart = stat ? stat.starttime : null;
+  }
+  return ownStart;
+}
+
+// ============================================================
+// Registry file
+// ============================================================
+
+function readRegistry() {
+  try {
+    const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+    return Array.isArray(data.processes) ? data.processes : [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[supervisor] Ignoring ${REGISTRY_FILE}: ${e.message}`);
+    return [];
+  }
+}
+
+function writeRegistry() {
+  const data = { updatedAt: new Date().toISOString(), processes: [...state.foreign, ...entries.values()] };
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${REGISTRY_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tmp, REGISTRY_FILE);
+  } catch (e) {
+    console.error(`[supervisor] Could not write ${REGISTRY_FILE}: ${e.message}`);
+  }
+}
+
+// ============================================================
+// Public API
+// ============================================================
+
+// Returns null if the process is already gone (nothing to supervise)
+function register({ id, pid, session, command, backend }) {
+  const stat = pid ? readStat(pid) : null;
+  if (!stat) return null;
+  const entry = {
+    id,
+    pid,
+    pgid: pid, // detached spawn: the child leads its own group
+    session,
+    command,
+    backend,
+    startedAt: new Date().toISOString(),
+    procStart: stat.starttime,
+    ownerPid: process.pid,
+    ownerStart: selfStart(),
+  };
+  entries.set(id, entry);
+  writeRegistry();
+  return entry;
+}
+
+// The leader exited. Anything it left in its group stays supervised (and
+// is listed) until it exits too.
+function unregister(id) {
+  const entry = entries.get(id);
+  if (!entry) return;
+  if (groupMembers(entry).length) {
+    entry.exitedAt = new Date().toISOString();
+  } else {
+    entries.delete(id);
+    cpuSamples.delete(entry.pid);
+  }
+  writeRegistry();
+}
+
+function getEntry(id) {
+  return entries.get(id) || null;
+}
+
+/**
+ * Reap groups left by owners that are no longer running. Signals are sent
+ * to each verified member, never to a bare pgid. Returns a summary;
+ * SIGKILL for stragglers follows REAP_GRACE_MS later.
+ */
+function reapOrphans() {
+  const stats = allStats();
+  const reaped = [];
+  const foreign = [];
+
+  for (const entry of readRegistry()) {
+    if (entry.ownerPid === process.pid && entry.ownerStart === selfStart()) continue;
+    if (ownerRunning(entry)) {
+      foreign.push(entry);
+      continue;
+    }
+    const members = groupMembers(entry, stats);
+    if (!members.length) continue;
+    for (const member of members) {
+      try { process.kill(member.pid, 'SIGTERM'); } catch (e) {}
+    }
+    reaped.push({ ...entry, members: members.map(m => ({ pid: m.pid, comm: m.comm })) });
+  }
+  state.foreign = foreign;
+
+  if (reaped.length) {
+    const timer = setTimeout(() => {
+      for (const entry of reaped) {
+        for (const member of groupMembers(entry)) {
+          try { process.kill(member.pid, 'SIGKILL'); } catch (e) {}
+        }
+      }
+    }, REAP_GRACE_MS);
+    if (timer.unref) timer.unref();
+    const count = reaped.reduce((n, e) => n + e.members.length, 0);
+    console.log(`[supervisor] Reaping ${count} leftover process(es) from ${reaped.length} session(s): ` +
+      reaped.map(e => `${e.session} (pid ${e.pid}, owner ${e.ownerPid})`).join(', '));
+  }
+
+  writeRegistry();
+  return reaped;
+}
+
+// SIGTERM everything in the groups we own; for process exit, so synchronous
+function terminateAll() {
+  if (!entries.size) return;
+  const stats = allStats();
+  for (const entry of entries.values()) {
+    for (const member of groupMembers(entry, stats)) {
+      try { process.kill(member.pid, 'SIGTERM'); } catch (e) {}
+    }
+  }
+}
+
+// ============================================================
+// Graceful termination
+// ============================================================
+
+function validSchedule(steps, origin) {
+  const ok = Array.isArray(steps) && steps.length > 0 && steps.every(step =>
+    step && os.constants.signals[step.signal] !== undefined &&
+    typeof step.afterMs === 'number' && step.afterMs >= 0);
+  if (!ok) {
+    console.error(`[Config] Ignoring ${origin} kill schedule: ${JSON.stringify(steps)}`);
+    return null;
+  }
+  return [...steps].sort((a, b) => a.afterMs - b.afterMs);
+}
+
+// [{ signal, afterMs }] in order, the first at 0
+function killSchedule() {
+  if (process.env.CLAUDE_KILL_SCHEDULE) {
+    const steps = process.env.CLAUDE_KILL_SCHEDULE.split(',').map(part => {
+      const [signal, afterMs] = part.trim().split(':');
+      return { signal, afterMs: Number(afterMs || 0) };
+    });
+    const schedule = validSchedule(steps, 'CLAUDE_KILL_SCHEDULE');
+    if (schedule) return schedule;
+  }
+  const config = readJsonConfig(CONFIG_NAME, {}) || {};
+  return (config.killSchedule && validSchedule(config.killSchedule, CONFIG_NAME)) || DEFAULT_KILL_SCHEDULE;
+}
+
+// An explicit signal starts the schedule at that step, or is sent first
+// with the stronger steps following
+function stepsFrom(schedule, signal) {
+  if (!signal) return schedule;
+  const index = schedule.findIndex(step => step.signal === signal);
+  const steps = index >= 0 ? schedule.slice(index) : [{ signal, afterMs: schedule[0].afterMs }, ...schedule.slice(1)];
+  const start = steps[0].afterMs;
+  return steps.map(step => ({ signal: step.signal, afterMs: step.afterMs - start }));
+}
+
+function signalMembers(entry, signal) {
+  const members = groupMembers(entry);
+  for (const member of members) {
+    try { process.kill(member.pid, signal); } catch (e) {}
+  }
+  return members.length;
+}
+
+// Steps due after `withinMs` are brought forward to it
+function stepsWithin(steps, withinMs) {
+  if (withinMs == null) return steps;
+  return steps.map(step => ({ signal: step.signal, afterMs: Math.min(step.afterMs, withinMs) }));
+}
+
+/**
+ * Signal every process in the group of `id`, escalating along the kill
+ * schedule while any are left. Resolves { signals: [...sent], remaining }
+ * once the group is empty or the last step had its grace period.
+ * With `withinMs` every step is sent by then and the grace period is
+ * short, for app shutdown. Without a registry entry only `child` (a
+ * ChildProcess) is signalled; with neither, returns null.
+ */
+function terminate(id, { signal, child, withinMs } = {}) {
+  const entry = entries.get(id);
+  if (!entry && !child) return null;
+  const steps = stepsWithin(stepsFrom(killSchedule(), signal), withinMs);
+  const graceMs = withinMs == null ? REAP_GRACE_MS : SHUTDOWN_GRACE_MS;
+  let childExited = !child || child.exitCode != null || child.signalCode != null;
+  if (!childExited) child.once('exit', () => { childExited = true; });
+  const send = entry
+    ? (sig) => signalMembers(entry, sig)
+    : (sig) => {
+      if (childExited) return 0;
+      try { child.kill(sig); } catch (e) {}
+      return 1;
+    };
+  const left = entry ? () => groupMembers(entry).length : () => (childExited ? 0 : 1);
+  const lastAt = steps[steps.length - 1].afterMs;
+  const sent = [];
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let next = 0;
+    const tick = () => {
+      const elapsed = Date.now() - started;
+      while (next < steps.length && steps[next].afterMs <= elapsed) {
+        if (send(steps[next].signal)) sent.push(steps[next].signal);
+        next++;
+      }
+      const remaining = left();
+      // After the last step, give SIGKILL a moment to land
+      if (!remaining || elapsed >= lastAt + graceMs) {
+        resolve({ signals: sent, remaining });
+        return;
+      }
+      setTimeout(tick, EMPTY_POLL_MS);
+    };
+    tick();
+  });
+}
+
+// Live figures for an entry's whole process group
+function describe(entry, stats) {
+  const members = groupMembers(entry, stats);
+  const { clockTicks, pageSize } = getSysconf();
+  const now = Date.now();
+  let cpuPercent = 0;
+  let ticks = 0;
+  let rssBytes = 0;
+  let threads = 0;
+  for (const member of members) {
+    ticks += member.ticks;
+    rssBytes += member.rssPages * pageSize;
+    threads += member.threads;
+  }
+  // CPU since the previous call (or since the leader started on the first)
+  const last = cpuSamples.get(entry.pid);
+  const since = last ? last.at : now - processAgeMs(entry.procStart, clockTicks);
+  const elapsed = (now - since) / 1000;
+  const used = (ticks - (last ? last.ticks : 0)) / clockTicks;
+  if (elapsed > 0 && used >= 0) cpuPercent = Math.round((used / elapsed) * 1000) / 10;
+  if (members.length) cpuSamples.set(entry.pid, { ticks, at: now });
+  else cpuSamples.delete(entry.pid);
+
+  const leader = members.find(m => m.pid === entry.pid);
+  return {
+    id: entry.id,
+    pid: entry.pid,
+    pgid: entry.pgid,
+    session: entry.session,
+    command: entry.command,
+    backend: entry.backend,
+    startedAt: entry.startedAt,
+    exitedAt: entry.exitedAt || null,
+    alive: !!leader,
+    state: leader ? leader.state : null,
+    processes: members.length,
+    threads,
+    cpuSeconds: Math.round((ticks / clockTicks) * 100) / 100,
+    cpuPercent,
+    rssBytes,
+  };
+}
+
+function listProcesses() {
+  const stats = allStats();
+  const list = [...entries.values()].map(entry => describe(entry, stats));
+  // Groups whose leader exited earlier are dropped once they are empty
+  const gone = list.filter(info => info.exitedAt && !info.processes);
+  for (const info of gone) entries.delete(info.id);
+  if (gone.length) writeRegistry();
+  return list.filter(info => !gone.includes(info));
+}
+
+function getProcessInfo(id) {
+  const entry = entries.get(id);
+  return entry ? describe(entry, allStats()) : null;
+}
+
+module.exports = {
+  register,
+  unregister,
+  getEntry,
+  reapOrphans,
+  terminate,
+  terminateAll,
+  listProcesses,
+  getProcessInfo,
+  readStat,
+  REGISTRY_FILE,
+};
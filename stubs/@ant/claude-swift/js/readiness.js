@@ -0,0 +1,82 @@
+/**
+ * readiness.js - When a spawned session counts as ready for input
+ *
+ * The macOS VM has a guest connection handshake; here a session is
+ * "ready" once its readiness signal is seen:
+ *
+ *   spawn    the process started (default - the stdin pipe buffers anyway,
+ *            and claude may wait for input before printing anything)
+ *   output   first byte on stdout or stderr
+ *   pattern  first stdout line matching `pattern` (a regular expression)
+ *
+ * Until then vm.writeStdin() queues. If the signal hasn't come after
+ * timeoutSeconds, queued and later writes are rejected and the session is
+ * failed and stopped.
+ *
+ * Settings come from the first of: CLAUDE_READY_SIGNAL / CLAUDE_READY_TIMEOUT,
+ * sessions[name] and default in ~/.config/claude-cowork/readiness.json:
+ *
+ *   { "default": { "signal": "pattern", "pattern": "\"type\":\"system\"", "timeoutSeconds": 60 } }
+ */
+
+const { readJsonConfig } = require('./cowork-config');
+
+const CONFIG_NAME = 'readiness.json';
+const SIGNALS = ['spawn', 'output', 'pattern'];
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+function pick(source, origin, into) {
+  if (!source || typeof source !== 'object') return;
+  if (source.signal !== undefined) {
+    if (SIGNALS.includes(source.signal)) into.signal = source.signal;
+    else console.error(`[Config] Ignoring ${origin} signal: ${JSON.stringify(source.signal)}`);
+  }
+  if (source.pattern !== undefined) {
+    try {
+      into.pattern = new RegExp(source.pattern);
+    } catch (e) {
+      console.error(`[Config] Ignoring ${origin} pattern: ${e.message}`);
+    }
+  }
+  if (source.timeoutSeconds !== undefined) {
+    const value = Number(source.timeoutSeconds);
+    if (value > 0 && Number.isFinite(value)) into.timeoutSeconds = value;
+    else console.error(`[Config] Ignoring ${origin} timeoutSeconds: ${JSON.stringify(source.timeoutSeconds)}`);
+  }
+}
+
+// { signal, pattern: RegExp|null, timeoutSeconds } for a session
+function resolveReadiness(sessionName, env = process.env) {
+  const config = readJsonConfig(CONFIG_NAME, {}) || {};
+  const readiness = { signal: 'spawn', pattern: null, timeoutSeconds: DEFAULT_TIMEOUT_SECONDS };
+  pick(config.default, `${CONFIG_NAME} default`, readiness);
+  pick(config.sessions && config.sessions[sessionName], `${CONFIG_NAME} sessions.${sessionName}`, readiness);
+
+  // CLAUDE_READY_SIGNAL=pattern:<regex> is shorthand for both keys
+  const fromEnv = {};
+  if (env.CLAUDE_READY_SIGNAL) {
+    const [signal, ...rest] = env.CLAUDE_READY_SIGNAL.split(':');
+    fromEnv.signal = signal;
+    if (rest.length) fromEnv.pattern = rest.join(':');
+  }
+  if (env.CLAUDE_READY_TIMEOUT) fromEnv.timeoutSeconds = env.CLAUDE_READY_TIMEOUT;
+  pick(fromEnv, 'environment', readiness);
+
+  if (readiness.signal === 'pattern' && !readiness.pattern) {
+    console.error('[Config] Readiness signal "pattern" without a pattern; using "output"');
+    readiness.signal = 'output';
+  }
+  return readiness;
+}
+
+function describe(readiness) {
+  if (readiness.signal === 'pattern') return `stdout matching ${readiness.pattern}`;
+  if (readiness.signal === 'output') return 'first output';
+  return 'process start';
+}
+
+module.exports = {
+  SIGNALS,
+  resolveReadiness,
+  describe,
+};
@@ -0,0 +1,264 @@
+/**
+ * resource-limits.js - Memory, CPU, process, file and runtime limits for vm.spawn
+ *
+ * The macOS VM is sized by vm.startVM(bundlePath, memoryGB). Here each
+ * spawn is wrapped so the limits cover the whole bwrap process tree:
+ *
+ *   memoryMB           systemd-run --user --scope -p MemoryMax (cgroup) when a
+ *                      user manager is reachable, else not applied (an
+ *                      RLIMIT_DATA cap breaks V8 and Bun, which reserve
+ *                      far more address space than they use)
+ *   cpuSeconds         prlimit --cpu (SIGXCPU when exceeded, SIGKILL 5s later)
+ *   maxProcesses       systemd scope TasksMax, else prlimit --nproc
+ *   openFiles          prlimit --nofile
+ *   maxRuntimeSeconds  timer in the stub; the caller stops the whole process
+ *                      group (process-supervisor.js terminate)
+ *
+ * Each key is taken from the first of: vm.setResourceLimits(), sessions[name]
+ * and default in ~/.config/claude-cowork/limits.json, and - for memoryMB -
+ * the memoryGB the app passed to startVM. Keys left unset are unlimited.
+ *
+ * An exit is blamed on memory only when the scope's memory.events counted
+ * an OOM kill, or stderr says so; a SIGKILL alone proves nothing.
+ *
+ *   { "sessions": { "<session name>": { "maxRuntimeSeconds": 3600 } },
+ *     "default": { "cpuSeconds": 1800, "openFiles": 4096, "maxProcesses": 512 } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { readJsonConfig } = require('./cowork-config');
+const { findTool } = require('./sandbox-backends');
+
+const CONFIG_NAME = 'limits.json';
+const LIMIT_KEYS = ['memoryMB', 'cpuSeconds', 'maxProcesses', 'openFiles', 'maxRuntimeSeconds'];
+const CGROUP_ROOT = '/sys/fs/cgroup';
+const CGROUP_POLL_MS = 50;
+const CGROUP_WAIT_MS = 2000;
+const CPU_GRACE_SECONDS = 5; // hard limit above the soft one, so SIGXCPU comes first
+
+// Set through vm.setResourceLimits(); session name -> partial limits
+const sessionOverrides = new Map();
+let vmMemoryGB = null;
+let warnedMissing = false;
+let warnedNoCgroup = false;
+
+// systemd-run --user needs the user manager's bus
+function hasUserSystemd() {
+  if (!findTool('systemd-run')) return false;
+  const runtimeDir = process.env.XDG_RUNTIME_DIR || `/run/user/${process.getuid()}`;
+  return fs.existsSync(path.join(runtimeDir, 'bus')) || fs.existsSync(path.join(runtimeDir, 'systemd', 'private'));
+}
+
+function pickLimits(source, origin) {
+  const limits = {};
+  if (!source || typeof source !== 'object') return limits;
+  for (const key of LIMIT_KEYS) {
+    const value = source[key];
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'number' && value > 0 && Number.isFinite(value)) {
+      limits[key] = Math.floor(value);
+    } else {
+      console.error(`[Config] Ignoring ${origin} ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+  return limits;
+}
+
+function setVmMemory(memoryGB) {
+  vmMemoryGB = typeof memoryGB === 'number' && memoryGB > 0 ? memoryGB : null;
+}
+
+function setSessionLimits(sessionName, limits) {
+  if (limits === null || limits === undefined) sessionOverrides.delete(sessionName);
+  else sessionOverrides.set(sessionName, pickLimits(limits, 'vm.setResourceLimits'));
+}
+
+// { memoryMB, cpuSeconds, ... } with only the limits that apply
+function resolveLimits(sessionName) {
+  const config = readJsonConfig(CONFIG_NAME, {}) || {};
+  const sessionConfig = config.sessions && config.sessions[sessionName];
+  const limits = {
+    ...(vmMemoryGB && { memoryMB: Math.round(vmMemoryGB * 1024) }),
+    ...pickLimits(config.default, `${CONFIG_NAME} default`),
+    ...pickLimits(sessionConfig, `${CONFIG_NAME} sessions.${sessionName}`),
+    ...(sessionOverrides.get(sessionName) || {}),
+  };
+  return limits;
+}
+
+/**
+ * Wrap `command args` so the limits apply to it and everything it starts.
+ * Both wrappers exec the command, so the returned pid is still the tree's
+ * root. Returns { command, args, memoryVia, skipped: [key...] }.
+ */
+function wrapCommand(limits, command, args) {
+  const prlimitArgs = [];
+  const systemdProps = [];
+  const skipped = [];
+  const useScope = (limits.memoryMB || limits.maxProcesses) && hasUserSystemd();
+  let memoryVia = null;
+
+  if (limits.memoryMB) {
+    if (useScope) {
+      systemdProps.push('-p', `MemoryMax=${limits.memoryMB}M`, '-p', 'MemorySwapMax=0');
+      memoryVia = 'cgroup';
+    } else {
+      skipped.push('memoryMB');
+      if (!warnedNoCgroup) {
+        warnedNoCgroup = true;
+        console.error('[resource-limits] No systemd user manager; memory limits need its cgroups and are not applied');
+      }
+    }
+  }
+  if (limits.maxProcesses) {
+    if (useScope) systemdProps.push('-p', `TasksMax=${limits.maxProcesses}`);
+    else prlimitArgs.push(`--nproc=${limits.maxProcesses}`);
+  }
+  if (limits.cpuSeconds) prlimitArgs.push(`--cpu=${limits.cpuSeconds}:${limits.cpuSeconds + CPU_GRACE_SECONDS}`);
+  if (limits.openFiles) prlimitArgs.push(`--nofile=${limits.openFiles}`);
+
+  let wrapped = [command, ...args];
+  if (prlimitArgs.length) {
+    if (findTool('prlimit')) {
+      wrapped = ['prlimit', ...prlimitArgs, '--', ...wrapped];
+    } else {
+      skipped.push(...prlimitArgs.map(a => a.replace(/^--(\w+)=.*/, '$1')));
+      if (!warnedMissing) {
+        warnedMissing = true;
+        console.error('[resource-limits] prlimit (util-linux) not found; CPU, file and process rlimits are not applied');
+      }
+    }
+  }
+  if (systemdProps.length) {
+    wrapped = ['systemd-run', '--user', '--scope', '--quiet', '--collect', ...systemdProps, '--', ...wrapped];
+  }
+  return { command: wrapped[0], args: wrapped.slice(1), memoryVia, skipped };
+}
+
+// ============================================================
+// Runtime limit and exit reasons
+// ============================================================
+
+// Call stop() after maxRuntimeSeconds; it should stop the whole process
+// group, not only the top of the wrapper chain. Returns { timedOut(), clear() }.
+function watchRuntime(limits, stop) {
+  let timedOut = false;
+  const timer = limits.maxRuntimeSeconds ? setTimeout(() => {
+    timedOut = true;
+    stop();
+  }, limits.maxRuntimeSeconds * 1000) : null;
+  if (timer && timer.unref) timer.unref();
+  return {
+    timedOut: () => timedOut,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+// The oom_kill count in a memory.events file, or null if unreadable
+function readOomKills(file) {
+  try {
+    const match = /^oom_kill (\d+)$/m.exec(fs.readFileSync(file, 'utf-8'));
+    return match ? parseInt(match[1], 10) : 0;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Count OOM kills in the cgroup scope of `proc` (memoryVia 'cgroup').
+ * systemd-run moves itself into the scope before exec'ing, so the scope
+ * is found by polling /proc/<pid>/cgroup; memory.events is then watched,
+ * since the scope is gone soon after its last process. Returns
+ * { oomKilled(), close() }.
+ */
+function watchMemory(proc, memoryVia) {
+  let kills = 0;
+  let file = null;
+  let watcher = null;
+  let pollTimer = null;
+  const started = Date.now();
+
+  const update = () => {
+    const count = file && readOomKills(file);
+    if (count) kills = Math.max(kills, count);
+  };
+  const findScope = () => {
+    pollTimer = null;
+    let cgroup = null;
+    try {
+      cgroup = /^0::(\/.*)$/m.exec(fs.readFileSync(`/proc/${proc.pid}/cgroup`, 'utf-8'));
+    } catch (e) {
+      return;
+    }
+    if (cgroup && cgroup[1].endsWith('.scope')) {
+      file = path.join(CGROUP_ROOT, cgroup[1], 'memory.events');
+      try {
+        watcher = fs.watch(file, update);
+        watcher.on('error', () => {});
+      } catch (e) {}
+      update();
+    } else if (Date.now() - started < CGROUP_WAIT_MS) {
+      pollTimer = setTimeout(findScope, CGROUP_POLL_MS);
+      if (pollTimer.unref) pollTimer.unref();
+    }
+  };
+  if (memoryVia === 'cgroup' && proc.pid) findScope();
+
+  return {
+    oomKilled() {
+      update();
+      return kills > 0;
+    },
+    close() {
+      clearTimeout(pollTimer);
+      if (watcher) watcher.close();
+    },
+  };
+}
+
+// Only the end of stderr matters for the hints below
+function stderrTail(previous, chunk) {
+  return (previous + chunk).slice(-4096);
+}
+
+/**
+ * Explain an abnormal exit in terms of the limits, or return null.
+ * bwrap exits 128+N when its child dies of signal N. `oomKilled` comes
+ * from watchMemory().
+ */
+function exitReason({ code, signal, limits, timedOut, oomKilled = false, stderr = '' }) {
+  let sig = signal || null;
+  if (!sig && code > 128) {
+    sig = Object.keys(os.constants.signals).find(name => os.constants.signals[name] === code - 128) || null;
+  }
+
+  if (timedOut) return `max runtime of ${limits.maxRuntimeSeconds}s exceeded`;
+  if (sig === 'SIGXCPU' && limits.cpuSeconds) return `CPU time limit of ${limits.cpuSeconds}s exceeded`;
+  if (!sig && !code) return null;
+
+  if (limits.openFiles && /EMFILE|too many open files/i.test(stderr)) {
+    return `open files limit of ${limits.openFiles} reached`;
+  }
+  if (limits.maxProcesses && /(fork|spawn|clone).*(EAGAIN|resource temporarily unavailable)/i.test(stderr)) {
+    return `process limit of ${limits.maxProcesses} reached`;
+  }
+  if (limits.memoryMB && oomKilled) return `memory limit of ${limits.memoryMB} MB exceeded`;
+  if (limits.memoryMB && /ENOMEM|out of memory|cannot allocate memory/i.test(stderr)) {
+    return `memory limit of ${limits.memoryMB} MB probably exceeded`;
+  }
+  return null;
+}
+
+module.exports = {
+  LIMIT_KEYS,
+  resolveLimits,
+  setVmMemory,
+  setSessionLimits,
+  wrapCommand,
+  watchRuntime,
+  watchMemory,
+  stderrTail,
+  exitReason,
+};
@@ -0,0 +1,359 @@
+/**
+ * sandbox-backends.js - What vm.spawn runs the session's command in
+ *
+ *   bubblewrap   bwrap with a fresh user namespace; /sessions/<name>/mnt/*
+ *                exist inside it (the default); mnt/ is a bind of the
+ *                host's sessions/<name>/mnt, so live mounts reach it
+ *   firejail     firejail --noprofile; no bind mounts, so session paths are
+ *                translated to host paths (see below)
+ *   unsandboxed  the command as-is, same path translation; only with an
+ *                explicit opt-in
+ *   dry-run      runs nothing: prints the bubblewrap command as JSON and
+ *                exits 0 (tests, machines without bwrap)
+ *
+ * The backend is CLAUDE_SANDBOX_BACKEND, or "backend" in
+ * ~/.config/claude-cowork/sandbox.json, or auto: the first of bubblewrap and
+ * firejail that works, then unsandboxed if allowed (CLAUDE_ALLOW_UNSANDBOXED=1
+ * or "allowUnsandboxed": true). A backend that was asked for by name but
+ * doesn't work is an error, not a silent fallback.
+ *
+ * Backends without bind mounts see the session through
+ * ~/.local/share/claude-cowork/sessions/<name>/mnt/<mount> symlinks, and
+ * /sessions/<name> in args, env values and the cwd is rewritten to that
+ * directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { readJsonConfig } = require('./cowork-config');
+
+const CONFIG_NAME = 'sandbox.json';
+const DETECT_TIMEOUT_MS = 5000;
+const AUTO_ORDER = ['bubblewrap', 'firejail', 'unsandboxed'];
+
+let detected = null;
+
+function findTool(name) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch (e) {}
+  }
+  return null;
+}
+
+function firstLine(err) {
+  const stderr = err.stderr ? String(err.stderr).trim() : '';
+  return (stderr || err.message).split('\n')[0];
+}
+
+function readConfig() {
+  const config = readJsonConfig(CONFIG_NAME, {});
+  return config && typeof config === 'object' ? config : {};
+}
+
+// ============================================================
+// Backends
+// ============================================================
+// detect() -> { available, reason }
+// build(spec) -> { command, args, cwd?, env? }
+//   spec: { hostCommand, args, plan, vmSessionPath, hostSessionPath, vmCwd, isolateNetwork }
+//   (plan from sandbox-profiles.planMounts; for backends with hostPaths,
+//   vmCwd and args are already translated)
+
+const bubblewrap = {
+  name: 'bubblewrap',
+  hostPaths: false,
+  detect() {
+    const bwrap = findTool('bwrap');
+    if (!bwrap) return { available: false, reason: 'bwrap not found on PATH' };
+    try {
+      execFileSync(bwrap, ['--unshare-user', '--ro-bind', '/', '/', 'true'], {
+        timeout: DETECT_TIMEOUT_MS,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+    } catch (e) {
+      return { available: false, reason: `bwrap can't create a user namespace: ${firstLine(e)}` };
+    }
+    return { available: true, reason: `${bwrap} works with unprivileged user namespaces` };
+  },
+  build({ hostCommand, args, plan, vmSessionPath, hostSessionPath, vmCwd, isolateNetwork }) {
+    const bindFlag = bind => (bind.readOnly ? '--ro-bind' : '--bind');
+
+    // This creates an isolated namespace where /sessions/{processName}/mnt/{mountName} is available
+    const bwrapArgs = [
+      // User namespace isolation
+      '--unshare-user',
+      '--uid', String(process.getuid()),
+      '--gid', String(process.getgid()),
+      '--die-with-parent',
+
+      // Own pid namespace: when bwrap goes, the kernel kills everything
+      // inside, including processes that left the session's process group
+      '--unshare-pid',
+
+      // Network isolation (opt-in for testing/security)
+      ...(isolateNetwork ? ['--unshare-net'] : []),
+
+      // Start with empty tmpfs root for maximum isolation
+      '--tmpfs', '/',
+
+      // Bind only necessary system directories (READ-ONLY where possible)
+      '--ro-bind', '/usr', '/usr',
+      '--ro-bind', '/bin', '/bin',
+      '--ro-bind', '/lib', '/lib',
+      '--ro-bind', '/etc', '/etc',
+
+      // Home and extra host paths as the sandbox profile allows (not all of /home)
+      ...plan.dirs.flatMap(dir => ['--dir', dir]),
+      ...plan.host.flatMap(bind => [bindFlag(bind), bind.source, bind.dest]),
+
+      // Isolated temp directory (NOT host /tmp)
+      '--tmpfs', '/tmp',
+
+      // Minimal /dev and /proc
+      '--dev', '/dev',
+      '--proc', '/proc',
+
+      // DO NOT MOUNT: /run (IPC sockets), /var (system state)
+    ];
+
+    // Optional system dirs that may exist (READ-ONLY)
+    for (const optDir of ['/lib64', '/lib32', '/opt', '/snap', '/nix']) {
+      try {
+        if (fs.existsSync(optDir)) {
+          bwrapArgs.push('--ro-bind', optDir, optDir);
+        }
+      } catch (e) {}
+    }
+
+    // Create /sessions directory structure in the namespace
+    bwrapArgs.push('--dir', '/sessions');
+    bwrapArgs.push('--dir', `${vmSessionPath}`);
+    // mnt/ is the host's, so folders mounted there later appear inside (live-mounts.js)
+    bwrapArgs.push('--bind', path.join(hostSessionPath, 'mnt'), `${vmSessionPath}/mnt`);
+
+    // Add bind mounts for each mount point the profile allows
+    for (const bind of plan.session) {
+      bwrapArgs.push('--dir', bind.dest);
+      bwrapArgs.push(bindFlag(bind), bind.source, bind.dest);
+    }
+
+    bwrapArgs.push('--chdir', vmCwd);
+    bwrapArgs.push('--', hostCommand, ...args);
+    return { command: 'bwrap', args: bwrapArgs };
+  },
+};
+
+const firejail = {
+  name: 'firejail',
+  hostPaths: true,
+  detect() {
+    const bin = findTool('firejail');
+    if (!bin) return { available: false, reason: 'firejail not found on PATH' };
+    try {
+      const out = execFileSync(bin, ['--version'], {
+        encoding: 'utf-8',
+        timeout: DETECT_TIMEOUT_MS,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      });
+      const version = /(\d+\.\d+[\d.]*)/.exec(out);
+      return { available: true, reason: `${bin}${version ? ` ${version[1]}` : ''}` };
+    } catch (e) {
+      return { available: false, reason: `firejail --version failed: ${firstLine(e)}` };
+    }
+  },
+  build({ hostCommand, args, plan, vmCwd, isolateNetwork, hostSessionPath }) {
+    const home = os.homedir();
+    const homeBind = plan.host.find(b => b.source === home);
+    // Home itself is handled by the home mode; firejail has no separate mount points
+    const binds = [...plan.host, ...plan.session].filter(b => b.source !== home);
+    const jailArgs = [
+      '--quiet', '--noprofile',
+      '--private-tmp', '--private-dev',
+      '--nonewprivs', '--caps.drop=all', '--seccomp',
+      ...(isolateNetwork ? ['--net=none'] : []),
+    ];
+
+    if (!homeBind) {
+      // Hide home except what the profile binds (and the session's links)
+      for (const bind of binds) jailArgs.push(`--whitelist=${bind.source}`);
+      jailArgs.push(`--whitelist=${hostSessionPath}`);
+    } else if (homeBind.readOnly) {
+      jailArgs.push(`--read-only=${home}`);
+      for (const bind of binds) if (!bind.readOnly) jailArgs.push(`--read-write=${bind.source}`);
+      jailArgs.push(`--read-write=${hostSessionPath}`);
+    }
+    for (const bind of binds) if (bind.readOnly) jailArgs.push(`--read-only=${bind.source}`);
+
+    return { command: 'firejail', args: [...new Set(jailArgs), '--', hostCommand, ...args], cwd: vmCwd };
+  },
+};
+
+const unsandboxed = {
+  name: 'unsandboxed',
+  hostPaths: true,
+  detect() {
+    const config = readConfig();
+    if (process.env.CLAUDE_SANDBOX_BACKEND === 'unsandboxed') {
+      return { available: true, reason: 'selected with CLAUDE_SANDBOX_BACKEND=unsandboxed' };
+    }
+    if (['1', 'true'].includes(process.env.CLAUDE_ALLOW_UNSANDBOXED)) {
+      return { available: true, reason: 'allowed by CLAUDE_ALLOW_UNSANDBOXED' };
+    }
+    if (config.allowUnsandboxed === true || config.backend === 'unsandboxed') {
+      return { available: true, reason: `allowed in ${CONFIG_NAME}` };
+    }
+    return { available: false, reason: 'not allowed (set CLAUDE_ALLOW_UNSANDBOXED=1 to run sessions without a sandbox)' };
+  },
+  build({ hostCommand, args, vmCwd }) {
+    return { command: hostCommand, args, cwd: vmCwd };
+  },
+};
+
+const dryRun = {
+  name: 'dry-run',
+  hostPaths: false,
+  detect() {
+    return { available: true, reason: 'prints the bubblewrap command instead of running it' };
+  },
+  build(spec) {
+    const wouldRun = bubblewrap.build(spec);
+    const report = JSON.stringify({ dryRun: true, backend: 'bubblewrap', ...wouldRun });
+    return {
+      command: process.execPath,
+      args: ['-e', 'process.stdout.write(process.argv[1] + "\\n")', report],
+      env: { ELECTRON_RUN_AS_NODE: '1' },
+    };
+  },
+};
+
+const BACKENDS = {
+  bubblewrap,
+  firejail,
+  unsandboxed,
+  'dry-run': dryRun,
+};
+
+// ============================================================
+// Selection
+// ============================================================
+
+/**
+ * Check every backend and pick the active one. Cached; refresh re-checks.
+ * { name, reason, requested, requestedBy, backends: { name: { available, reason } } }
+ * name is null when nothing usable was found (reason says why).
+ */
+function detect({ refresh = false } = {}) {
+  if (detected && !refresh) return detected;
+
+  const config = readConfig();
+  let requested = 'auto';
+  let requestedBy = 'default';
+  if (process.env.CLAUDE_SANDBOX_BACKEND) {
+    requested = process.env.CLAUDE_SANDBOX_BACKEND;
+    requestedBy = 'CLAUDE_SANDBOX_BACKEND';
+  } else if (typeof config.backend === 'string') {
+    requested = config.backend;
+    requestedBy = CONFIG_NAME;
+  }
+
+  const backends = {};
+  for (const [name, backend] of Object.entries(BACKENDS)) {
+    // Only probe dry-run when asked for; it is always available
+    if (name === 'dry-run' && requested !== name) continue;
+    backends[name] = backend.detect();
+  }
+
+  let name = null;
+  let reason;
+  if (requested !== 'auto') {
+    if (!BACKENDS[requested]) {
+      reason = `unknown sandbox backend '${requested}' (from ${requestedBy}); expected auto, ${Object.keys(BACKENDS).join(', ')}`;
+    } else if (!backends[requested].available) {
+      reason = `${requested} requested by ${requestedBy} but unavailable: ${backends[requested].reason}`;
+    } else {
+      name = requested;
+      reason = `requested by ${requestedBy}: ${backends[requested].reason}`;
+    }
+  } else {
+    name = AUTO_ORDER.find(n => backends[n].available) || null;
+    const skipped = AUTO_ORDER.slice(0, name ? AUTO_ORDER.indexOf(name) : AUTO_ORDER.length)
+      .map(n => `${n}: ${backends[n].reason}`);
+    reason = name
+      ? [backends[name].reason, ...skipped.map(s => `skipped ${s}`)].join('; ')
+      : `no sandbox backend available (${skipped.join('; ')})`;
+  }
+
+  const changed = !detected || detected.name !== name;
+  detected = { name, reason, requested, requestedBy, backends, checkedAt: new Date().toISOString() };
+  if (changed) {
+    if (name) console.log(`[sandbox] Backend: ${name} - ${reason}`);
+    else console.error(`[sandbox] ${reason}`);
+  }
+  return detected;
+}
+
+function getBackend(name) {
+  return BACKENDS[name] || null;
+}
+
+// ============================================================
+// Host paths for backends without bind mounts
+// ============================================================
+
+// hostSessionPath/mnt/<name> -> source, for each allowed session mount
+function linkSessionMounts(hostSessionPath, plan) {
+  const mntDir = path.join(hostSessionPath, 'mnt');
+  fs.mkdirSync(mntDir, { recursive: true, mode: 0o700 });
+  for (const bind of plan.session) {
+    const link = path.join(mntDir, bind.name);
+    let existing = null;
+    try {
+      existing = fs.lstatSync(link);
+    } catch (e) {}
+    // Leave anything that isn't our link alone
+    if (existing && !existing.isSymbolicLink()) continue;
+    if (existing) {
+      if (fs.readlinkSync(link) === bind.source) continue;
+      fs.unlinkSync(link);
+    }
+    fs.symlinkSync(bind.source, link);
+  }
+  // Links for mounts the profile now hides must not linger
+  for (const entry of fs.readdirSync(mntDir)) {
+    if (plan.session.some(b => b.name === entry)) continue;
+    try {
+      if (fs.lstatSync(path.join(mntDir, entry)).isSymbolicLink()) fs.unlinkSync(path.join(mntDir, entry));
+    } catch (e) {}
+  }
+}
+
+// "/sessions/<name>/x" -> "<hostSessionPath>/x"; other strings unchanged
+function toHostPath(value, vmSessionPath, hostSessionPath) {
+  if (typeof value !== 'string') return value;
+  if (value === vmSessionPath) return hostSessionPath;
+  if (value.startsWith(vmSessionPath + '/')) return hostSessionPath + value.slice(vmSessionPath.length);
+  return value;
+}
+
+// toHostPath() for each part of a ':'-separated env value (PATH, PYTHONPATH...)
+function envToHostPath(value, vmSessionPath, hostSessionPath) {
+  if (typeof value !== 'string' || !value.includes(vmSessionPath)) return value;
+  return value.split(':').map(part => toHostPath(part, vmSessionPath, hostSessionPath)).join(':');
+}
+
+module.exports = {
+  BACKENDS,
+  detect,
+  getBackend,
+  findTool,
+  linkSessionMounts,
+  toHostPath,
+  envToHostPath,
+};
@@ -0,0 +1,222 @@
+/**
+ * sandbox-profiles.js - Which host paths a vm.spawn session can see
+ *
+ * A profile says how the home directory and the folders the app mounts
+ * into the session (its additionalMounts - the folders picked in Cowork)
+ * are exposed:
+ *
+ *   legacy         home rw, selected folders rw (the original behaviour)
+ *   home-ro        home ro, selected folders rw
+ *   selected-only  no home, selected folders rw
+ *
+ *   { home: 'rw'|'ro'|'none', selected: 'rw'|'ro', binds: [{ path, mode }] }
+ *
+ * ~/.claude and ~/.claude.json stay writable in every profile - Claude Code
+ * keeps its state there. Custom profiles, the default and per-folder or
+ * per-session choices live in ~/.config/claude-cowork/sandbox.json:
+ *
+ *   { "defaultProfile": "home-ro",
+ *     "folders": { "~/work/client-a": "selected-only" },
+ *     "sessions": { "<session name>": "selected-only" },
+ *     "profiles": { "src-ro": { "home": "none", "selected": "rw",
+ *                               "binds": [{ "path": "~/src", "mode": "ro" }] } } }
+ *
+ * Session names are made up by the app per session, so `folders` is the
+ * practical per-session choice: a session with a selected folder at or
+ * under a listed path gets that profile (the longest listed path wins).
+ *
+ * A session's profile is, first match wins: vm.setSandboxProfile(),
+ * sessions[name], folders, CLAUDE_SANDBOX_PROFILE, defaultProfile, 'legacy'.
+ * planMounts() turns a profile into the bind list spawn hands to bwrap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { CONFIG_DIR, readJsonConfig, expandHome } = require('./cowork-config');
+
+const CONFIG_NAME = 'sandbox.json';
+const DEFAULT_PROFILE = 'legacy';
+
+const BUILTIN_PROFILES = {
+  'legacy': { home: 'rw', selected: 'rw', binds: [] },
+  'home-ro': { home: 'ro', selected: 'rw', binds: [] },
+  'selected-only': { home: 'none', selected: 'rw', binds: [] },
+};
+
+const HOME_MODES = ['rw', 'ro', 'none'];
+const MOUNT_MODES = ['rw', 'ro'];
+
+// Set through vm.setSandboxProfile(); session name -> profile name
+const sessionOverrides = new Map();
+
+function readConfig() {
+  const config = readJsonConfig(CONFIG_NAME, {});
+  return config && typeof config === 'object' ? config : {};
+}
+
+function validateProfile(name, profile) {
+  if (!profile || typeof profile !== 'object') return `profile '${name}' is not an object`;
+  if (!HOME_MODES.includes(profile.home)) return `profile '${name}': home must be one of ${HOME_MODES.join(', ')}`;
+  if (!MOUNT_MODES.includes(profile.selected)) return `profile '${name}': selected must be one of ${MOUNT_MODES.join(', ')}`;
+  for (const bind of profile.binds || []) {
+    if (!bind || typeof bind.path !== 'string' || !MOUNT_MODES.includes(bind.mode)) {
+      return `profile '${name}': binds entries need a path and mode 'rw' or 'ro'`;
+    }
+  }
+  return null;
+}
+
+// The mounts that are folders picked in Cowork, not home or Claude's own
+function isSelected(name, hostPath, home = os.homedir()) {
+  return hostPath !== home && !['.claude', 'uploads', '.skills'].includes(name);
+}
+
+// { mountName: hostPath } -> host paths of the selected folders
+function selectedFolders(mounts = {}) {
+  return Object.entries(mounts)
+    .filter(([name, hostPath]) => isSelected(name, hostPath))
+    .map(([, hostPath]) => hostPath);
+}
+
+// Longest `folders` entry containing one of the session's folders
+function matchFolderRule(rules, folders) {
+  let best = null;
+  for (const [rulePath, profileName] of Object.entries(rules || {})) {
+    const root = path.resolve(expandHome(rulePath));
+    const prefix = root.endsWith(path.sep) ? root : root + path.sep;
+    const matches = folders.some(f => f === root || f.startsWith(prefix));
+    if (matches && (!best || root.length > best.root.length)) best = { root, rulePath, profileName };
+  }
+  return best;
+}
+
+function listProfiles() {
+  const custom = readConfig().profiles || {};
+  return { ...BUILTIN_PROFILES, ...custom };
+}
+
+// { name, source, profile } - or { name, source, error } for an unknown or
+// invalid profile; spawn refuses those rather than widening access.
+// `folders` are the host paths of the session's selected folders.
+function resolveProfile(sessionName, { folders = [] } = {}) {
+  const config = readConfig();
+  const folderRule = matchFolderRule(config.folders, folders);
+  let name;
+  let source;
+  if (sessionOverrides.has(sessionName)) {
+    name = sessionOverrides.get(sessionName);
+    source = 'vm.setSandboxProfile';
+  } else if (config.sessions && config.sessions[sessionName]) {
+    name = config.sessions[sessionName];
+    source = `${path.join(CONFIG_DIR, CONFIG_NAME)} sessions`;
+  } else if (folderRule) {
+    name = folderRule.profileName;
+    source = `${path.join(CONFIG_DIR, CONFIG_NAME)} folders[${folderRule.rulePath}]`;
+  } else if (process.env.CLAUDE_SANDBOX_PROFILE) {
+    name = process.env.CLAUDE_SANDBOX_PROFILE;
+    source = 'CLAUDE_SANDBOX_PROFILE';
+  } else if (config.defaultProfile) {
+    name = config.defaultProfile;
+    source = `${path.join(CONFIG_DIR, CONFIG_NAME)} defaultProfile`;
+  } else {
+    name = DEFAULT_PROFILE;
+    source = 'default';
+  }
+
+  const profiles = { ...BUILTIN_PROFILES, ...(config.profiles || {}) };
+  const profile = profiles[name];
+  if (!profile) return { name, source, error: `unknown sandbox profile '${name}' (from ${source})` };
+  const invalid = validateProfile(name, profile);
+  if (invalid) return { name, source, error: invalid };
+  return { name, source, profile: { binds: [], ...profile } };
+}
+
+function setSessionProfile(sessionName, profileName) {
+  if (profileName === null || profileName === undefined) {
+    sessionOverrides.delete(sessionName);
+    return true;
+  }
+  if (!listProfiles()[profileName]) return false;
+  sessionOverrides.set(sessionName, profileName);
+  return true;
+}
+
+// ============================================================
+// Mount plan
+// ============================================================
+
+/**
+ * profile      resolved profile ({ home, selected, binds })
+ * mounts       [{ name, hostPath, mode }] for /sessions/<s>/mnt/<name>;
+ *              `mode: 'ro'` from the app is always honoured
+ * hostCommand  binary being run; its directory stays visible (read-only)
+ *              when the profile hides home
+ *
+ * Returns bind lists in mount order, so narrower binds land on top:
+ *   host     [{ source, dest, readOnly }]  host paths at their own location
+ *   dirs     [dest]                        empty dirs to create (e.g. $HOME)
+ *   session  [{ name, source, dest, readOnly }]
+ *   skipped  [name]                        mounts the profile hides
+ */
+function planMounts(profile, { mounts = [], vmSessionPath, hostCommand = null } = {}) {
+  const home = os.homedir();
+  const plan = { host: [], dirs: [], session: [], skipped: [] };
+
+  if (profile.home === 'none') {
+    // $HOME still exists, as an empty dir on the sandbox tmpfs
+    plan.dirs.push(home);
+  } else {
+    plan.host.push({ source: home, dest: home, readOnly: profile.home === 'ro' });
+  }
+
+  // Claude Code's own state must stay writable
+  if (profile.home !== 'rw') {
+    for (const name of ['.claude', '.claude.json']) {
+      const p = path.join(home, name);
+      if (fs.existsSync(p)) plan.host.push({ source: p, dest: p, readOnly: false });
+    }
+  }
+
+  if (hostCommand && profile.home === 'none' && hostCommand.startsWith(home + path.sep)) {
+    const dir = path.dirname(hostCommand);
+    plan.host.push({ source: dir, dest: dir, readOnly: true });
+  }
+
+  for (const bind of profile.binds || []) {
+    const p = path.resolve(expandHome(bind.path));
+    if (fs.existsSync(p)) plan.host.push({ source: p, dest: p, readOnly: bind.mode === 'ro' });
+  }
+
+  for (const mount of mounts) {
+    let mode;
+    if (isSelected(mount.name, mount.hostPath, home)) mode = profile.selected;
+    else if (mount.hostPath === home) mode = profile.home;
+    else if (mount.name === '.skills') mode = profile.home === 'rw' ? 'rw' : 'ro';
+    else mode = 'rw'; // .claude, uploads
+
+    if (mode === 'none') {
+      plan.skipped.push(mount.name);
+      continue;
+    }
+    if (mount.mode === 'ro') mode = 'ro';
+    plan.session.push({
+      name: mount.name,
+      source: mount.hostPath,
+      dest: `${vmSessionPath}/mnt/${mount.name}`,
+      readOnly: mode === 'ro',
+    });
+  }
+
+  return plan;
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE,
+  listProfiles,
+  resolveProfile,
+  selectedFolders,
+  setSessionProfile,
+  planMounts,
+};
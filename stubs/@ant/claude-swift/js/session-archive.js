@@ -0,0 +1,263 @@
+/**
+ * session-archive.js - Move a Cowork session to another machine or user
+ *
+ * exportSession() packs ~/.local/share/claude-cowork/sessions/<name>
+ * (session.json, uploads/, output.jsonl and anything else in it - but not
+ * the mnt/ links, which are rebuilt) into a .tar.gz with a manifest:
+ *
+ *   cowork-session.json  { format, exportedAt, name, title, mounts:
+ *                          { <mount>: '${HOME}/proj' | '${SESSION}/uploads'
+ *                            | '${MOUNT:<mount>}' } }
+ *   session/...          the session directory
+ *
+ * Host paths in session.json and output.jsonl are replaced by the same
+ * placeholders: ${SESSION} for the session directory, ${HOME} for the home
+ * directory, ${MOUNT:<mount>} for a folder outside it. importSession()
+ * maps them back onto this machine - the home directory, the new session
+ * directory and the folders passed in `mounts` - so the session resumes
+ * with the same /sessions/<name>/mnt/<mount> layout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const sessionIndex = require('./session-index');
+
+const FORMAT = 1;
+const MANIFEST_FILE = 'cowork-session.json';
+const TAR_TIMEOUT_MS = 10 * 60 * 1000;
+const MOUNT_NAME = /^(?!\.\.?$)[\w.-]+$/;
+
+// Files whose text has host paths rewritten; everything else is copied as is
+const TEXT_FILES = [sessionIndex.META_FILE, sessionIndex.OUTPUT_FILE];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest path first, so a mount inside the session dir or home wins
+function replacePaths(text, pairs) {
+  for (const [from, to] of [...pairs].sort((a, b) => b[0].length - a[0].length)) {
+    text = text.replace(new RegExp(`${escapeRegExp(from)}(?![\\w.-])`, 'g'), to);
+  }
+  return text;
+}
+
+function rewriteFiles(dir, pairs) {
+  for (const name of TEXT_FILES) {
+    const file = path.join(dir, name);
+    let text;
+    try { text = fs.readFileSync(file, 'utf-8'); } catch (e) { continue; }
+    fs.writeFileSync(file, replacePaths(text, pairs), { mode: 0o600 });
+  }
+}
+
+function tar(args) {
+  try {
+    execFileSync('tar', args, { stdio: ['ignore', 'ignore', 'pipe'], timeout: TAR_TIMEOUT_MS });
+  } catch (e) {
+    const detail = e.stderr ? e.stderr.toString().trim() : e.message;
+    throw new Error(`tar failed: ${detail}`);
+  }
+}
+
+function scratchDir(parent, prefix) {
+  fs.mkdirSync(parent, { recursive: true, mode: 0o700 });
+  return fs.mkdtempSync(path.join(parent, prefix));
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+/**
+ * Write session `name` to `file` (.tar.gz). A running session needs
+ * { force: true }. Returns { file, name, mounts } with the placeholders.
+ */
+function exportSession(name, file, { force = false } = {}) {
+  const dir = sessionIndex.sessionDir(name);
+  if (!fs.existsSync(dir)) throw new Error(`no such session: ${name}`);
+  if (sessionIndex.isRunning(name) && !force) throw new Error(`session ${name} is still running`);
+
+  const meta = sessionIndex.get(name) || {};
+  const home = os.homedir();
+  const mounts = {};
+  const pairs = [[dir, '${SESSION}'], [home, '${HOME}']];
+  for (const [mount, hostPath] of Object.entries(meta.mounts || {})) {
+    if (hostPath === dir || hostPath.startsWith(dir + path.sep)) {
+      mounts[mount] = '${SESSION}' + hostPath.slice(dir.length);
+    } else if (hostPath === home || hostPath.startsWith(home + path.sep)) {
+      mounts[mount] = '${HOME}' + hostPath.slice(home.length);
+    } else {
+      mounts[mount] = `\${MOUNT:${mount}}`;
+      pairs.push([hostPath, mounts[mount]]);
+    }
+  }
+
+  const staging = scratchDir(os.tmpdir(), 'cowork-export-');
+  try {
+    const copy = path.join(staging, 'session');
+    // mnt/ only holds links to host folders; the importer rebuilds them
+    fs.cpSync(dir, copy, {
+      recursive: true,
+      verbatimSymlinks: true,
+      filter: (src) => src !== path.join(dir, 'mnt'),
+    });
+    rewriteFiles(copy, pairs);
+
+    const manifest = {
+      format: FORMAT,
+      exportedAt: new Date().toISOString(),
+      name,
+      title: meta.title || name,
+      mounts,
+    };
+    fs.writeFileSync(path.join(staging, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+
+    const out = path.resolve(file);
+    tar(['-czf', out, '-C', staging, MANIFEST_FILE, 'session']);
+    return { file: out, name, mounts };
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+// ============================================================
+// Import
+// ============================================================
+
+// Archives come from other people: nothing in them may be a link
+function assertNoLinks(dir, root = dir) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isSymbolicLink()) throw new Error(`archive contains a symlink: ${path.relative(root, full)}`);
+    if (entry.isDirectory()) assertNoLinks(full, root);
+  }
+}
+
+function stringOr(value, fallback) {
+  return typeof value === 'string' ? value : fallback;
+}
+
+// Read-only is the only mode worth keeping; anything else is read-write
+function readOnlyModes(modes, mounts) {
+  const kept = {};
+  for (const mount of Object.keys(mounts)) {
+    if (modes && modes[mount] === 'ro') kept[mount] = 'ro';
+  }
+  return kept;
+}
+
+// '${HOME}/proj' -> <home>/proj; null unless it stays inside that folder
+function placeholderPath(placeholder, bases) {
+  for (const [name, base] of Object.entries(bases)) {
+    if (placeholder !== name && !placeholder.startsWith(name + '/')) continue;
+    const resolved = path.resolve(base, '.' + placeholder.slice(name.length));
+    return resolved === base || resolved.startsWith(base + path.sep) ? resolved : null;
+  }
+  return null;
+}
+
+// The saved cwd, if it lies inside one of the imported mounts
+function importedCwd(cwd, name, mounts) {
+  if (typeof cwd !== 'string') return null;
+  const normalized = path.posix.normalize(cwd);
+  const prefix = `/sessions/${name}/mnt/`;
+  if (normalized !== cwd || !normalized.startsWith(prefix)) return null;
+  return Object.hasOwn(mounts, normalized.slice(prefix.length).split('/')[0]) ? normalized : null;
+}
+
+/**
+ * Unpack `file` as a session. Options:
+ *   as      session name to use (default: the exported name)
+ *   mounts  { <mount>: hostPath } for ${MOUNT:<mount>} folders, or to put
+ *           any mount somewhere else; only mounts in the manifest
+ * Returns { name, dir, mounts, missing: [folders that don't exist here] }.
+ */
+function importSession(file, { as, mounts: mapped = {} } = {}) {
+  // Next to the sessions, so the final rename stays on one filesystem; the
+  // leading dot keeps it out of the index
+  const staging = scratchDir(sessionIndex.SESSIONS_BASE, '.import-');
+  try {
+    tar(['-xzf', path.resolve(file), '-C', staging, '--no-same-owner', '--no-same-permissions']);
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(staging, MANIFEST_FILE), 'utf-8'));
+    } catch (e) {
+      throw new Error(`not a session archive: ${MANIFEST_FILE} missing or invalid`);
+    }
+    if (manifest.format !== FORMAT) throw new Error(`unsupported archive format ${manifest.format}`);
+    const copy = path.join(staging, 'session');
+    if (!fs.existsSync(copy)) throw new Error('not a session archive: no session directory');
+    assertNoLinks(staging);
+
+    const name = as || manifest.name;
+    const dir = sessionIndex.sessionDir(name);
+    if (fs.existsSync(dir)) throw new Error(`session ${name} already exists; import it under another name`);
+
+    // Placeholder -> path on this machine, for the manifest and the files
+    const home = os.homedir();
+    const resolved = {};
+    const unresolved = [];
+    const pairs = [['${SESSION}', dir], ['${HOME}', home]];
+    // Paths inside the sandbox carry the session name too
+    if (name !== manifest.name) pairs.push([`/sessions/${manifest.name}`, `/sessions/${name}`]);
+    for (const [mount, placeholder] of Object.entries(manifest.mounts || {})) {
+      if (!MOUNT_NAME.test(mount) || typeof placeholder !== 'string') {
+        throw new Error(`not a session archive: bad mount ${JSON.stringify(mount)}`);
+      }
+      if (Object.hasOwn(mapped, mount)) {
+        resolved[mount] = path.resolve(mapped[mount]);
+        if (placeholder.startsWith('${MOUNT:')) pairs.push([placeholder, resolved[mount]]);
+      } else if (placeholder.startsWith('${MOUNT:')) {
+        unresolved.push(mount);
+      } else {
+        resolved[mount] = placeholderPath(placeholder, { '${SESSION}': dir, '${HOME}': home });
+        if (!resolved[mount]) throw new Error(`not a session archive: mount ${mount} is ${placeholder}`);
+      }
+    }
+    if (unresolved.length) {
+      throw new Error(`folders outside the exporter's home need a location here: ${unresolved.join(', ')}`);
+    }
+    const unknown = Object.keys(mapped).filter(mount => !Object.hasOwn(resolved, mount));
+    if (unknown.length) throw new Error(`the archive has no mount named ${unknown.join(', ')}`);
+    rewriteFiles(copy, pairs);
+
+    fs.renameSync(copy, dir);
+
+    // The archive's session.json is someone else's: only what the manifest
+    // declares is kept, mapped as above. Its env (LD_PRELOAD, proxies...)
+    // is dropped; the resuming request supplies its own.
+    const meta = sessionIndex.readMeta(name) || {};
+    sessionIndex.writeMeta(name, {
+      name,
+      title: stringOr(meta.title, manifest.title || name),
+      createdAt: stringOr(meta.createdAt, null),
+      lastActiveAt: stringOr(meta.lastActiveAt, null),
+      status: 'exited',
+      pid: null,
+      spawnCount: Number.isInteger(meta.spawnCount) ? meta.spawnCount : 0,
+      resumeCount: Number.isInteger(meta.resumeCount) ? meta.resumeCount : 0,
+      mounts: resolved,
+      mountModes: readOnlyModes(meta.mountModes, resolved),
+      cwd: importedCwd(meta.cwd, name, resolved),
+      env: {},
+      exit: null,
+      disk: null,
+      imported: { from: manifest.name, exportedAt: manifest.exportedAt, at: new Date().toISOString() },
+    });
+
+    const missing = Object.values(resolved).filter(p => !fs.existsSync(p));
+    return { name, dir, mounts: resolved, missing };
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  exportSession,
+  importSession,
+};
@@ -0,0 +1,211 @@
+/**
+ * session-files.js - vm.readFile / vm.writeFile inside a session's mounts
+ *
+ * The app names files by their path inside the VM,
+ * /sessions/<name>/mnt/<mount>/..., or by a host path the sandbox shows at
+ * the same place (the home directory). Either way the path has to fall
+ * inside one of that session's mounts (session-paths.js):
+ *
+ *   - `..` is resolved before matching
+ *   - the file's directory is opened and its real path (from the open
+ *     handle) must be inside the mount's folder
+ *   - the file itself is opened relative to that handle with O_NOFOLLOW,
+ *     so a symlink there, dangling or not, is refused
+ *   - writes to a read-only mount are refused
+ *
+ * Files larger than MAX_WHOLE_FILE_BYTES have to be read in chunks
+ * ({ offset, length }); writes can be chunked the same way, or appended.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sessionPaths = require('./session-paths');
+
+const MAX_WHOLE_FILE_BYTES = 64 * 1024 * 1024;
+const DEFAULT_CHUNK_BYTES = 4 * 1024 * 1024;
+const MAX_CHUNK_BYTES = 16 * 1024 * 1024;
+
+const { O_RDONLY, O_WRONLY, O_CREAT, O_APPEND, O_DIRECTORY, O_NOFOLLOW, O_NONBLOCK } = fs.constants;
+
+function isInside(child, parent) {
+  return child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+}
+
+/**
+ * Map `vmPath` to { hostPath, mount, readOnly } for `sessionName`, or
+ * throw if it isn't inside one of the session's mounts.
+ */
+function resolve(sessionName, vmPath, { write = false } = {}) {
+  if (typeof vmPath !== 'string' || !vmPath.startsWith('/') || vmPath.includes('\0')) {
+    throw new Error(`invalid path: ${JSON.stringify(vmPath)}`);
+  }
+  const mounts = sessionPaths.mountsFor(sessionName);
+  const normalized = path.posix.normalize(vmPath);
+
+  // The VM name of a mount, or its host path (session-paths.js)
+  const mount = sessionPaths.findMount(mounts, 'vmPath', normalized) ||
+    sessionPaths.findMount(mounts, 'hostPath', normalized);
+  if (!mount) throw new Error(`${vmPath} is outside the mounts of session ${sessionName}`);
+
+  const root = isInside(normalized, mount.vmPath) ? mount.vmPath : mount.hostPath;
+  const hostPath = path.join(mount.hostPath, normalized.slice(root.length));
+  if (write && mount.readOnly) throw new Error(`${vmPath} is on read-only mount ${mount.name}`);
+  return { hostPath, mount: mount.name, mountPath: mount.hostPath, readOnly: mount.readOnly };
+}
+
+// ============================================================
+// Opening inside a mount
+// ============================================================
+
+// Where an open handle really is, whatever path opened it
+function handlePath(handle) {
+  return fs.promises.readlink(`/proc/self/fd/${handle.fd}`);
+}
+
+// mkdir -p below the mount, refusing to follow a link out of it
+async function makeParents(target, realRoot) {
+  const rest = path.relative(target.mountPath, path.dirname(target.hostPath));
+  let current = target.mountPath;
+  for (const part of rest ? rest.split(path.sep) : []) {
+    current = path.join(current, part);
+    try {
+      await fs.promises.mkdir(current, { mode: 0o700 });
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      if (!isInside(await fs.promises.realpath(current), realRoot)) {
+        throw new Error(`${target.vmPath} leads outside mount ${target.mount}`);
+      }
+    }
+  }
+}
+
+/**
+ * Open the directory holding `target` and check it is inside the mount.
+ * Resolves { dir, name } where `name` is the file's path through the open
+ * directory handle, or { dir: null } for the mount folder itself. Close
+ * `dir` when done.
+ */
+async function openParent(target, { create = false } = {}) {
+  if (create) await fs.promises.mkdir(target.mountPath, { recursive: true, mode: 0o700 });
+  const realRoot = await fs.promises.realpath(target.mountPath);
+  if (path.resolve(target.hostPath) === path.resolve(target.mountPath)) return { dir: null, realRoot };
+  if (create) await makeParents(target, realRoot);
+
+  const dir = await fs.promises.open(path.dirname(target.hostPath), O_RDONLY | O_DIRECTORY);
+  try {
+    if (!isInside(await handlePath(dir), realRoot)) {
+      throw new Error(`${target.vmPath} leads outside mount ${target.mount}`);
+    }
+  } catch (e) {
+    await dir.close();
+    throw e;
+  }
+  return { dir, name: `/proc/self/fd/${dir.fd}/${path.basename(target.hostPath)}` };
+}
+
+// Open the regular file `target` with `flags`; links and other kinds of
+// file are refused
+async function openFile(target, flags, { create = false } = {}) {
+  const { dir, name } = await openParent(target, { create });
+  if (!dir) throw new Error(`${target.vmPath} is a directory`);
+  let handle;
+  try {
+    handle = await fs.promises.open(name, flags | O_NOFOLLOW | O_NONBLOCK, 0o600);
+  } catch (e) {
+    if (e.code === 'ELOOP') throw new Error(`${target.vmPath} is a symlink`);
+    throw e;
+  } finally {
+    await dir.close();
+  }
+  const stats = await handle.stat();
+  if (!stats.isFile()) {
+    await handle.close();
+    throw new Error(`${target.vmPath} is ${stats.isDirectory() ? 'a directory' : 'not a regular file'}`);
+  }
+  return { handle, stats };
+}
+
+function chunkLength(length) {
+  if (length === undefined) return DEFAULT_CHUNK_BYTES;
+  if (!Number.isInteger(length) || length < 0) throw new Error(`invalid length: ${length}`);
+  return Math.min(length, MAX_CHUNK_BYTES);
+}
+
+function checkOffset(offset) {
+  if (!Number.isInteger(offset) || offset < 0) throw new Error(`invalid offset: ${offset}`);
+}
+
+/**
+ * Contents of `vmPath` as base64. With { offset, length } only that range
+ * (at most MAX_CHUNK_BYTES); a shorter result means the end of the file.
+ */
+async function readFile(sessionName, vmPath, { offset, length } = {}) {
+  const target = { ...resolve(sessionName, vmPath), vmPath };
+  const whole = offset === undefined && length === undefined;
+  const start = offset === undefined ? 0 : offset;
+  checkOffset(start);
+  const size = whole ? null : chunkLength(length);
+
+  const { handle, stats } = await openFile(target, O_RDONLY);
+  try {
+    if (whole) {
+      if (stats.size > MAX_WHOLE_FILE_BYTES) {
+        throw new Error(`${vmPath} is ${stats.size} bytes; read it in chunks with { offset, length }`);
+      }
+      return (await handle.readFile()).toString('base64');
+    }
+    const buffer = Buffer.alloc(size);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    return buffer.subarray(0, bytesRead).toString('base64');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write base64 `content` to `vmPath`, replacing the file. With { offset }
+ * it is written at that position instead, with { append: true } at the end.
+ */
+async function writeFile(sessionName, vmPath, content, { offset, append = false } = {}) {
+  const target = { ...resolve(sessionName, vmPath, { write: true }), vmPath };
+  const data = Buffer.from(content || '', 'base64');
+  if (offset !== undefined) checkOffset(offset);
+
+  const flags = O_WRONLY | O_CREAT | (append && offset === undefined ? O_APPEND : 0);
+  const { handle } = await openFile(target, flags, { create: true });
+  try {
+    // Truncated only once it's known to be a regular file inside the mount
+    if (offset === undefined && !append) await handle.truncate(0);
+    if (offset === undefined) await handle.writeFile(data);
+    else await handle.write(data, 0, data.length, offset);
+  } finally {
+    await handle.close();
+  }
+  return true;
+}
+
+// { size, mtime, isDirectory, readOnly }, or null if it doesn't exist. A
+// symlink is described itself, not what it points at.
+async function statFile(sessionName, vmPath) {
+  const target = { ...resolve(sessionName, vmPath), vmPath };
+  let opened;
+  try {
+    opened = await openParent(target);
+    const stats = opened.dir ? await fs.promises.lstat(opened.name) : await fs.promises.stat(opened.realRoot);
+    return { size: stats.size, mtime: stats.mtime.toISOString(), isDirectory: stats.isDirectory(), readOnly: target.readOnly };
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return null;
+    throw e;
+  } finally {
+    if (opened && opened.dir) await opened.dir.close();
+  }
+}
+
+module.exports = {
+  MAX_WHOLE_FILE_BYTES,
+  MAX_CHUNK_BYTES,
+  resolve,
+  readFile,
+  writeFile,
+  statFile,
+};
@@ -0,0 +1,87 @@
+/**
+ * session-handlers.js - The LocalAgentModeSessions_$_* handlers
+ *
+ * One implementation for the loader's FORCE_OVERRIDES (lib/ipc-builtins.js)
+ * and the claude-native stub, both backed by session-index.js:
+ *
+ *   getAll(event)                 -> [summary], newest activity first
+ *   rename(event, id, title)      -> { success, session: summary } | { success: false, error }
+ *   delete(event, id, { force })  -> { success } | { success: false, error }
+ *
+ * A summary holds what the session list shows. Host paths (mount folders),
+ * pids and the saved env stay in session.json.
+ *
+ * Deleting a running session with { force: true } stops it first, through
+ * the stoppers the swift stub registers (registerStopper). They are kept on
+ * globalThis, since the loader, the native stub and the app may each load
+ * their own copy of these modules.
+ */
+
+const sessionIndex = require('./session-index');
+
+const STOPPERS_KEY = Symbol.for('claude-cowork.session-stoppers');
+
+function stoppers() {
+  if (!globalThis[STOPPERS_KEY]) globalThis[STOPPERS_KEY] = new Set();
+  return globalThis[STOPPERS_KEY];
+}
+
+// `stop(name)` resolves once every process of session `name` it owns is gone
+function registerStopper(stop) {
+  stoppers().add(stop);
+}
+
+function summary(meta) {
+  return {
+    name: meta.name,
+    title: meta.title || meta.name,
+    createdAt: meta.createdAt || null,
+    lastActiveAt: meta.lastActiveAt || null,
+    status: meta.status || 'exited',
+    mounts: Object.keys(meta.mounts || {}),
+    exit: meta.exit ? { code: meta.exit.code, signal: meta.exit.signal, reason: meta.exit.reason, at: meta.exit.at } : null,
+    diskBytes: meta.disk ? meta.disk.bytes : null,
+    imported: !!meta.imported,
+  };
+}
+
+async function getAll() {
+  try {
+    return sessionIndex.getAll().map(summary);
+  } catch (e) {
+    console.error(`[sessions] Could not read the session index: ${e.message}`);
+    return [];
+  }
+}
+
+async function rename(event, id, title) {
+  try {
+    return { success: true, session: summary(sessionIndex.rename(id, title)) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+async function remove(event, id, options) {
+  const force = !!(options && options.force);
+  try {
+    if (force) {
+      await Promise.all([...stoppers()].map(stop => stop(id)));
+      // Left running by something that isn't ours (another app instance)
+      if (sessionIndex.isRunning(id)) {
+        throw new Error(`session ${id} is still running and could not be stopped`);
+      }
+    }
+    return { success: sessionIndex.remove(id) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+module.exports = {
+  registerStopper,
+  summary,
+  getAll,
+  rename,
+  delete: remove,
+};
@@ -0,0 +1,442 @@
+/**
+ * session-index.js - What we know about each Cowork session, across restarts
+ *
+ * Every vm.spawn session has a directory under
+ * ~/.local/share/claude-cowork/sessions/<processName>; its metadata lives
+ * next to the rest of it in session.json:
+ *
+ *   { name, title, createdAt, lastActiveAt, status: 'running'|'exited',
+ *     pid, procStart, spawnCount, resumeCount, mounts: { <mount>: hostPath },
+ *     mountModes, cwd, env, backend, profile,
+ *     planned: [{ name, hostPath, readOnly }],
+ *     exit: { code, signal, reason, at }, disk: { bytes, at } }
+ *
+ * Each spawn's stdout/stderr is also appended to output.jsonl in the same
+ * directory ({ at, id, stream, data } per chunk, capped at OUTPUT_MAX_BYTES)
+ * so the session can be exported with what it printed.
+ *
+ * mounts, mountModes, cwd (inside the sandbox) and env are what a resumed
+ * spawn restores (resumeState). env leaves out secret-looking variables;
+ * the resuming request has to supply those again. planned is what the
+ * sandbox profile let through of those mounts (session-paths.js).
+ *
+ * procStart is the kernel start time of pid, so a recycled pid doesn't
+ * keep a crashed session "running".
+ *
+ * The swift stub records spawns, activity and exits; the native stub (and
+ * the eipc fallbacks) list, rename and delete. Both may hold their own
+ * copy of this module, so no metadata is cached: every call reads and writes
+ * the files (synchronously, so calls never interleave within a process).
+ *
+ * Listing never writes. A session whose process is gone without a recorded
+ * exit is reported as exited, and a missing or stale disk figure is
+ * measured in the background (shared on globalThis by both copies) and
+ * reported from the next listing on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { readStat } = require('./process-supervisor');
+
+const SESSIONS_BASE = path.join(os.homedir(), '.local/share/claude-cowork/sessions');
+const META_FILE = 'session.json';
+const OUTPUT_FILE = 'output.jsonl';
+const OUTPUT_MAX_BYTES = 10 * 1024 * 1024;
+const TOUCH_INTERVAL_MS = 30 * 1000;
+const DISK_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Not written to disk: credentials in envVars come fresh with each spawn
+const SECRET_ENV = /TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|API_?KEY|PRIVATE|AUTH/i;
+
+const lastTouch = new Map(); // name -> ms, throttles activity writes
+const DISK_KEY = Symbol.for('claude-cowork.session-disk');
+
+function sessionDir(name) {
+  // Session names come from the app; never let one point outside the base
+  if (typeof name !== 'string' || !name || name !== path.basename(name) || name.startsWith('.')) {
+    throw new Error(`invalid session name: ${JSON.stringify(name)}`);
+  }
+  return path.join(SESSIONS_BASE, name);
+}
+
+function readMeta(name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(sessionDir(name), META_FILE), 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeMeta(name, meta) {
+  const dir = sessionDir(name);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const file = path.join(dir, META_FILE);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(meta, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return meta;
+}
+
+function blankMeta(name, createdAt, lastActiveAt = createdAt) {
+  return {
+    name,
+    title: name,
+    createdAt,
+    lastActiveAt,
+    status: 'exited',
+    pid: null,
+    spawnCount: 0,
+    mounts: {},
+    cwd: null,
+    exit: null,
+    disk: null,
+  };
+}
+
+function update(name, fn) {
+  const now = new Date().toISOString();
+  const meta = readMeta(name) || blankMeta(name, now);
+  return writeMeta(name, fn(meta, now) || meta);
+}
+
+// The session's process, if pid is still the process that was recorded
+function isAlive(pid, procStart = null) {
+  const stat = pid ? readStat(pid) : null;
+  return !!stat && stat.state !== 'Z' && (procStart == null || stat.starttime === procStart);
+}
+
+function isRunningMeta(meta) {
+  return meta.status === 'running' && isAlive(meta.pid, meta.procStart);
+}
+
+// Bytes under the session dir; symlinks (the mnt/ links) are not followed
+// and mounted folders (live-mounts.js) are not entered. Synchronous, for
+// the retention worker.
+function diskUsage(dir, dev = null) {
+  let bytes = 0;
+  let entries = [];
+  try {
+    if (dev === null) dev = fs.lstatSync(dir).dev;
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory() && fs.lstatSync(full).dev === dev) bytes += diskUsage(full, dev);
+      else if (entry.isFile()) bytes += fs.lstatSync(full).size;
+    } catch (e) {}
+  }
+  return bytes;
+}
+
+// diskUsage() without blocking the event loop
+async function diskUsageAsync(dir, dev = null) {
+  let bytes = 0;
+  let entries = [];
+  try {
+    if (dev === null) dev = (await fs.promises.lstat(dir)).dev;
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory() && (await fs.promises.lstat(full)).dev === dev) bytes += await diskUsageAsync(full, dev);
+      else if (entry.isFile()) bytes += (await fs.promises.lstat(full)).size;
+    } catch (e) {}
+  }
+  return bytes;
+}
+
+function diskState() {
+  if (!globalThis[DISK_KEY]) globalThis[DISK_KEY] = { measured: new Map(), pending: new Set() };
+  return globalThis[DISK_KEY];
+}
+
+// Measure a session's disk use in the background. { persist } also stores
+// it in session.json, if the session still has one.
+function measureDisk(name, { persist = false } = {}) {
+  const state = diskState();
+  if (state.pending.has(name)) return;
+  state.pending.add(name);
+  diskUsageAsync(sessionDir(name))
+    .then((bytes) => {
+      const disk = { bytes, at: new Date().toISOString() };
+      state.measured.set(name, disk);
+      if (persist && readMeta(name)) update(name, (meta) => { meta.disk = disk; });
+    })
+    .catch(() => {})
+    .finally(() => state.pending.delete(name));
+}
+
+// ============================================================
+// Recording (swift stub)
+// ============================================================
+
+function persistableEnv(env) {
+  const kept = {};
+  for (const [key, value] of Object.entries(env || {})) {
+    if (typeof value === 'string' && !SECRET_ENV.test(key)) kept[key] = value;
+  }
+  return kept;
+}
+
+function recordSpawn(name, {
+  pid = null, mounts = {}, mountModes = {}, planned = null, cwd = null, env = {}, backend = null, profile = null,
+  resumed = false,
+} = {}) {
+  lastTouch.set(name, Date.now());
+  return update(name, (meta, now) => {
+    meta.lastActiveAt = now;
+    meta.status = 'running';
+    meta.pid = pid;
+    const stat = pid ? readStat(pid) : null;
+    meta.procStart = stat ? stat.starttime : null;
+    meta.spawnCount = (meta.spawnCount || 0) + 1;
+    if (resumed) meta.resumeCount = (meta.resumeCount || 0) + 1;
+    meta.mounts = mounts;
+    meta.mountModes = mountModes;
+    meta.planned = planned;
+    meta.cwd = cwd;
+    meta.env = persistableEnv(env);
+    meta.backend = backend;
+    meta.profile = profile;
+  });
+}
+
+// A folder added while the session runs (vm.mountPath), so a resume gets it too
+function recordMount(name, mount, hostPath, readOnly) {
+  return update(name, (meta) => {
+    meta.mounts = { ...meta.mounts, [mount]: hostPath };
+    const modes = { ...meta.mountModes };
+    if (readOnly) modes[mount] = 'ro';
+    else delete modes[mount];
+    meta.mountModes = modes;
+    if (Array.isArray(meta.planned)) {
+      meta.planned = [...meta.planned.filter(m => m.name !== mount), { name: mount, hostPath, readOnly: !!readOnly }];
+    }
+  });
+}
+
+// Output from the session; written at most every TOUCH_INTERVAL_MS
+function touch(name) {
+  const now = Date.now();
+  if (now - (lastTouch.get(name) || 0) < TOUCH_INTERVAL_MS) return;
+  lastTouch.set(name, now);
+  try {
+    update(name, (meta, iso) => { meta.lastActiveAt = iso; });
+  } catch (e) {}
+}
+
+function recordExit(name, { code = null, signal = null, reason = null } = {}) {
+  lastTouch.delete(name);
+  const meta = update(name, (m, now) => {
+    m.lastActiveAt = now;
+    m.status = 'exited';
+    m.pid = null;
+    m.procStart = null;
+    m.exit = { code, signal: signal || null, reason, at: now };
+  });
+  measureDisk(name, { persist: true });
+  return meta;
+}
+
+/**
+ * What a resumed spawn should run with: the saved mounts, mount modes, cwd
+ * and env, combined with what the resuming request asks for. `request` holds
+ * only what the app passed explicitly ({ mounts, mountModes, cwd }).
+ * Returns { mounts, mountModes, cwd, env } or { error } naming every problem.
+ */
+function resumeState(name, request = {}) {
+  const meta = readMeta(name);
+  if (!meta) return { error: `Cannot resume session ${name}: no saved state in ${path.join(SESSIONS_BASE, name)}` };
+  if (!meta.spawnCount || !meta.mounts) {
+    return { error: `Cannot resume session ${name}: it was never started with a session index` };
+  }
+
+  const problems = [];
+  if (isRunningMeta(meta)) {
+    problems.push(`it is still running (pid ${meta.pid})`);
+  }
+  const requested = request.mounts || {};
+  for (const [mount, hostPath] of Object.entries(requested)) {
+    if (meta.mounts[mount] && meta.mounts[mount] !== hostPath) {
+      problems.push(`mount ${mount} was ${meta.mounts[mount]}, now ${hostPath}`);
+    }
+  }
+  for (const [mount, hostPath] of Object.entries(meta.mounts)) {
+    if (!(mount in requested) && !fs.existsSync(hostPath)) problems.push(`folder ${hostPath} (${mount}) no longer exists`);
+  }
+  if (request.cwd && meta.cwd && request.cwd !== meta.cwd) {
+    problems.push(`working directory was ${meta.cwd}, now ${request.cwd}`);
+  }
+  if (problems.length) return { error: `Cannot resume session ${name}: ${problems.join('; ')}` };
+
+  return {
+    mounts: { ...meta.mounts, ...requested },
+    mountModes: { ...(meta.mountModes || {}), ...(request.mountModes || {}) },
+    cwd: request.cwd || meta.cwd,
+    env: meta.env || {},
+  };
+}
+
+/**
+ * Append-only capture of one spawn's output. Returns { write(stream, text),
+ * close() }; past OUTPUT_MAX_BYTES a single truncation note is written.
+ */
+function openOutput(name, id) {
+  let size = 0;
+  let out = null;
+  try {
+    const file = path.join(sessionDir(name), OUTPUT_FILE);
+    try { size = fs.statSync(file).size; } catch (e) {}
+    out = fs.createWriteStream(file, { flags: 'a', mode: 0o600 });
+    out.on('error', () => { out = null; });
+  } catch (e) {}
+  let full = size >= OUTPUT_MAX_BYTES;
+
+  return {
+    write(stream, data) {
+      if (!out || full) return;
+      const line = JSON.stringify({ at: new Date().toISOString(), id, stream, data }) + '\n';
+      size += Buffer.byteLength(line);
+      if (size > OUTPUT_MAX_BYTES) {
+        full = true;
+        out.write(JSON.stringify({ at: new Date().toISOString(), id, stream: 'note', data: 'output capture limit reached' }) + '\n');
+        return;
+      }
+      out.write(line);
+    },
+    close() {
+      if (out) out.end();
+      out = null;
+    },
+  };
+}
+
+// ============================================================
+// Queries and edits (native stub, eipc fallbacks)
+// ============================================================
+
+// The session as a listing reports it; nothing is written. A session whose
+// process is gone without a recorded exit (app crashed) shows as exited.
+function present(name, meta) {
+  const view = { ...meta };
+  if (view.status === 'running' && !isRunningMeta(view)) {
+    view.status = 'exited';
+    view.pid = null;
+    view.procStart = null;
+    view.exit = { code: null, signal: null, reason: 'lost: Claude exited while the session was running', at: view.lastActiveAt };
+  }
+  const measured = diskState().measured.get(name);
+  if (measured && (!view.disk || Date.parse(measured.at) > Date.parse(view.disk.at))) view.disk = measured;
+  if (!view.disk || Date.now() - Date.parse(view.disk.at) > DISK_MAX_AGE_MS) measureDisk(name);
+  return view;
+}
+
+// Running by the index and its process still there
+function isRunning(name) {
+  const meta = readMeta(name);
+  return !!meta && isRunningMeta(meta);
+}
+
+function get(name) {
+  const meta = readMeta(name);
+  return meta ? present(name, meta) : null;
+}
+
+// Newest activity first. Directories from before the index are listed
+// from their timestamps.
+function getAll() {
+  let names = [];
+  try {
+    names = fs.readdirSync(SESSIONS_BASE, { withFileTypes: true })
+      .filter(e => e.isDirectory() && !e.name.startsWith('.'))
+      .map(e => e.name);
+  } catch (e) {
+    return [];
+  }
+
+  const sessions = [];
+  for (const name of names) {
+    let meta = readMeta(name);
+    if (!meta) {
+      try {
+        const stat = fs.statSync(sessionDir(name));
+        meta = blankMeta(name, (stat.birthtimeMs ? stat.birthtime : stat.ctime).toISOString(), stat.mtime.toISOString());
+      } catch (e) {
+        continue;
+      }
+    }
+    sessions.push(present(name, meta));
+  }
+  return sessions.sort((a, b) => Date.parse(b.lastActiveAt) - Date.parse(a.lastActiveAt));
+}
+
+function rename(name, title) {
+  if (typeof title !== 'string' || !title.trim()) throw new Error('title must be a non-empty string');
+  if (!readMeta(name) && !fs.existsSync(sessionDir(name))) throw new Error(`no such session: ${name}`);
+  return update(name, (meta) => { meta.title = title.trim(); });
+}
+
+// Removes the session directory (uploads included - mounted folders are
+// only linked, never deleted). A running session needs { force: true }.
+function remove(name, { force = false } = {}) {
+  const dir = sessionDir(name);
+  if (!fs.existsSync(dir)) return false;
+  const meta = readMeta(name);
+  if (meta && isRunningMeta(meta) && !force) {
+    throw new Error(`session ${name} is still running (pid ${meta.pid})`);
+  }
+  // rmSync would follow a live mount into the user's folder. Anything that
+  // can't be checked (a dead FUSE mount fails with ENOTCONN) counts as
+  // mounted, so the session stays until it can be.
+  const mntDir = path.join(dir, 'mnt');
+  const dev = fs.lstatSync(dir).dev;
+  const onOtherDevice = (p) => {
+    try {
+      return fs.lstatSync(p).dev !== dev;
+    } catch (e) {
+      return e.code !== 'ENOENT';
+    }
+  };
+  let entries = [];
+  try {
+    entries = fs.readdirSync(mntDir);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new Error(`cannot check ${mntDir} for mounted folders: ${e.message}`);
+  }
+  const mounted = onOtherDevice(mntDir) ? ['mnt'] : entries.filter(entry => onOtherDevice(path.join(mntDir, entry)));
+  if (mounted.length) {
+    throw new Error(`session ${name} still has folders mounted in ${mntDir}: ${mounted.join(', ')}`);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  lastTouch.delete(name);
+  diskState().measured.delete(name);
+  return true;
+}
+
+module.exports = {
+  SESSIONS_BASE,
+  META_FILE,
+  OUTPUT_FILE,
+  recordSpawn,
+  recordMount,
+  touch,
+  recordExit,
+  resumeState,
+  openOutput,
+  isRunning,
+  sessionDir,
+  readMeta,
+  writeMeta,
+  diskUsage,
+  get,
+  getAll,
+  rename,
+  remove,
+};
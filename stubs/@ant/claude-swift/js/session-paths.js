@@ -0,0 +1,126 @@
+/**
+ * session-paths.js - A session's mounts, and its paths in both directions
+ *
+ * vm.spawn records the mounts it planned for each session (setMounts) and
+ * vm.mountPath adds folders to them (addMount). With that map:
+ *
+ *   toHostPath('/sessions/<name>/mnt/<mount>/a/b')  -> <mount's folder>/a/b
+ *   toVmPath('<name>', '<mount's folder>/a/b')      -> /sessions/<name>/mnt/<mount>/a/b
+ *
+ * The longest matching mount wins, so ~/.claude maps to the .claude mount
+ * rather than the home mount, and the session directory (under home) to
+ * /sessions/<name>. Other paths under /sessions/<name> map to the
+ * session directory; paths outside any session are left alone.
+ *
+ * A session not spawned in this run uses the planned mounts recorded in
+ * its session.json. Sessions recorded before those were get their full
+ * mount list only under the legacy profile, which hid nothing; otherwise,
+ * like one never spawned, only uploads/.
+ *
+ * toHostPath(p, { write: true }) refuses paths on a read-only mount.
+ */
+
+const path = require('path');
+const sessionIndex = require('./session-index');
+
+const sessionMounts = new Map(); // session -> [{ name, hostPath, vmPath, readOnly }]
+
+function isInside(child, parent) {
+  return child === parent || child.startsWith(parent.endsWith('/') ? parent : parent + '/');
+}
+
+function vmMountPath(sessionName, name) {
+  return `/sessions/${sessionName}/mnt/${name}`;
+}
+
+function entry(sessionName, { name, hostPath, readOnly }) {
+  return { name, hostPath: path.resolve(hostPath), vmPath: vmMountPath(sessionName, name), readOnly: !!readOnly };
+}
+
+// Called by vm.spawn with the mounts the sandbox profile let through
+function setMounts(sessionName, mounts) {
+  sessionMounts.set(sessionName, mounts.map(mount => entry(sessionName, mount)));
+}
+
+// vm.mountPath added a folder to the session
+function addMount(sessionName, mount) {
+  const mounts = mountsFor(sessionName).filter(m => m.name !== mount.name);
+  sessionMounts.set(sessionName, [...mounts, entry(sessionName, mount)]);
+}
+
+function mountsFor(sessionName) {
+  if (sessionMounts.has(sessionName)) return sessionMounts.get(sessionName);
+  const dir = sessionIndex.sessionDir(sessionName);
+  const meta = sessionIndex.readMeta(sessionName);
+  if (meta && Array.isArray(meta.planned)) return meta.planned.map(mount => entry(sessionName, mount));
+  if (meta && meta.mounts && (!meta.profile || meta.profile === 'legacy')) {
+    const modes = meta.mountModes || {};
+    return Object.entries(meta.mounts).map(([name, hostPath]) =>
+      entry(sessionName, { name, hostPath, readOnly: modes[name] === 'ro' }));
+  }
+  return [entry(sessionName, { name: 'uploads', hostPath: path.join(dir, 'uploads') })];
+}
+
+// The mount whose `key` path (vmPath or hostPath) holds `p`, longest first
+function findMount(mounts, key, p) {
+  let match = null;
+  for (const mount of mounts) {
+    if (isInside(p, mount[key]) && (!match || mount[key].length > match[key].length)) match = mount;
+  }
+  return match;
+}
+
+// "/sessions/<name>/..." -> <name>, or null
+function sessionOf(vmPath) {
+  const match = /^\/sessions\/([^/]+)/.exec(vmPath);
+  if (!match) return null;
+  try {
+    sessionIndex.sessionDir(match[1]);
+    return match[1];
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Host path for a path inside a session's sandbox. Anything that isn't a
+ * /sessions/<name> path is returned unchanged. With `write`, a path on a
+ * read-only mount throws.
+ */
+function toHostPath(vmPath, { write = false } = {}) {
+  if (!vmPath || typeof vmPath !== 'string') return vmPath;
+  const normalized = path.posix.normalize(vmPath);
+  const sessionName = sessionOf(normalized);
+  if (!sessionName) return vmPath;
+
+  const mount = findMount(mountsFor(sessionName), 'vmPath', normalized);
+  if (mount && write && mount.readOnly) throw new Error(`${vmPath} is on read-only mount ${mount.name}`);
+  if (mount) return path.join(mount.hostPath, normalized.slice(mount.vmPath.length));
+  return path.join(sessionIndex.sessionDir(sessionName), normalized.slice(`/sessions/${sessionName}`.length));
+}
+
+/**
+ * Where session `sessionName` sees a host path. Paths outside its mounts
+ * and session directory are returned unchanged.
+ */
+function toVmPath(sessionName, hostPath) {
+  if (!hostPath || typeof hostPath !== 'string' || !path.isAbsolute(hostPath)) return hostPath;
+  const resolved = path.resolve(hostPath);
+  const mount = findMount(mountsFor(sessionName), 'hostPath', resolved);
+  const dir = sessionIndex.sessionDir(sessionName);
+  // The session directory beats a wider mount that holds it (home)
+  if (isInside(resolved, dir) && (!mount || dir.length > mount.hostPath.length)) {
+    return `/sessions/${sessionName}${resolved.slice(dir.length)}`;
+  }
+  if (mount) return mount.vmPath + resolved.slice(mount.hostPath.length);
+  return hostPath;
+}
+
+module.exports = {
+  setMounts,
+  addMount,
+  mountsFor,
+  findMount,
+  toHostPath,
+  toVmPath,
+};
@@ -0,0 +1,133 @@
+/**
+ * stdout-framing.js - Turn a child's stdout chunks into whole messages
+ *
+ * Pipe chunks end wherever the kernel cut them: in the middle of a UTF-8
+ * sequence or of a JSON line from `claude --output-format stream-json`.
+ * A framer decodes with a streaming decoder and, in 'lines' mode (the
+ * default), only delivers complete lines, so every callback is one or
+ * more whole NDJSON messages. 'raw' mode delivers whatever decoded text
+ * arrived. Either way delivery is batched per flushDelayMs.
+ *
+ * A line waits for its newline however long it takes, so a stalled JSON
+ * line is never split. partialFlushMs (off by default; opt in with
+ * CLAUDE_STDOUT_PARTIAL_FLUSH_MS for sessions that print interactive
+ * prompts rather than stream-json) delivers a line left without its
+ * newline that long as it is.
+ *
+ * At most maxBuffered characters wait for delivery. Past that push()
+ * returns false and the caller should pause the stream until onDrain; a
+ * single line longer than the limit is delivered in pieces and reported
+ * through onOverflow.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const MODES = ['lines', 'raw'];
+const DEFAULT_FLUSH_DELAY_MS = 16; // ~1 frame
+const DEFAULT_MAX_BUFFERED = 4 * 1024 * 1024;
+
+function createFramer({
+  mode = 'lines',
+  flushDelayMs = DEFAULT_FLUSH_DELAY_MS,
+  maxBuffered = DEFAULT_MAX_BUFFERED,
+  partialFlushMs = 0,
+  deliver,
+  onOverflow,
+  onDrain,
+} = {}) {
+  if (!MODES.includes(mode)) throw new Error(`unknown stdout framing mode: ${mode}`);
+  const decoder = new StringDecoder('utf8');
+  let ready = ''; // complete messages waiting for the next flush
+  let partial = ''; // start of a line without its newline yet
+  let timer = null;
+  let partialTimer = null;
+  let ended = false;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (ready) {
+      const text = ready;
+      ready = '';
+      deliver(text);
+    }
+    if (onDrain) onDrain();
+  }
+
+  function schedule() {
+    if (!timer && ready) timer = setTimeout(flush, flushDelayMs);
+  }
+
+  // Restarted by every push; fires only once the stream has gone quiet
+  function schedulePartial() {
+    clearTimeout(partialTimer);
+    partialTimer = null;
+    if (!partial || !partialFlushMs) return;
+    partialTimer = setTimeout(() => {
+      partialTimer = null;
+      ready += partial;
+      partial = '';
+      flush();
+    }, partialFlushMs);
+  }
+
+  return {
+    // Returns false when the caller should stop reading until onDrain
+    push(chunk) {
+      if (ended) return true;
+      const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+      if (mode === 'raw') {
+        ready += text;
+      } else {
+        const newline = text.lastIndexOf('\n');
+        if (newline === -1) {
+          partial += text;
+        } else {
+          ready += partial + text.slice(0, newline + 1);
+          partial = text.slice(newline + 1);
+        }
+        if (partial.length > maxBuffered) {
+          if (onOverflow) onOverflow({ kind: 'line', length: partial.length });
+          ready += partial;
+          partial = '';
+        }
+        schedulePartial();
+      }
+      schedule();
+      return ready.length + partial.length <= maxBuffered;
+    },
+
+    // Deliver everything left, including an unterminated last line
+    end() {
+      if (ended) return;
+      ended = true;
+      clearTimeout(partialTimer);
+      ready += partial + decoder.end();
+      partial = '';
+      flush();
+    },
+
+    buffered() {
+      return ready.length + partial.length;
+    },
+  };
+}
+
+// 'lines' unless CLAUDE_STDOUT_FRAMING names another mode
+function modeFromEnv(env = process.env) {
+  const mode = env.CLAUDE_STDOUT_FRAMING;
+  return MODES.includes(mode) ? mode : 'lines';
+}
+
+// Off (0) unless CLAUDE_STDOUT_PARTIAL_FLUSH_MS is a positive number
+function partialFlushFromEnv(env = process.env) {
+  const ms = Number(env.CLAUDE_STDOUT_PARTIAL_FLUSH_MS);
+  return Number.isFinite(ms) && ms > 0 ? ms : 0;
+}
+
+module.exports = {
+  MODES,
+  createFramer,
+  modeFromEnv,
+  partialFlushFromEnv,
+};
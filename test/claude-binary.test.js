@@ -0,0 +1,44 @@
+/**
+ * claude-binary.test.js - The asynchronous, cached `claude --version` check
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const claudeBinary = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/claude-binary.js'));
+const binary = h.installClaudeBinary('2.1.5');
+const versionRuns = () => h.execs.filter(e => e.command === binary && e.args[0] === '--version');
+
+test('resolve() does not block and runs --version once per binary', async () => {
+  const before = versionRuns().length;
+  const pending = claudeBinary.resolve();
+  assert.ok(pending instanceof Promise);
+  const [first, second] = await Promise.all([pending, claudeBinary.resolve()]);
+  assert.strictEqual(first.ok, true);
+  assert.strictEqual(first.version, '2.1.5');
+  assert.strictEqual(second.version, '2.1.5');
+  assert.ok(versionRuns().every(e => !e.sync));
+  assert.strictEqual(versionRuns().length - before, 1);
+});
+
+test('the prepare fallback checks once, then answers from the cache', async () => {
+  h.registerAppHandler('ClaudeCode_$_prepare', () => { throw new Error('no VM'); });
+  const before = versionRuns().length;
+  const first = await h.invoke('ClaudeCode_$_prepare');
+  const second = await h.invoke('ClaudeCode_$_prepare');
+  assert.strictEqual(first.ready, true);
+  assert.strictEqual(second.version, '2.1.5');
+  assert.strictEqual(versionRuns().length - before, 1);
+});
+
+test('refresh runs --version again', async () => {
+  const before = versionRuns().length;
+  await claudeBinary.resolve({ refresh: true });
+  assert.strictEqual(versionRuns().length - before, 1);
+});
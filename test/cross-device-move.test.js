@@ -0,0 +1,51 @@
+/**
+ * cross-device-move.test.js - fs.rename across filesystems
+ *
+ * Runs in a child process, since a throwing callback has to reach
+ * uncaughtException the way it would with plain fs.rename.
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const MODULE = path.join(__dirname, '..', 'lib', 'cross-device-move.js');
+const SHM = '/dev/shm';
+const crossDevice = fs.existsSync(SHM) && fs.statSync(SHM).dev !== fs.statSync(os.tmpdir()).dev;
+
+function run(script, src, dest) {
+  const res = spawnSync(process.execPath, ['-e', script, MODULE, src, dest], { encoding: 'utf-8', timeout: 30000 });
+  assert.strictEqual(res.status, 0, res.stderr);
+  return JSON.parse(res.stdout);
+}
+
+test('a throwing callback is an uncaught exception, called once', { skip: !crossDevice && 'needs /dev/shm on another filesystem' }, () => {
+  const src = fs.mkdtempSync(path.join(SHM, 'cowork-move-'));
+  const destDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cowork-move-'));
+  try {
+    fs.writeFileSync(path.join(src, 'file'), 'data');
+    const result = run(`
+      const fs = require('fs');
+      const [modulePath, src, dest] = process.argv.slice(1);
+      require(modulePath).install();
+      const seen = { calls: 0, uncaught: [], rejections: 0 };
+      process.on('uncaughtException', e => seen.uncaught.push(e.message));
+      process.on('unhandledRejection', () => seen.rejections++);
+      process.on('exit', () => process.stdout.write(JSON.stringify(seen)));
+      fs.rename(src, dest, (err) => {
+        seen.calls++;
+        seen.error = err && err.code;
+        throw new Error('from callback');
+      });
+    `, src, path.join(destDir, 'moved'));
+    assert.deepStrictEqual(result, { calls: 1, uncaught: ['from callback'], rejections: 0, error: null });
+    assert.strictEqual(fs.readFileSync(path.join(destDir, 'moved', 'file'), 'utf-8'), 'data');
+    assert.ok(!fs.existsSync(src));
+  } finally {
+    fs.rmSync(src, { recursive: true, force: true });
+    fs.rmSync(destDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,149 @@
+/**
+ * domain-proxy.test.js - allowedDomains enforced by the per-spawn proxy
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const domainProxy = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/domain-proxy'));
+
+// Stand-ins for every allowed host: plain HTTP echoes the Host header,
+// the raw TCP one (behind CONNECT) echoes bytes
+let web;
+let tcp;
+let proxy;
+const decisions = [];
+
+before(async () => {
+  web = http.createServer((req, res) => res.end(`hello from ${req.headers.host}${req.url}`));
+  tcp = net.createServer(socket => socket.pipe(socket));
+  await new Promise(resolve => web.listen(0, '127.0.0.1', resolve));
+  await new Promise(resolve => tcp.listen(0, '127.0.0.1', resolve));
+  proxy = await domainProxy.startProxy({
+    session: 'test',
+    allowedDomains: ['example.com', '*.allowed.org'],
+    upstream: (host, port) => ({ host: '127.0.0.1', port: port === 443 ? tcp.address().port : web.address().port }),
+    onDecision: entry => decisions.push(entry),
+  });
+});
+
+after(async () => {
+  await proxy.close();
+  web.close();
+  tcp.close();
+});
+
+// GET through the proxy with an absolute URI
+function get(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: proxy.port, path: url, headers: { Host: new URL(url).host } }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// CONNECT through the proxy, then send `payload` over the tunnel
+function connect(authority, payload) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(proxy.port, '127.0.0.1', () => {
+      socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n\r\n`);
+    });
+    let data = '';
+    socket.on('data', (chunk) => {
+      data += chunk;
+      if (/^HTTP\/1\.1 200/.test(data) && data.endsWith('\r\n\r\n')) socket.write(payload);
+      else if (data.endsWith(payload)) socket.end();
+    });
+    socket.on('end', () => resolve(data));
+    socket.on('error', reject);
+  });
+}
+
+function swiftSpawn(envVars) {
+  return h.swift().vm.spawn('p', 'sp', '/usr/local/bin/claude', [], {}, envVars, null, false, ['example.com']);
+}
+
+test('allowed hosts are forwarded over plain HTTP', async () => {
+  const res = await get('http://example.com/a?b=1');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body, 'hello from example.com/a?b=1');
+  assert.strictEqual((await get('http://api.allowed.org/')).status, 200);
+});
+
+test('other hosts get a 403', async () => {
+  const res = await get('http://evil.net/');
+  assert.strictEqual(res.status, 403);
+  assert.match(res.body, /evil.net is not in this session's allowed domains/);
+  assert.strictEqual((await get('http://allowed.org/')).status, 403);
+});
+
+test('suffix look-alikes are not matched', async () => {
+  for (const host of ['example.com.evil.net', 'notexample.com', 'evilallowed.org', 'allowed.org.evil.net']) {
+    assert.strictEqual((await get(`http://${host}/`)).status, 403, host);
+  }
+});
+
+test('CONNECT tunnels allowed hosts and refuses others', async () => {
+  const tunnel = await connect('api.allowed.org:443', 'ping');
+  assert.match(tunnel, /^HTTP\/1\.1 200 Connection Established\r\n\r\nping$/);
+  assert.match(await connect('evil.net:443', 'ping'), /^HTTP\/1\.1 403 Forbidden/);
+  assert.match(await connect('api.allowed.org.evil.net:443', 'ping'), /^HTTP\/1\.1 403 Forbidden/);
+});
+
+// An uncaught ECONNRESET would end this process, as it would the app
+test('a client reset after a refused CONNECT is not an uncaught error', async () => {
+  await new Promise((resolve, reject) => {
+    const socket = net.connect(proxy.port, '127.0.0.1', () => {
+      socket.write('CONNECT evil.net:443 HTTP/1.1\r\nHost: evil.net:443\r\n\r\n');
+    });
+    socket.once('data', () => {
+      socket.resetAndDestroy();
+      resolve();
+    });
+    socket.on('error', reject);
+  });
+  await new Promise(resolve => setTimeout(resolve, 100));
+});
+
+test('decisions are logged', async () => {
+  assert.ok(decisions.some(d => d.host === 'evil.net' && d.allowed === false));
+  assert.ok(decisions.some(d => d.method === 'CONNECT' && d.host === 'api.allowed.org' && d.allowed === true));
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const logged = fs.readFileSync(domainProxy.DECISION_LOG, 'utf-8').trim().split('\n').map(JSON.parse);
+  assert.ok(logged.some(d => d.session === 'test' && d.host === 'evil.net' && d.allowed === false));
+});
+
+test('spawn points every proxy variable at the filter and drops NO_PROXY', async () => {
+  const result = await swiftSpawn({ NO_PROXY: '*', no_proxy: '*', ALL_PROXY: 'socks5://elsewhere:1080', KEEP: 'me' });
+  assert.strictEqual(result.success, true);
+  const env = h.lastSpawn().options.env;
+  const url = env.HTTPS_PROXY;
+  assert.match(url, /^http:\/\/127\.0\.0\.1:\d+$/);
+  for (const name of ['HTTP_PROXY', 'http_proxy', 'https_proxy', 'ALL_PROXY', 'all_proxy']) assert.strictEqual(env[name], url, name);
+  assert.strictEqual(env.NO_PROXY, undefined);
+  assert.strictEqual(env.no_proxy, undefined);
+  assert.strictEqual(env.KEEP, 'me');
+  h.lastSpawn().process._exit(0);
+});
+
+test('spawn returns a Promise of its result', async () => {
+  const pending = h.swift().vm.spawn('q', 'sq', '/usr/local/bin/claude', [], {}, {});
+  assert.ok(pending instanceof Promise);
+  assert.deepStrictEqual(Object.keys(await pending).sort(), ['pid', 'success']);
+  h.lastSpawn().process._exit(0);
+});
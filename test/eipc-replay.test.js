@@ -0,0 +1,65 @@
+/**
+ * eipc-replay.test.js - Recording eipc and stub calls, and replaying them
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createHarness } = require('./harness');
+
+const REPLAY = path.join(__dirname, '..', 'tools', 'eipc-replay.js');
+
+const h = createHarness();
+const recording = path.join(h.root, 'eipc.jsonl');
+process.env.CLAUDE_EIPC_RECORD = recording; // read when the loader starts
+h.load();
+h.ready();
+after(() => {
+  delete process.env.CLAUDE_EIPC_RECORD;
+  h.cleanup();
+});
+
+const lines = () => fs.readFileSync(recording, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+
+function replay(calls) {
+  const file = path.join(h.root, 'replay.jsonl');
+  fs.writeFileSync(file, calls.map(c => JSON.stringify(c)).join('\n') + '\n');
+  return spawnSync(process.execPath, [REPLAY, file], { encoding: 'utf-8', timeout: 60000 });
+}
+
+test('calls into the swift and native stubs are recorded', async () => {
+  h.registerAppHandler('AppFeatures_$_getCoworkFeatureState', () => ({ enabled: false }));
+  await h.invoke('AppFeatures_$_getCoworkFeatureState');
+  assert.strictEqual(h.swift().vm.isSupported(), true);
+  h.swift().vm.setEventCallbacks(() => {}, () => {}, () => {}, () => {}, null);
+
+  const calls = lines();
+  assert.ok(calls.some(c => c.channel === 'AppFeatures_$_getCoworkFeatureState' && c.answeredBy === 'override'));
+  assert.ok(calls.some(c => c.stub === 'swift' && c.member === 'vm.isSupported' && c.result === true));
+  // Callbacks can't be replayed
+  assert.ok(!calls.some(c => c.member === 'vm.setEventCallbacks'));
+});
+
+test('a recording replays cleanly against the same tree', () => {
+  const res = replay(lines());
+  assert.strictEqual(res.status, 0, res.stdout + res.stderr);
+  assert.match(res.stdout, / 0 changed/);
+  assert.doesNotMatch(res.stdout, / 0 pass/);
+});
+
+test('changed results, answering layers and stub members are reported', () => {
+  const res = replay([
+    { channel: 'ClaudeVM_$_getSupportStatus', args: [], answeredBy: 'fallback', result: { status: 'unsupported' } },
+    { channel: 'Example_$_unknown', args: [], answeredBy: 'override', result: 1 },
+    { channel: 'Example_$_appOnly', args: [], answeredBy: 'app', result: 2 },
+    { stub: 'swift', member: 'vm.isSupported', args: [], result: true },
+    { stub: 'native', member: 'noSuchMember', args: [], result: true },
+  ]);
+  assert.strictEqual(res.status, 1, res.stderr);
+  assert.match(res.stdout, /CHANGED ClaudeVM_\$_getSupportStatus \(result differs\)/);
+  assert.match(res.stdout, /CHANGED Example_\$_unknown \(was answered by override, now by app\)/);
+  assert.match(res.stdout, /CHANGED native:noSuchMember/);
+  assert.match(res.stdout, /5 calls: 1 pass, 3 changed, 1 skipped/);
+});
@@ -0,0 +1,69 @@
+/**
+ * harness.test.js - The loader, wrapper and stubs as the app sees them
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+test('cowork is reported as supported', async () => {
+  await h.assertChannelReturns('AppFeatures_$_getCoworkFeatureState',
+    { enabled: true, status: 'supported', reason: null });
+});
+
+test('the VM is reported as started', async () => {
+  await h.assertChannelReturns('ClaudeVM_$_start', { started: true, status: 'running' });
+});
+
+test('per-webContents handlers are intercepted too', async () => {
+  const wc = h.createWebContents();
+  await h.assertChannelReturns('AppFeatures_$_getYukonSilverStatus', { status: 'supported' }, { webContents: wc });
+});
+
+test('hidden titlebar becomes a native frame', () => {
+  h.assertWindowOptions({ titleBarStyle: 'hidden', titleBarOverlay: {} },
+    { frame: true, titleBarStyle: 'default', titleBarOverlay: undefined });
+});
+
+test('spawn runs the VM claude in bwrap with the session mounts', async () => {
+  h.installClaudeBinary('2.1.5');
+  const result = await h.swift().vm.spawn('p1', 'sess', '/usr/local/bin/claude', ['-p', 'hi'], {}, {},
+    { work: { path: 'work' } });
+  assert.deepStrictEqual(result, { success: true, pid: h.lastSpawn().process.pid });
+
+  const call = h.assertSpawned('bwrap', {
+    includes: [
+      ['--ro-bind', '/usr', '/usr'],
+      ['--bind', `${h.home}/work`, '/sessions/sess/mnt/work'],
+      ['--chdir', `/sessions/sess/mnt/${require('os').userInfo().username}`],
+    ],
+    env: { CLAUDE_COWORK_SESSION: 'sess', CLAUDE_VM_VERSION: '2.1.5' },
+  });
+  assert.deepStrictEqual(call.args.slice(-3), [`${h.home}/.config/Claude/claude-code-vm/2.1.5/claude`, '-p', 'hi']);
+  h.lastSpawn().process._exit(0);
+});
+
+test('other commands run as given inside the sandbox', async () => {
+  await h.swift().vm.spawn('p2', 'sess2', '/bin/echo', ['ok'], {}, {});
+  const call = h.assertSpawned('bwrap', { includes: [['--dir', '/sessions/sess2']] });
+  assert.deepStrictEqual(call.args.slice(-3), ['--', '/bin/echo', 'ok']);
+  h.lastSpawn().process._exit(0);
+});
+
+test('the bootstrap report lists every patch once the app is ready, opt-in ones as skipped', () => {
+  h.ready();
+  const file = path.join(h.home, '.local/share/claude-cowork/logs/bootstrap-report.json');
+  const { patches } = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  assert.deepStrictEqual(patches.map(p => p.name).sort(),
+    ['exdev-rename', 'platform-spoof', 'tmpdir', 'vm-bundle-markers', 'vm-bundle-watch']);
+  assert.ok(patches.every(p => p.entry === 'linux-loader'), JSON.stringify(patches));
+  // vm-bundle-watch is opt-in
+  assert.deepStrictEqual(patches.filter(p => p.status !== 'applied').map(p => [p.name, p.status]),
+    [['vm-bundle-watch', 'skipped']]);
+});
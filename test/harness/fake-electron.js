@@ -0,0 +1,222 @@
+/**
+ * fake-electron.js - Minimal in-process stand-in for the electron module
+ *
+ * Covers what linux-loader.js, frame-fix-wrapper.js and the stubs touch:
+ * app, ipcMain, webContents, BrowserWindow, Menu, session, dialog,
+ * systemPreferences and shell. Everything records what was done to it so
+ * the harness can assert on it; nothing opens a window.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 ' +
+  '(KHTML, like Gecko) Claude/0.0.0 Chrome/130.0.0.0 Electron/33.0.0 Safari/537.36';
+
+// Same registration rules as Electron's IpcMainImpl / webContents.ipc
+class FakeIpc extends EventEmitter {
+  constructor() {
+    super();
+    this._handlers = new Map();
+  }
+
+  handle(channel, handler) {
+    if (this._handlers.has(channel)) {
+      throw new Error(`Attempted to register a second handler for '${channel}'`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Expected handler to be a function, but found type '${typeof handler}'`);
+    }
+    this._handlers.set(channel, handler);
+  }
+
+  handleOnce(channel, handler) {
+    this.handle(channel, async (...args) => {
+      this.removeHandler(channel);
+      return handler(...args);
+    });
+  }
+
+  removeHandler(channel) {
+    this._handlers.delete(channel);
+  }
+
+  // Test side: what the renderer's ipcRenderer.invoke() would reach
+  _invoke(channel, event, ...args) {
+    const handler = this._handlers.get(channel);
+    if (!handler) return Promise.reject(new Error(`No handler registered for '${channel}'`));
+    try {
+      return Promise.resolve(handler(event, ...args));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+
+  _channels() {
+    return [...this._handlers.keys()];
+  }
+}
+
+function createFakeElectron({ home = '/tmp' } = {}) {
+  const app = new EventEmitter();
+  let nextWebContentsId = 1;
+  const allWebContents = new Map();
+  const allWindows = [];
+
+  Object.assign(app, {
+    isPackaged: true,
+    _version: '0.0.0',
+    _isReady: false,
+    getVersion() { return this._version; },
+    setVersion(v) { this._version = v; },
+    getName: () => 'Claude',
+    getPath: (name) => `${home}/.config/Claude${name === 'userData' ? '' : '/' + name}`,
+    getLocale: () => 'en-US',
+    isReady() { return this._isReady; },
+    whenReady() {
+      return this._isReady ? Promise.resolve() : new Promise(resolve => this.once('ready', resolve));
+    },
+    quit: () => app.emit('before-quit'),
+    requestSingleInstanceLock: () => true,
+    setAppUserModelId: () => {},
+    // Test side: fire 'ready' like Electron does once
+    _emitReady() {
+      if (this._isReady) return;
+      this._isReady = true;
+      this.emit('ready', {}, {});
+    },
+  });
+
+  const ipcMain = new FakeIpc();
+
+  class FakeWebContents extends EventEmitter {
+    constructor() {
+      super();
+      this.id = nextWebContentsId++;
+      this.ipc = new FakeIpc();
+      this.sent = [];
+      this._destroyed = false;
+      allWebContents.set(this.id, this);
+      app.emit('web-contents-created', {}, this);
+    }
+    send(channel, ...args) { this.sent.push({ channel, args }); }
+    isDestroyed() { return this._destroyed; }
+    destroy() { this._destroyed = true; allWebContents.delete(this.id); this.emit('destroyed'); }
+    openDevTools() {}
+    getURL() { return this._url || ''; }
+    loadURL(url) { this._url = url; return Promise.resolve(); }
+  }
+
+  const webContents = {
+    getAllWebContents: () => [...allWebContents.values()],
+    fromId: (id) => allWebContents.get(id) || null,
+    getFocusedWebContents: () => null,
+    // Test side
+    _create: () => new FakeWebContents(),
+  };
+
+  class BrowserWindow extends EventEmitter {
+    constructor(options = {}) {
+      super();
+      // Kept by reference: the loader rewrites options before construct
+      this.options = options;
+      this.menuBarVisible = true;
+      this.webContents = new FakeWebContents();
+      this._destroyed = false;
+      allWindows.push(this);
+    }
+    static getAllWindows() { return allWindows.filter(w => !w._destroyed); }
+    static getFocusedWindow() { return null; }
+    static fromWebContents(wc) { return allWindows.find(w => w.webContents === wc) || null; }
+    setMenuBarVisibility(visible) { this.menuBarVisible = visible; }
+    loadURL(url) { return this.webContents.loadURL(url); }
+    loadFile() { return Promise.resolve(); }
+    show() {}
+    hide() {}
+    focus() {}
+    close() { this.destroy(); }
+    destroy() { this._destroyed = true; this.emit('closed'); }
+    isDestroyed() { return this._destroyed; }
+    getBounds() { return { x: 0, y: 0, width: this.options.width || 800, height: this.options.height || 600 }; }
+    setBounds() {}
+  }
+
+  class Menu {
+    constructor(template = []) { this.items = template; }
+    static buildFromTemplate(template) { return new Menu(template); }
+    static setApplicationMenu(menu) { Menu._applicationMenu = menu; }
+    static getApplicationMenu() { return Menu._applicationMenu || null; }
+  }
+  Menu._applicationMenu = null;
+
+  const beforeSendHeaders = [];
+  const defaultSession = {
+    _userAgent: DEFAULT_USER_AGENT,
+    getUserAgent() { return this._userAgent; },
+    setUserAgent(ua) { this._userAgent = ua; },
+    webRequest: {
+      onBeforeSendHeaders(filterOrHandler, maybeHandler) {
+        const handler = typeof filterOrHandler === 'function' ? filterOrHandler : maybeHandler;
+        beforeSendHeaders.push(handler);
+      },
+      // Test side: run a request through the registered handlers
+      _simulate(details) {
+        const handler = beforeSendHeaders[beforeSendHeaders.length - 1];
+        if (!handler) return Promise.resolve({ requestHeaders: details.requestHeaders });
+        return new Promise(resolve => handler(details, resolve));
+      },
+    },
+    on() {},
+    setPermissionRequestHandler() {},
+  };
+
+  const dialogResponses = [];
+  const dialog = {
+    calls: [],
+    showOpenDialog(...args) {
+      dialog.calls.push({ method: 'showOpenDialog', args });
+      return Promise.resolve(dialogResponses.shift() || { canceled: true, filePaths: [] });
+    },
+    showSaveDialog(...args) {
+      dialog.calls.push({ method: 'showSaveDialog', args });
+      return Promise.resolve(dialogResponses.shift() || { canceled: true, filePath: undefined });
+    },
+    showMessageBox(...args) {
+      dialog.calls.push({ method: 'showMessageBox', args });
+      return Promise.resolve({ response: 0 });
+    },
+    showErrorBox(...args) { dialog.calls.push({ method: 'showErrorBox', args }); },
+    // Test side: next show*Dialog resolves with this
+    _queueResponse(response) { dialogResponses.push(response); },
+  };
+
+  const shell = {
+    calls: [],
+    openExternal(url) { shell.calls.push({ method: 'openExternal', args: [url] }); return Promise.resolve(); },
+    openPath(p) { shell.calls.push({ method: 'openPath', args: [p] }); return Promise.resolve(''); },
+    showItemInFolder(p) { shell.calls.push({ method: 'showItemInFolder', args: [p] }); },
+  };
+
+  const nativeTheme = Object.assign(new EventEmitter(), {
+    shouldUseDarkColors: false,
+    themeSource: 'system',
+  });
+
+  return {
+    app,
+    ipcMain,
+    webContents,
+    BrowserWindow,
+    Menu,
+    session: { defaultSession, fromPartition: () => defaultSession },
+    dialog,
+    systemPreferences: {},
+    shell,
+    nativeTheme,
+  };
+}
+
+module.exports = {
+  createFakeElectron,
+  FakeIpc,
+  DEFAULT_USER_AGENT,
+};
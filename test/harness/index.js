@@ -0,0 +1,322 @@
+/**
+ * Headless harness for linux-loader.js and the stubs
+ *
+ * Builds the installed layout (as install.sh does) in a temp dir, points
+ * HOME at a scratch home, swaps in fake-electron.js and a recording
+ * child_process, then runs the real loader in plain Node.
+ *
+ *   const { createHarness } = require('./test/harness');
+ *   const h = createHarness();
+ *   h.load();
+ *   await h.assertChannelReturns('AppFeatures_$_getCoworkFeatureState',
+ *     { enabled: true, status: 'supported', reason: null });
+ *   h.assertWindowOptions({ titleBarStyle: 'hidden' }, { frame: true, titleBarStyle: 'default' });
+ *   h.installClaudeBinary('2.1.5');
+ *   await h.swift().vm.spawn('p1', 'sess', '/usr/local/bin/claude', [], {}, {});
+ *   h.assertSpawned('bwrap', { includes: [['--ro-bind', '/usr', '/usr']] });
+ *
+ * The loader patches process-wide state (process.platform, fs, Module),
+ * so use one harness per process - node --test runs each file in its own.
+ */
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const { createFakeElectron } = require('./fake-electron');
+
+const REPO_DIR = path.join(__dirname, '..', '..');
+const EIPC_PREFIX = '$eipc_message$_00000000-0000-4000-8000-000000000000_$_';
+
+let active = null;
+
+// Recording stand-in for a spawned process; the test drives its output
+class FakeChildProcess extends EventEmitter {
+  constructor(pid) {
+    super();
+    this.pid = pid;
+    this.killed = false;
+    this.signals = [];
+    this.exitCode = null;
+    this.stdinData = [];
+    this.stdout = new PassThrough();
+    this.stderr = new PassThrough();
+    this.stdin = new Writable({
+      write: (chunk, encoding, callback) => { this.stdinData.push(Buffer.from(chunk)); callback(); },
+    });
+  }
+
+  kill(signal = 'SIGTERM') {
+    this.signals.push(signal);
+    this.killed = true;
+    return true;
+  }
+
+  unref() {}
+  ref() {}
+
+  // Test side
+  _writeStdout(data) { this.stdout.write(data); }
+  _writeStderr(data) { this.stderr.write(data); }
+  _exit(code = 0, signal = null) {
+    if (this.exitCode !== null) return;
+    this.exitCode = code;
+    this.stdout.end();
+    this.stderr.end();
+    this.emit('exit', code, signal);
+    this.emit('close', code, signal);
+  }
+}
+
+// Copy the repo into the layout install.sh produces under Contents/Resources
+function buildInstallLayout(resourcesDir, appSource, appVersion) {
+  const copy = (from, to) => fs.cpSync(path.join(REPO_DIR, from), path.join(resourcesDir, to), { recursive: true });
+
+  copy('linux-loader.js', 'linux-loader.js');
+  copy('lib', 'lib');
+  copy('tools', 'tools');
+  copy('stubs/@ant', 'stubs/@ant');
+  copy('stubs/frame-fix/frame-fix-entry.js', 'app/frame-fix-entry.js');
+  copy('stubs/frame-fix/frame-fix-wrapper.js', 'app/frame-fix-wrapper.js');
+  copy('stubs/@ant/claude-swift', 'app/node_modules/@ant/claude-swift');
+  copy('stubs/@ant/claude-native', 'app/node_modules/@ant/claude-native');
+
+  // Wherever frame-fix-entry.js's require('../.vite/build/index.js') lands
+  const appIndex = path.join(resourcesDir, 'app', '..', '.vite/build/index.js');
+  fs.mkdirSync(path.dirname(appIndex), { recursive: true });
+  fs.writeFileSync(appIndex, appSource);
+
+  // The extracted app.asar's package.json, where the spoof profile reads the version
+  fs.writeFileSync(path.join(resourcesDir, 'app', 'package.json'),
+    JSON.stringify({ name: 'claude-desktop', version: appVersion, main: '.vite/build/index.js' }, null, 2));
+}
+
+function createHarness({ appSource = '// app stub\n', appVersion = '1.1.2156', env = {}, tools = ['bwrap'] } = {}) {
+  if (active) throw new Error('Only one harness per process - the loader patches globals');
+
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-cowork-harness-'));
+  const home = path.join(root, 'home');
+  const resourcesDir = path.join(root, 'Resources');
+  const binDir = path.join(root, 'bin');
+  fs.mkdirSync(home, { recursive: true });
+  fs.mkdirSync(binDir);
+  buildInstallLayout(resourcesDir, appSource, appVersion);
+
+  // Scratch tools come first on PATH; by default a fake bwrap, so the
+  // bubblewrap backend is detected on machines without one
+  process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+  process.env.HOME = home;
+  delete process.env.CLAUDE_COWORK_CONFIG_DIR;
+  Object.assign(process.env, env);
+
+  const electron = createFakeElectron({ home });
+  const spawns = [];
+  const execs = [];
+  const responders = [];
+  let nextPid = 40000;
+
+  function respond(command, args) {
+    const match = responders.find(r => r.command === command || r.command === path.basename(command));
+    return match ? match.response(args) : { stdout: '' };
+  }
+
+  // Patched before anything captures { spawn } = require('child_process')
+  childProcess.spawn = function(command, args = [], options = {}) {
+    const proc = new FakeChildProcess(nextPid++);
+    spawns.push({ command, args, options, process: proc });
+    return proc;
+  };
+  childProcess.execFileSync = function(command, args = [], options = {}) {
+    execs.push({ command, args, options, sync: true });
+    const res = respond(command, args);
+    if (res.error) throw res.error;
+    const out = res.stdout || '';
+    return options.encoding ? out : Buffer.from(out);
+  };
+  childProcess.execFile = function(command, args = [], options, callback) {
+    if (typeof options === 'function') { callback = options; options = {}; }
+    execs.push({ command, args, options, sync: false });
+    const res = respond(command, args);
+    if (callback) process.nextTick(() => callback(res.error || null, res.stdout || '', res.stderr || ''));
+    return new FakeChildProcess(nextPid++);
+  };
+
+  const originalLoad = Module._load;
+  Module._load = function(request) {
+    if (request === 'electron') return electron;
+    return originalLoad.apply(this, arguments);
+  };
+
+  // Resolves from app/, so @ant/* come from app/node_modules like the app's own
+  const appRequire = Module.createRequire(path.join(resourcesDir, 'app/.vite/build/index.js'));
+  let loaded = false;
+
+  // Full eipc channel for a handler suffix, as the app would register it
+  function channelFor(suffix) {
+    return suffix.startsWith('$eipc_message$') ? suffix : EIPC_PREFIX + suffix;
+  }
+
+  function findHandlerChannel(ipc, suffix) {
+    return ipc._channels().find(c => c === suffix || c.endsWith(suffix));
+  }
+
+  const harness = {
+    root,
+    home,
+    resourcesDir,
+    electron,
+    spawns,
+    execs,
+    FakeChildProcess,
+
+    // Run linux-loader.js (and through it frame-fix-wrapper + app index)
+    load() {
+      if (loaded) return harness;
+      loaded = true;
+      require(path.join(resourcesDir, 'linux-loader.js'));
+      return harness;
+    },
+
+    ready() {
+      electron.app._emitReady();
+      return harness;
+    },
+
+    // require() as the app's main bundle would - through the wrapper's hooks
+    requireFromApp(id) {
+      return appRequire(id);
+    },
+
+    swift() {
+      return appRequire('@ant/claude-swift/js/index.js');
+    },
+
+    native() {
+      return appRequire('@ant/claude-native/index.js');
+    },
+
+    // Canned output for execFile/execFileSync of a command (basename ok)
+    respondTo(command, response) {
+      responders.unshift({
+        command,
+        response: typeof response === 'function' ? response : () => response,
+      });
+    },
+
+    // Register an app handler the way eipc does; returns the full channel
+    registerAppHandler(suffix, handler, { webContents = null } = {}) {
+      const channel = channelFor(suffix);
+      (webContents ? webContents.ipc : electron.ipcMain).handle(channel, handler);
+      return channel;
+    },
+
+    // A claude-code-vm/<version>/claude in the scratch home whose
+    // `--version` answers, so vm.spawn of /usr/local/bin/claude resolves
+    installClaudeBinary(version = '2.1.5') {
+      const binary = path.join(home, '.config/Claude/claude-code-vm', version, 'claude');
+      fs.mkdirSync(path.dirname(binary), { recursive: true });
+      fs.writeFileSync(binary, '#!/bin/sh\n', { mode: 0o755 });
+      harness.respondTo(binary, { stdout: `${version} (Claude Code)\n` });
+      return binary;
+    },
+
+    // An executable on PATH (default: succeeds when probed), e.g. for
+    // sandbox backend detection; call before load() to affect startup
+    installTool(name, response = { stdout: '' }) {
+      const tool = path.join(binDir, name);
+      fs.writeFileSync(tool, '#!/bin/sh\n', { mode: 0o755 });
+      harness.respondTo(tool, response);
+      return tool;
+    },
+
+    removeTool(name) {
+      fs.rmSync(path.join(binDir, name), { force: true });
+    },
+
+    createWebContents() {
+      return electron.webContents._create();
+    },
+
+    // Call whatever handler ended up registered for a channel/suffix
+    invoke(suffix, ...args) {
+      return harness.invokeOn(electron.ipcMain, suffix, ...args);
+    },
+
+    invokeOn(ipc, suffix, ...args) {
+      const channel = findHandlerChannel(ipc, suffix) || channelFor(suffix);
+      return ipc._invoke(channel, { sender: { id: 0 }, processId: 0, frameId: 0 }, ...args);
+    },
+
+    // "channel X returns Y". If the app hasn't registered the channel yet,
+    // a handler that throws is registered first, so overrides and error
+    // fallbacks are what answer.
+    async assertChannelReturns(suffix, expected, { args = [], appHandler, webContents } = {}) {
+      const ipc = webContents ? webContents.ipc : electron.ipcMain;
+      if (!findHandlerChannel(ipc, suffix)) {
+        harness.registerAppHandler(suffix, appHandler || (async () => {
+          throw new Error(`harness: no app handler for ${suffix}`);
+        }), { webContents });
+      }
+      const actual = await harness.invokeOn(ipc, suffix, ...args);
+      assert.deepStrictEqual(actual, expected);
+      return actual;
+    },
+
+    // "BrowserWindow options were rewritten". `expected` is a subset; a key
+    // set to undefined must be absent.
+    assertWindowOptions(input, expected) {
+      const { BrowserWindow } = appRequire('electron');
+      const win = new BrowserWindow({ ...input });
+      for (const [key, value] of Object.entries(expected)) {
+        if (value === undefined) {
+          assert.ok(!(key in win.options), `expected BrowserWindow option '${key}' to be removed`);
+        } else {
+          assert.deepStrictEqual(win.options[key], value, `BrowserWindow option '${key}'`);
+        }
+      }
+      return win;
+    },
+
+    lastSpawn(command) {
+      const matching = spawns.filter(s => !command || s.command === command);
+      return matching[matching.length - 1] || null;
+    },
+
+    // "spawn produced these bwrap args". `includes` are contiguous runs
+    // that must appear in the argv; `excludes` runs must not.
+    assertSpawned(command, { includes = [], excludes = [], env = {} } = {}) {
+      const call = harness.lastSpawn(command);
+      assert.ok(call, `expected a spawn of ${command}`);
+      const hasRun = (run) => call.args.some((_, i) => run.every((arg, j) => call.args[i + j] === arg));
+      for (const run of includes) {
+        assert.ok(hasRun(run), `expected ${command} args to contain ${JSON.stringify(run)}\n  got: ${JSON.stringify(call.args)}`);
+      }
+      for (const run of excludes) {
+        assert.ok(!hasRun(run), `expected ${command} args not to contain ${JSON.stringify(run)}`);
+      }
+      for (const [key, value] of Object.entries(env)) {
+        const actual = call.options.env ? call.options.env[key] : undefined;
+        assert.deepStrictEqual(actual, value, `spawn env ${key}`);
+      }
+      return call;
+    },
+
+    cleanup() {
+      fs.rmSync(root, { recursive: true, force: true });
+    },
+  };
+
+  for (const tool of tools) harness.installTool(tool);
+  active = harness;
+  return harness;
+}
+
+module.exports = {
+  createHarness,
+  FakeChildProcess,
+  EIPC_PREFIX,
+};
@@ -0,0 +1,105 @@
+/**
+ * ipc-overrides.test.js - Built-in and user overrides, fallbacks, hot reload
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const configDir = path.join(h.home, '.config/claude-cowork');
+const { createOverrideRegistry } = require(path.join(h.resourcesDir, 'lib/ipc-overrides'));
+const event = { sender: { id: 0 } };
+
+test('a forced override answers instead of the app', async () => {
+  const registry = createOverrideRegistry({ forceOverrides: { Foo_$_bar: async () => 'override' }, configDir });
+  const handler = registry.intercept('x_$_Foo_$_bar', async () => 'app');
+  assert.strictEqual(await handler(event), 'override');
+});
+
+test('an error fallback answers only when the app throws', async () => {
+  const registry = createOverrideRegistry({ errorFallbacks: { Foo_$_baz: async (e, n) => n * 2 }, configDir });
+  assert.strictEqual(await registry.intercept('Foo_$_baz', async () => 'app')(event, 2), 'app');
+  const failing = registry.intercept('Foo_$_baz', async () => { throw new Error('boom'); });
+  assert.strictEqual(await failing(event, 2), 4);
+});
+
+test('user entries win over built-ins, and disable drops one', async () => {
+  const dir = fs.mkdtempSync(path.join(h.root, 'overrides-'));
+  fs.writeFileSync(path.join(dir, 'ipc-overrides.json'), JSON.stringify({
+    forceOverrides: { Foo_$_bar: { from: 'user' } },
+    disable: ['Foo_$_gone'],
+  }));
+  const registry = createOverrideRegistry({
+    forceOverrides: { Foo_$_bar: async () => 'builtin', Foo_$_gone: async () => 'builtin' },
+    configDir: dir,
+  });
+  assert.deepStrictEqual(await registry.intercept('Foo_$_bar', async () => 'app')(event), { from: 'user' });
+  assert.strictEqual(await registry.intercept('Foo_$_gone', async () => 'app')(event), 'app');
+  assert.deepStrictEqual(registry.getMatchReport().matched.map(m => m.pattern).sort(), ['Foo_$_bar']);
+});
+
+test('a broken user file keeps the previous tables', async () => {
+  const dir = fs.mkdtempSync(path.join(h.root, 'overrides-'));
+  const file = path.join(dir, 'ipc-overrides.json');
+  fs.writeFileSync(file, JSON.stringify({ forceOverrides: { Foo_$_bar: 1 } }));
+  const registry = createOverrideRegistry({ configDir: dir });
+  fs.writeFileSync(file, '{ not json');
+  assert.strictEqual(registry.reload(), false);
+  assert.strictEqual(await registry.intercept('Foo_$_bar', async () => 'app')(event), 1);
+});
+
+test('editing the user file changes a channel the app already registered', async () => {
+  h.registerAppHandler('Late_$_thing', async () => 'app');
+  assert.strictEqual(await h.invoke('Late_$_thing'), 'app');
+
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(path.join(configDir, 'ipc-overrides.json'),
+    JSON.stringify({ forceOverrides: { Late_$_thing: 'edited' } }));
+  let answer;
+  for (let i = 0; i < 50 && answer !== 'edited'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    answer = await h.invoke('Late_$_thing');
+  }
+  assert.strictEqual(answer, 'edited');
+});
+
+test('a .js user file is read before .json, and re-read on reload', async () => {
+  const dir = fs.mkdtempSync(path.join(h.root, 'overrides-'));
+  const jsFile = path.join(dir, 'ipc-overrides.js');
+  fs.writeFileSync(path.join(dir, 'ipc-overrides.json'), JSON.stringify({ forceOverrides: { Foo_$_bar: 'json' } }));
+  fs.writeFileSync(jsFile, 'module.exports = { forceOverrides: { Foo_$_bar: async (e, n) => n + 1 } };');
+  const registry = createOverrideRegistry({ configDir: dir });
+  const handler = registry.intercept('x_$_Foo_$_bar', async () => 'app');
+  assert.strictEqual(await handler(event, 1), 2);
+
+  fs.writeFileSync(jsFile, 'module.exports = { forceOverrides: { Foo_$_bar: async (e, n) => n + 10 } };');
+  assert.strictEqual(registry.reload(), true);
+  assert.strictEqual(await handler(event, 1), 11);
+  assert.strictEqual(registry.getMatchReport().userFile, jsFile);
+});
+
+test('a user fallback moves a built-in override out of the forced table', async () => {
+  const dir = fs.mkdtempSync(path.join(h.root, 'overrides-'));
+  fs.writeFileSync(path.join(dir, 'ipc-overrides.json'), JSON.stringify({ errorFallbacks: { Foo_$_bar: 'user' } }));
+  const registry = createOverrideRegistry({ forceOverrides: { Foo_$_bar: async () => 'builtin' }, configDir: dir });
+  assert.strictEqual(registry.isForced('Foo_$_bar'), false);
+  assert.strictEqual(await registry.intercept('Foo_$_bar', async () => 'app')(event), 'app');
+  assert.strictEqual(await registry.intercept('Foo_$_bar', async () => { throw new Error('boom'); })(event), 'user');
+});
+
+test('the match report lists patterns no registered channel matches', async () => {
+  const registry = createOverrideRegistry({
+    forceOverrides: { Foo_$_bar: async () => 1, Gone_$_away: async () => 2 },
+    configDir: fs.mkdtempSync(path.join(h.root, 'overrides-')),
+  });
+  await registry.intercept('x_$_Foo_$_bar', async () => 'app')(event);
+  const report = registry.getMatchReport();
+  assert.deepStrictEqual(report.matched.map(m => [m.pattern, m.channels, m.hits]), [['Foo_$_bar', ['x_$_Foo_$_bar'], 1]]);
+  assert.deepStrictEqual(report.unmatched.map(m => [m.pattern, m.source]), [['Gone_$_away', 'builtin']]);
+});
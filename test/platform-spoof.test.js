@@ -0,0 +1,68 @@
+/**
+ * platform-spoof.test.js - Who sees the spoofed platform, and the call-site cache
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const spoof = require(path.join(h.resourcesDir, 'lib/platform-spoof'));
+
+// App code, recursing so only its own frames fill the caller window
+const appFile = path.join(h.resourcesDir, 'app/probe.js');
+fs.writeFileSync(appFile, `
+const os = require('os');
+function deep(n, fn) { return n ? deep(n - 1, fn) : fn(); }
+module.exports = {
+  platform: () => process.platform,
+  values: () => [process.platform, process.arch, os.platform(), os.arch()],
+  deep,
+};
+`);
+// Our own support code, in the installed lib/ dir
+const libFile = path.join(h.resourcesDir, 'lib/probe.js');
+fs.writeFileSync(libFile, 'module.exports = () => process.platform;\n');
+
+const app = require(appFile);
+const lib = require(libFile);
+
+test('app code sees the profile, and lib/ code the real values', () => {
+  assert.deepStrictEqual(app.deep(12, app.values), ['darwin', 'arm64', 'darwin', 'arm64']);
+  assert.strictEqual(app.deep(12, lib), 'linux');
+});
+
+test('app code reached through a system frame sees the real platform until its site is cached', () => {
+  // node:internal test runner frames sit right below this one
+  assert.strictEqual(app.platform(), 'linux');
+  assert.strictEqual(app.platform(), 'linux', 'a mixed window is not cached');
+  assert.strictEqual(app.deep(12, app.platform), 'darwin');
+  assert.strictEqual(app.platform(), 'darwin', 'an app-only window is');
+});
+
+test('a cached call site needs only its caller frame', () => {
+  app.deep(12, app.platform);
+  const limits = [];
+  const capture = Error.captureStackTrace;
+  Error.captureStackTrace = function(...args) {
+    limits.push(Error.stackTraceLimit);
+    return capture.apply(this, args);
+  };
+  try {
+    for (let i = 0; i < 5; i++) assert.strictEqual(app.deep(12, app.platform), 'darwin');
+  } finally {
+    Error.captureStackTrace = capture;
+  }
+  assert.deepStrictEqual(limits, [1, 1, 1, 1, 1]);
+});
+
+test('isSystemCall uses the allow-list', () => {
+  assert.ok(spoof.isSystemCall('at x (node:internal/modules/cjs/loader:1)'));
+  assert.ok(spoof.isSystemCall(`at y (${libFile}:1:1)`));
+  assert.ok(!spoof.isSystemCall(`at z (${appFile}:1:1)`));
+});
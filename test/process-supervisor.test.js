@@ -0,0 +1,137 @@
+/**
+ * process-supervisor.test.js - Kill escalation, escaped children, shutdown and the registry
+ */
+
+const { spawn: realSpawn } = require('child_process');
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const supervisor = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/process-supervisor.js'));
+const swift = h.swift();
+swift.vm.setEventCallbacks(() => {}, () => {}, () => {}, () => {}, null);
+
+const gone = pid => {
+  const stat = supervisor.readStat(pid);
+  return !stat || stat.state === 'Z';
+};
+
+test('terminate escalates to SIGKILL and reaches children that left the group', async () => {
+  process.env.CLAUDE_KILL_SCHEDULE = 'SIGINT:0,SIGTERM:200,SIGKILL:400';
+  // The leader ignores SIGINT and SIGTERM; its child starts a new session
+  const leader = realSpawn('sh', ['-c', 'trap "" INT TERM; setsid sleep 30 & echo $!; wait'], {
+    detached: true,
+    stdio: ['ignore', 'pipe', 'ignore'],
+  });
+  const escapedPid = await new Promise(resolve => leader.stdout.once('data', d => resolve(parseInt(d, 10))));
+  try {
+    supervisor.register({ id: 'esc', pid: leader.pid, session: 'esc', command: 'sh', backend: 'none' });
+    assert.notStrictEqual(supervisor.readStat(escapedPid).pgrp, leader.pid);
+
+    const started = Date.now();
+    const result = await supervisor.terminate('esc');
+    assert.deepStrictEqual(result.signals, ['SIGINT', 'SIGTERM', 'SIGKILL']);
+    assert.strictEqual(result.remaining, 0);
+    assert.ok(Date.now() - started < 2000);
+    assert.ok(gone(escapedPid), 'the setsid child was stopped');
+  } finally {
+    delete process.env.CLAUDE_KILL_SCHEDULE;
+    for (const pid of [escapedPid, leader.pid]) {
+      try { process.kill(pid, 'SIGKILL'); } catch (e) {}
+    }
+    supervisor.unregister('esc');
+  }
+});
+
+test('shutdown starts at SIGTERM and does not wait out the kill schedule', async () => {
+  await swift.vm.spawn('stubborn', 'ss', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  const started = Date.now();
+  await swift.vm.shutdown();
+  const elapsed = Date.now() - started;
+  assert.deepStrictEqual(proc.signals, ['SIGTERM', 'SIGKILL']);
+  assert.ok(elapsed < 3000, `shutdown took ${elapsed}ms`);
+  proc._exit(null, 'SIGKILL');
+});
+
+test('bubblewrap sessions get their own pid namespace', async () => {
+  await swift.vm.spawn('ns', 'sn', '/usr/local/bin/claude', [], {}, {});
+  h.assertSpawned('bwrap', { includes: [['--unshare-pid']] });
+  h.lastSpawn().process._exit(0);
+});
+
+test('kill reports the exit status even when it comes after the group is gone', async () => {
+  const real = realSpawn('sleep', ['30'], { detached: true, stdio: 'ignore' });
+  // The app's view of it: its 'exit' lags behind the process itself
+  const proc = new h.FakeChildProcess(real.pid);
+  real.once('exit', (code, signal) => setTimeout(() => proc._exit(code, signal), 50));
+  swift.vm._processes.set('late', proc);
+  supervisor.register({ id: 'late', pid: real.pid, session: 'late', command: 'sleep', backend: 'none' });
+  try {
+    const result = await swift.vm.kill('late');
+    assert.strictEqual(result.remaining, 0);
+    assert.deepStrictEqual(result.exit, { code: null, signal: 'SIGINT' });
+  } finally {
+    try { process.kill(real.pid, 'SIGKILL'); } catch (e) {}
+    supervisor.unregister('late');
+  }
+});
+
+const registryFile = path.join(h.home, '.local/share/claude-cowork/processes.json');
+const registryIds = () => JSON.parse(fs.readFileSync(registryFile, 'utf-8')).processes.map(e => e.id);
+const sleeper = () => realSpawn('sleep', ['30'], { detached: true, stdio: 'ignore' });
+const exited = child => new Promise(resolve => {
+  if (child.exitCode !== null || child.signalCode !== null) resolve(child.signalCode);
+  else child.once('exit', (code, signal) => resolve(signal));
+});
+
+test('the loader and app copies of the module share one registry', async () => {
+  const loaderCopy = require(path.join(h.resourcesDir, 'stubs/@ant/claude-swift/js/process-supervisor.js'));
+  assert.notStrictEqual(loaderCopy, supervisor);
+  const [a, b] = [sleeper(), sleeper()];
+  try {
+    supervisor.register({ id: 'from-app', pid: a.pid, session: 'a', command: 'sleep', backend: 'none' });
+    loaderCopy.register({ id: 'from-loader', pid: b.pid, session: 'b', command: 'sleep', backend: 'none' });
+    assert.deepStrictEqual(registryIds().filter(id => id.startsWith('from-')).sort(), ['from-app', 'from-loader']);
+    assert.ok(loaderCopy.getEntry('from-app'));
+
+    loaderCopy.reapOrphans();
+    assert.deepStrictEqual(registryIds().filter(id => id.startsWith('from-')).sort(), ['from-app', 'from-loader']);
+  } finally {
+    for (const child of [a, b]) child.kill('SIGKILL');
+    await Promise.all([exited(a), exited(b)]);
+    supervisor.unregister('from-app');
+    supervisor.unregister('from-loader');
+  }
+  assert.ok(!registryIds().some(id => id.startsWith('from-')));
+});
+
+test('reapOrphans stops the groups of dead owners and keeps those of live ones', async () => {
+  const [orphan, kept, owner] = [sleeper(), sleeper(), sleeper()];
+  const entry = (id, child, ownerPid, ownerStart) => ({
+    id, pid: child.pid, pgid: child.pid, session: id, command: 'sleep', backend: 'none',
+    procStart: supervisor.readStat(child.pid).starttime, ownerPid, ownerStart,
+  });
+  fs.writeFileSync(registryFile, JSON.stringify({ processes: [
+    entry('orphan', orphan, 2147483646, 1),
+    entry('kept', kept, owner.pid, supervisor.readStat(owner.pid).starttime),
+  ] }));
+  try {
+    const reaped = supervisor.reapOrphans();
+    assert.deepStrictEqual(reaped.map(e => e.id), ['orphan']);
+    assert.strictEqual(await exited(orphan), 'SIGTERM');
+    assert.ok(!gone(kept.pid));
+    assert.deepStrictEqual(registryIds(), ['kept']);
+  } finally {
+    for (const child of [orphan, kept, owner]) child.kill('SIGKILL');
+    await Promise.all([exited(kept), exited(owner)]);
+  }
+});
@@ -0,0 +1,127 @@
+/**
+ * readiness.test.js - Write queueing until the readiness signal, the timeout and settings
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const swift = h.swift();
+const errors = [];
+const exits = [];
+const connections = [];
+swift.vm.setEventCallbacks(() => {}, () => {}, (id, code, signal) => exits.push([id, code, signal]),
+  (id, message) => errors.push([id, message]), null);
+swift.vm.on('guestConnectionChanged', e => connections.push(e));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const settled = p => p.then(() => 'resolved', e => `rejected: ${e.message}`);
+
+beforeEach(() => {
+  delete process.env.CLAUDE_READY_SIGNAL;
+  delete process.env.CLAUDE_READY_TIMEOUT;
+});
+
+test('by default a session is ready once it starts', async () => {
+  await swift.vm.spawn('a', 'sa', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  assert.strictEqual(await swift.vm.writeStdin('a', 'hello\n'), true);
+  assert.strictEqual(Buffer.concat(proc.stdinData).toString(), 'hello\n');
+  assert.deepStrictEqual(connections.pop(), { connected: true, processId: 'a' });
+  proc._exit(0);
+  assert.deepStrictEqual(connections.pop(), { connected: false, processId: 'a' });
+});
+
+test('a pattern signal queues writes until a matching line', async () => {
+  process.env.CLAUDE_READY_SIGNAL = 'pattern:"type":"system"';
+  await swift.vm.spawn('b', 'sb', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  const write = swift.vm.writeStdin('b', 'hello\n');
+  proc._writeStdout('{"type":"other"}\n');
+  await sleep(50);
+  assert.strictEqual(proc.stdinData.length, 0);
+  proc._writeStdout('{"type":"system"}\n');
+  assert.strictEqual(await write, true);
+  assert.strictEqual(Buffer.concat(proc.stdinData).toString(), 'hello\n');
+  proc._exit(0);
+});
+
+test('without the signal in time, writes are rejected and the session stopped', async () => {
+  process.env.CLAUDE_READY_SIGNAL = 'output';
+  process.env.CLAUDE_READY_TIMEOUT = '0.1';
+  await swift.vm.spawn('c', 'sc', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  const queued = settled(swift.vm.writeStdin('c', 'x'));
+  await sleep(200);
+  assert.match(await queued, /^rejected: Session did not become ready within 0.1s/);
+  assert.match(await settled(swift.vm.writeStdin('c', 'y')), /^rejected: /);
+  assert.ok(proc.signals.includes('SIGTERM'));
+  assert.ok(errors.some(([id, message]) => id === 'c' && /did not become ready/.test(message)));
+  proc._exit(null, 'SIGTERM');
+});
+
+test('writes queued when the process exits are rejected', async () => {
+  process.env.CLAUDE_READY_SIGNAL = 'output';
+  await swift.vm.spawn('d', 'sd', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  const queued = settled(swift.vm.writeStdin('d', 'x'));
+  proc._exit(1);
+  assert.match(await queued, /^rejected: /);
+});
+
+test('with the output signal, the first stderr byte makes a session ready', async () => {
+  process.env.CLAUDE_READY_SIGNAL = 'output';
+  await swift.vm.spawn('e', 'se', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  const write = swift.vm.writeStdin('e', 'hello\n');
+  await sleep(50);
+  assert.strictEqual(proc.stdinData.length, 0);
+  proc._writeStderr('starting\n');
+  assert.strictEqual(await write, true);
+  assert.deepStrictEqual(connections.pop(), { connected: true, processId: 'e' });
+  proc._exit(0);
+});
+
+test('a pattern split across chunks matches once its line is whole', async () => {
+  process.env.CLAUDE_READY_SIGNAL = 'pattern:^\\{"type":"system"';
+  await swift.vm.spawn('f', 'sf', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  const write = swift.vm.writeStdin('f', 'hello\n');
+  proc._writeStdout('{"type":"sys');
+  await sleep(50);
+  assert.strictEqual(proc.stdinData.length, 0);
+  proc._writeStdout('tem"}\n');
+  assert.strictEqual(await write, true);
+  proc._exit(0);
+});
+
+test('readiness.json sessions override its default, and the environment both', () => {
+  const configDir = path.join(h.home, '.config/claude-cowork');
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(path.join(configDir, 'readiness.json'), JSON.stringify({
+    default: { signal: 'output', timeoutSeconds: 10 },
+    sessions: { slow: { timeoutSeconds: 120 }, bad: { signal: 'guest', timeoutSeconds: -1 } },
+  }));
+  const { resolveReadiness } = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/readiness'));
+  try {
+    assert.deepStrictEqual(resolveReadiness('any', {}), { signal: 'output', pattern: null, timeoutSeconds: 10 });
+    assert.strictEqual(resolveReadiness('slow', {}).timeoutSeconds, 120);
+    assert.deepStrictEqual(resolveReadiness('bad', {}), { signal: 'output', pattern: null, timeoutSeconds: 10 });
+
+    const fromEnv = resolveReadiness('slow', { CLAUDE_READY_SIGNAL: 'pattern:a:b', CLAUDE_READY_TIMEOUT: '5' });
+    assert.strictEqual(fromEnv.signal, 'pattern');
+    assert.strictEqual(fromEnv.pattern.source, 'a:b');
+    assert.strictEqual(fromEnv.timeoutSeconds, 5);
+    // A pattern signal with no pattern falls back to any output
+    assert.strictEqual(resolveReadiness('any', { CLAUDE_READY_SIGNAL: 'pattern' }).signal, 'output');
+  } finally {
+    fs.rmSync(path.join(configDir, 'readiness.json'));
+  }
+});
@@ -0,0 +1,106 @@
+/**
+ * resource-limits.test.js - How limits wrap a spawn, and when an exit is blamed on them
+ */
+
+const { spawn: realSpawn } = require('child_process');
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const resourceLimits = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/resource-limits'));
+const supervisor = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/process-supervisor'));
+
+test('without a systemd user manager no memory rlimit is used', () => {
+  h.installTool('prlimit');
+  const launch = resourceLimits.wrapCommand({ memoryMB: 2048, openFiles: 256 }, 'bwrap', ['--', 'claude']);
+  assert.strictEqual(launch.command, 'prlimit');
+  assert.deepStrictEqual(launch.args, ['--nofile=256', '--', 'bwrap', '--', 'claude']);
+  assert.strictEqual(launch.memoryVia, null);
+  assert.deepStrictEqual(launch.skipped, ['memoryMB']);
+});
+
+test('with one, memory goes into the scope cgroup', () => {
+  const runtimeDir = path.join(h.root, 'run');
+  fs.mkdirSync(runtimeDir, { recursive: true });
+  fs.writeFileSync(path.join(runtimeDir, 'bus'), '');
+  process.env.XDG_RUNTIME_DIR = runtimeDir;
+  h.installTool('systemd-run');
+  try {
+    const launch = resourceLimits.wrapCommand({ memoryMB: 2048 }, 'bwrap', ['--', 'claude']);
+    assert.strictEqual(launch.command, 'systemd-run');
+    assert.deepStrictEqual(launch.args, ['--user', '--scope', '--quiet', '--collect',
+      '-p', 'MemoryMax=2048M', '-p', 'MemorySwapMax=0', '--', 'bwrap', '--', 'claude']);
+    assert.strictEqual(launch.memoryVia, 'cgroup');
+  } finally {
+    h.removeTool('systemd-run');
+    delete process.env.XDG_RUNTIME_DIR;
+  }
+});
+
+test('a SIGKILL alone is not blamed on memory', () => {
+  const limits = { memoryMB: 1024 };
+  assert.strictEqual(resourceLimits.exitReason({ code: null, signal: 'SIGKILL', limits }), null);
+  assert.strictEqual(resourceLimits.exitReason({ code: 137, signal: null, limits }), null);
+});
+
+test('a counted OOM kill or an out-of-memory message is', () => {
+  const limits = { memoryMB: 1024 };
+  assert.strictEqual(resourceLimits.exitReason({ code: 137, signal: null, limits, oomKilled: true }),
+    'memory limit of 1024 MB exceeded');
+  assert.strictEqual(resourceLimits.exitReason({ code: 1, signal: null, limits, stderr: 'FATAL ERROR: JavaScript heap out of memory' }),
+    'memory limit of 1024 MB probably exceeded');
+  assert.strictEqual(resourceLimits.exitReason({ code: 137, signal: null, limits: {}, oomKilled: true }), null);
+});
+
+test('other limits keep their reasons', () => {
+  assert.strictEqual(resourceLimits.exitReason({ code: null, signal: 'SIGXCPU', limits: { cpuSeconds: 10 } }),
+    'CPU time limit of 10s exceeded');
+  assert.strictEqual(resourceLimits.exitReason({ code: null, signal: 'SIGTERM', limits: { maxRuntimeSeconds: 5 }, timedOut: true }),
+    'max runtime of 5s exceeded');
+});
+
+test('memory is not watched without a cgroup', () => {
+  const memory = resourceLimits.watchMemory({ pid: process.pid }, null);
+  assert.strictEqual(memory.oomKilled(), false);
+  memory.close();
+});
+
+test('the runtime limit stops grandchildren too', async () => {
+  process.env.CLAUDE_KILL_SCHEDULE = 'SIGINT:0,SIGTERM:200,SIGKILL:400';
+  // A wrapper whose child outlives it, as firejail or prlimit chains can
+  const leader = realSpawn('sh', ['-c', 'sleep 30 & echo $!; wait'], {
+    detached: true,
+    stdio: ['ignore', 'pipe', 'ignore'],
+  });
+  const grandchild = await new Promise(resolve => leader.stdout.once('data', d => resolve(parseInt(d, 10))));
+  const gone = pid => {
+    const stat = supervisor.readStat(pid);
+    return !stat || stat.state === 'Z';
+  };
+  try {
+    supervisor.register({ id: 'rt', pid: leader.pid, session: 'rt', command: 'sh', backend: 'none' });
+    let stopped;
+    const runtime = resourceLimits.watchRuntime({ maxRuntimeSeconds: 0.2 }, () => {
+      stopped = supervisor.terminate('rt', { signal: 'SIGTERM', child: leader });
+    });
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(runtime.timedOut(), true);
+    const result = await stopped;
+    assert.strictEqual(result.remaining, 0);
+    assert.ok(gone(leader.pid), 'the wrapper was stopped');
+    assert.ok(gone(grandchild), 'its child was stopped');
+    runtime.clear();
+  } finally {
+    delete process.env.CLAUDE_KILL_SCHEDULE;
+    for (const pid of [grandchild, leader.pid]) {
+      try { process.kill(pid, 'SIGKILL'); } catch (e) {}
+    }
+    supervisor.unregister('rt');
+  }
+});
@@ -0,0 +1,98 @@
+/**
+ * retention.test.js - What sweeps remove, and what background sweeps only report
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const retention = require(path.join(h.resourcesDir, 'lib/retention'));
+const sessionIndex = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/session-index'));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const configFile = path.join(h.home, '.config/claude-cowork/retention.json');
+const logDir = path.join(h.home, '.local/share/claude-cowork/logs');
+
+function makeSession(name, idleDays, extra = {}) {
+  const at = new Date(Date.now() - idleDays * DAY_MS).toISOString();
+  sessionIndex.writeMeta(name, {
+    name, title: name, createdAt: at, lastActiveAt: at, status: 'exited', pid: null, spawnCount: 1, mounts: {},
+    disk: { bytes: 100, at: new Date().toISOString() }, ...extra,
+  });
+}
+
+function oldLog(name) {
+  const file = path.join(logDir, name);
+  fs.mkdirSync(logDir, { recursive: true });
+  fs.writeFileSync(file, 'old');
+  const then = new Date(Date.now() - 30 * DAY_MS);
+  fs.utimesSync(file, then, then);
+  return file;
+}
+
+const exists = name => fs.existsSync(sessionIndex.sessionDir(name));
+
+beforeEach(() => {
+  fs.rmSync(sessionIndex.SESSIONS_BASE, { recursive: true, force: true });
+  fs.rmSync(configFile, { force: true });
+});
+
+test('the default policy keeps recent sessions and reports old ones', () => {
+  makeSession('old', 40);
+  makeSession('new', 1);
+  const policy = retention.loadPolicy();
+  policy.sessions.keepLast = 1;
+  const report = retention.sweep({ removeSessions: false, policy });
+  assert.deepStrictEqual(report.due.map(item => item.name), ['old']);
+  assert.deepStrictEqual(report.removed.filter(item => item.kind === 'session'), []);
+  assert.ok(exists('old') && exists('new'));
+  assert.match(retention.summarize(report), /1 session\(s\) due for removal/);
+});
+
+test('an on-demand sweep removes them', () => {
+  makeSession('old', 40);
+  makeSession('new', 1);
+  const policy = retention.loadPolicy();
+  policy.sessions.keepLast = 1;
+  const report = retention.sweep({ policy });
+  assert.deepStrictEqual(report.removed.filter(item => item.kind === 'session').map(item => item.name), ['old']);
+  assert.ok(!exists('old') && exists('new'));
+});
+
+test('running sessions are skipped and dry runs remove nothing', () => {
+  makeSession('busy', 40, { status: 'running', pid: process.pid });
+  makeSession('idle', 40);
+  const policy = retention.loadPolicy();
+  policy.sessions.keepLast = 0;
+  const dry = retention.sweep({ dryRun: true, policy });
+  assert.deepStrictEqual(dry.removed.map(item => item.name).filter(Boolean), ['idle']);
+  assert.deepStrictEqual(dry.skipped, [{ kind: 'session', name: 'busy', reason: 'running' }]);
+  assert.ok(exists('idle') && exists('busy'));
+});
+
+test('autoRemove is read from retention.json, and bad values are ignored', () => {
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  fs.writeFileSync(configFile, JSON.stringify({ sessions: { autoRemove: true, keepLast: 'ten' } }));
+  const policy = retention.loadPolicy();
+  assert.strictEqual(policy.sessions.autoRemove, true);
+  assert.strictEqual(policy.sessions.keepLast, 10);
+  fs.writeFileSync(configFile, JSON.stringify({ sessions: { autoRemove: 'yes' } }));
+  assert.strictEqual(retention.loadPolicy().sessions.autoRemove, false);
+});
+
+test('a worker sweep removes old logs and only reports sessions', async () => {
+  makeSession('old', 400);
+  const log = oldLog('claude-swift-trace.log.old');
+  const policy = retention.loadPolicy();
+  policy.sessions.keepLast = 0;
+  const report = await retention.sweepInWorker({ removeSessions: false, policy });
+  assert.deepStrictEqual(report.due.map(item => item.name), ['old']);
+  assert.deepStrictEqual(report.removed.map(item => item.path), [log]);
+  assert.ok(exists('old'));
+  assert.ok(!fs.existsSync(log));
+});
@@ -0,0 +1,46 @@
+/**
+ * sandbox-backends.test.js - Session path translation for backends without bind mounts
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+process.env.CLAUDE_SANDBOX_BACKEND = 'unsandboxed';
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => {
+  delete process.env.CLAUDE_SANDBOX_BACKEND;
+  h.cleanup();
+});
+
+const swift = h.swift();
+swift.vm.setEventCallbacks(() => {}, () => {}, () => {}, () => {}, null);
+const sessionDir = name => path.join(h.home, '.local/share/claude-cowork/sessions', name);
+
+test('args, cwd and env values are rewritten to host paths', async () => {
+  await swift.vm.spawn('u1', 'tr', '/usr/local/bin/claude', ['--add-dir', '/sessions/tr/mnt/uploads'], {}, {
+    OUTPUT_DIR: '/sessions/tr/mnt/outputs',
+    PYTHONPATH: '/sessions/tr/mnt/uploads/lib:/usr/lib/python3',
+    OTHER_SESSION: '/sessions/other/mnt/uploads',
+    PLAIN: 'no paths here',
+  });
+  const host = sessionDir('tr');
+  const { args, options, process: proc } = h.lastSpawn();
+  assert.ok(args.includes(`${host}/mnt/uploads`));
+  assert.ok(options.cwd.startsWith(`${host}/mnt/`));
+  assert.strictEqual(options.env.OUTPUT_DIR, `${host}/mnt/outputs`);
+  assert.strictEqual(options.env.PYTHONPATH, `${host}/mnt/uploads/lib:/usr/lib/python3`);
+  assert.strictEqual(options.env.OTHER_SESSION, '/sessions/other/mnt/uploads');
+  assert.strictEqual(options.env.PLAIN, 'no paths here');
+  proc._exit(0);
+});
+
+test('the saved env keeps the session paths', async () => {
+  const meta = JSON.parse(fs.readFileSync(path.join(sessionDir('tr'), 'session.json'), 'utf-8'));
+  assert.strictEqual(meta.env.OUTPUT_DIR, '/sessions/tr/mnt/outputs');
+});
@@ -0,0 +1,55 @@
+/**
+ * sandbox-profiles.test.js - Picking a session's profile by its folders
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+const configDir = path.join(h.home, '.config/claude-cowork');
+fs.mkdirSync(configDir, { recursive: true });
+fs.writeFileSync(path.join(configDir, 'sandbox.json'), JSON.stringify({
+  folders: { '~/work': 'home-ro', '~/work/client-a': 'selected-only' },
+}));
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const swift = h.swift();
+swift.vm.setEventCallbacks(() => {}, () => {}, () => {}, () => {}, null);
+
+async function spawnWith(name, folder) {
+  const mounts = folder ? { project: { path: folder } } : {};
+  await swift.vm.spawn(`${name}-id`, name, '/usr/local/bin/claude', [], {}, {}, mounts);
+  const spawned = h.lastSpawn('bwrap');
+  spawned.process._exit(0);
+  return spawned.args;
+}
+
+test('a session with a folder under a listed path gets its profile', async () => {
+  const args = await spawnWith('client', 'work/client-a/app');
+  assert.ok(args.join(' ').includes(`--dir ${h.home} `), 'home is hidden');
+  assert.ok(!args.join(' ').includes(`--bind ${h.home} ${h.home} `));
+  assert.strictEqual(swift.vm.getSandboxProfile('client').name, 'selected-only');
+  assert.match(swift.vm.getSandboxProfile('client').source, /folders\[~\/work\/client-a\]$/);
+});
+
+test('the longest listed path wins, and others keep the default', async () => {
+  await spawnWith('other-work', 'work/internal');
+  assert.strictEqual(swift.vm.getSandboxProfile('other-work').name, 'home-ro');
+
+  const args = await spawnWith('elsewhere', 'workshop');
+  assert.ok(args.join(' ').includes(`--bind ${h.home} ${h.home} `));
+  assert.strictEqual(swift.vm.getSandboxProfile('elsewhere').name, 'legacy');
+});
+
+test('a session name in sandbox.json still takes precedence', () => {
+  const file = path.join(configDir, 'sandbox.json');
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  fs.writeFileSync(file, JSON.stringify({ ...config, sessions: { client: 'legacy' } }));
+  assert.strictEqual(swift.vm.getSandboxProfile('client').name, 'legacy');
+});
@@ -0,0 +1,115 @@
+/**
+ * session-archive.test.js - Export and import, and what an import may keep
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createHarness } = require('./harness');
+
+// Before load(), which points TMPDIR into the scratch home
+const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'outside-'));
+after(() => fs.rmSync(outside, { recursive: true, force: true }));
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+// The harness records execFileSync; archives need the real tar
+function tar(args) {
+  const result = spawnSync('tar', args, { encoding: 'utf-8' });
+  if (result.status !== 0) return { error: Object.assign(new Error('tar failed'), { stderr: result.stderr }) };
+  return { stdout: '' };
+}
+h.respondTo('tar', tar);
+
+const swiftDir = path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js');
+const sessionIndex = require(path.join(swiftDir, 'session-index'));
+const sessionArchive = require(path.join(swiftDir, 'session-archive'));
+
+function exported(name, meta) {
+  fs.mkdirSync(path.join(h.home, 'proj'), { recursive: true });
+  sessionIndex.writeMeta(name, {
+    name, title: 'T', status: 'exited', pid: null, spawnCount: 1,
+    mounts: { proj: path.join(h.home, 'proj'), data: outside },
+    mountModes: { data: 'ro' },
+    cwd: `/sessions/${name}/mnt/proj`,
+    env: { WORKDIR: path.join(h.home, 'proj') },
+    ...meta,
+  });
+  const file = path.join(h.root, `${name}.tgz`);
+  sessionArchive.exportSession(name, file);
+  return file;
+}
+
+// Unpack `file`, let `edit` change it, pack it again
+function tampered(file, edit) {
+  const dir = fs.mkdtempSync(path.join(h.root, 'tamper-'));
+  tar(['-xzf', file, '-C', dir]);
+  edit(dir);
+  const out = path.join(h.root, `tampered-${path.basename(dir)}.tgz`);
+  tar(['-czf', out, '-C', dir, 'cowork-session.json', 'session']);
+  return out;
+}
+
+function editJson(file, fn) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  fs.writeFileSync(file, JSON.stringify(fn(data) || data));
+}
+
+test('a round trip maps home and outside folders', () => {
+  const file = exported('a1');
+  assert.throws(() => sessionArchive.importSession(file, { as: 'b1' }), /need a location here: data/);
+  const result = sessionArchive.importSession(file, { as: 'b1', mounts: { data: outside } });
+  assert.deepStrictEqual(result.mounts, { proj: path.join(h.home, 'proj'), data: outside });
+  const meta = sessionIndex.readMeta('b1');
+  assert.strictEqual(meta.cwd, '/sessions/b1/mnt/proj');
+  assert.deepStrictEqual(meta.mountModes, { data: 'ro' });
+  assert.deepStrictEqual(meta.env, {});
+  assert.strictEqual(meta.status, 'exited');
+});
+
+test('session.json cannot add mounts, env or a cwd of its own', () => {
+  const file = tampered(exported('a2'), (dir) => editJson(path.join(dir, 'session/session.json'), (meta) => {
+    meta.mounts.etc = '/etc';
+    meta.mountModes = { proj: 'rw', etc: 'rw' };
+    meta.env = { LD_PRELOAD: '/tmp/evil.so', HTTPS_PROXY: 'http://evil' };
+    meta.cwd = '/etc';
+    meta.profile = 'wide-open';
+  }));
+  sessionArchive.importSession(file, { as: 'b2', mounts: { data: outside } });
+  const meta = sessionIndex.readMeta('b2');
+  assert.deepStrictEqual(Object.keys(meta.mounts).sort(), ['data', 'proj']);
+  assert.deepStrictEqual(meta.mountModes, {});
+  assert.deepStrictEqual(meta.env, {});
+  assert.strictEqual(meta.cwd, null);
+  assert.strictEqual(meta.profile, undefined);
+});
+
+test('manifest mounts must stay inside home or the session', () => {
+  const file = tampered(exported('a3'), (dir) => editJson(path.join(dir, 'cowork-session.json'), (manifest) => {
+    manifest.mounts.proj = '${HOME}/../../etc';
+  }));
+  assert.throws(() => sessionArchive.importSession(file, { as: 'b3', mounts: { data: outside } }),
+    /mount proj is \$\{HOME\}\/\.\.\/\.\.\/etc/);
+  assert.strictEqual(sessionIndex.readMeta('b3'), null);
+
+  const badName = tampered(exported('a4'), (dir) => editJson(path.join(dir, 'cowork-session.json'), (manifest) => {
+    manifest.mounts['../x'] = '${HOME}/proj';
+  }));
+  assert.throws(() => sessionArchive.importSession(badName, { as: 'b4', mounts: { data: outside } }), /bad mount/);
+});
+
+test('mappings for mounts the archive lacks are refused', () => {
+  const file = exported('a5');
+  assert.throws(() => sessionArchive.importSession(file, { as: 'b5', mounts: { data: outside, etc: '/etc' } }),
+    /no mount named etc/);
+});
+
+test('archives holding symlinks are refused', () => {
+  const file = tampered(exported('a6'), (dir) => fs.symlinkSync('/etc/passwd', path.join(dir, 'session/link')));
+  assert.throws(() => sessionArchive.importSession(file, { as: 'b6', mounts: { data: outside } }), /symlink: session\/link/);
+});
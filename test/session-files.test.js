@@ -0,0 +1,102 @@
+/**
+ * session-files.test.js - vm.readFile / writeFile / statFile stay inside mounts
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+// Before load(), which points TMPDIR into the scratch home
+const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'outside-'));
+after(() => fs.rmSync(outside, { recursive: true, force: true }));
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const swift = h.swift();
+const proj = path.join(h.home, 'proj');
+const vmProj = '/sessions/s/mnt/proj';
+const b64 = text => Buffer.from(text).toString('base64');
+const settled = p => p.then(v => v, e => `rejected: ${e.message}`);
+
+before(async () => {
+  fs.mkdirSync(path.join(h.home, 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(h.home, 'docs/r.txt'), 'read me');
+  fs.mkdirSync(proj, { recursive: true });
+  await swift.vm.spawn('p', 's', '/usr/local/bin/claude', [], {}, {},
+    { proj: { path: 'proj' }, docs: { path: 'docs', mode: 'ro' } });
+  h.lastSpawn().process._exit(0);
+});
+
+test('files are read by VM path or by host path', async () => {
+  assert.strictEqual(await swift.vm.readFile('s', '/sessions/s/mnt/docs/r.txt'), b64('read me'));
+  assert.strictEqual(await swift.vm.readFile('s', path.join(h.home, 'docs/r.txt')), b64('read me'));
+});
+
+test('paths outside the mounts and read-only mounts are refused', async () => {
+  assert.match(await settled(swift.vm.readFile('s', '/etc/passwd')), /outside the mounts/);
+  assert.match(await settled(swift.vm.readFile('s', `${vmProj}/../../session.json`)), /outside the mounts/);
+  assert.match(await settled(swift.vm.writeFile('s', '/sessions/s/mnt/docs/w.txt', b64('x'))), /read-only mount/);
+});
+
+test('a dangling symlink is not written through', async () => {
+  fs.symlinkSync(path.join(outside, 'created'), path.join(proj, 'dangling'));
+  assert.match(await settled(swift.vm.writeFile('s', `${vmProj}/dangling`, b64('x'))), /is a symlink/);
+  assert.ok(!fs.existsSync(path.join(outside, 'created')));
+});
+
+test('symlinks to files outside are neither read nor followed by stat', async () => {
+  fs.writeFileSync(path.join(outside, 'secret'), 'secret');
+  fs.symlinkSync(path.join(outside, 'secret'), path.join(proj, 'secret'));
+  assert.match(await settled(swift.vm.readFile('s', `${vmProj}/secret`)), /is a symlink/);
+  assert.match(await settled(swift.vm.writeFile('s', `${vmProj}/secret`, b64('x'))), /is a symlink/);
+  assert.strictEqual(fs.readFileSync(path.join(outside, 'secret'), 'utf-8'), 'secret');
+  const stats = await swift.vm.statFile('s', `${vmProj}/secret`);
+  assert.strictEqual(stats.size, path.join(outside, 'secret').length);
+});
+
+test('a linked directory leading outside is refused, including for new folders', async () => {
+  fs.symlinkSync(outside, path.join(proj, 'out'));
+  assert.match(await settled(swift.vm.readFile('s', `${vmProj}/out/secret`)), /leads outside mount proj/);
+  assert.match(await settled(swift.vm.writeFile('s', `${vmProj}/out/new/file`, b64('x'))), /leads outside mount proj/);
+  assert.strictEqual(await settled(swift.vm.statFile('s', `${vmProj}/out/secret`)), 'rejected: /sessions/s/mnt/proj/out/secret leads outside mount proj');
+  assert.deepStrictEqual(fs.readdirSync(outside), ['secret']);
+});
+
+test('writes in chunks and appends, reads in chunks', async () => {
+  const big = Buffer.alloc(100000, 7);
+  big[99999] = 1;
+  for (let offset = 0; offset < big.length; offset += 25000) {
+    await swift.vm.writeFile('s', `${vmProj}/sub/big.bin`, big.subarray(offset, offset + 25000).toString('base64'), { offset });
+  }
+  const stats = await swift.vm.statFile('s', `${vmProj}/sub/big.bin`);
+  assert.strictEqual(stats.size, 100000);
+  assert.strictEqual(stats.isDirectory, false);
+  const tail = Buffer.from(await swift.vm.readFile('s', `${vmProj}/sub/big.bin`, { offset: 99990, length: 100 }), 'base64');
+  assert.strictEqual(tail.length, 10);
+  assert.strictEqual(tail[9], 1);
+
+  await swift.vm.writeFile('s', `${vmProj}/log`, b64('a'), { append: true });
+  await swift.vm.writeFile('s', `${vmProj}/log`, b64('b'), { append: true });
+  assert.strictEqual(fs.readFileSync(path.join(proj, 'log'), 'utf-8'), 'ab');
+  await swift.vm.writeFile('s', `${vmProj}/log`, b64('c'));
+  assert.strictEqual(fs.readFileSync(path.join(proj, 'log'), 'utf-8'), 'c');
+});
+
+test('the mount folder itself can be stated but not read', async () => {
+  assert.strictEqual((await swift.vm.statFile('s', vmProj)).isDirectory, true);
+  assert.match(await settled(swift.vm.readFile('s', vmProj)), /is a directory/);
+  assert.match(await settled(swift.vm.readFile('s', `${vmProj}/sub`)), /is a directory/);
+  assert.strictEqual(await swift.vm.statFile('s', `${vmProj}/nope/deeper`), null);
+});
+
+test('the uploads mount of a session never spawned is created on first write', async () => {
+  await swift.vm.writeFile('fresh', '/sessions/fresh/mnt/uploads/a.txt', b64('hi'));
+  assert.strictEqual(await swift.vm.readFile('fresh', '/sessions/fresh/mnt/uploads/a.txt'), b64('hi'));
+});
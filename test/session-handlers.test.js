@@ -0,0 +1,75 @@
+/**
+ * session-handlers.test.js - The LocalAgentModeSessions_$_* channels
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => {
+  delete process.env.CLAUDE_KILL_SCHEDULE;
+  h.cleanup();
+});
+
+const swift = h.swift();
+swift.vm.setEventCallbacks(() => {}, () => {}, () => {}, () => {}, null);
+// The app registers its own, which the overrides replace
+for (const name of ['getAll', 'rename', 'delete']) {
+  h.registerAppHandler(`LocalAgentModeSessions_$_${name}`, () => 'app');
+}
+const sessionDir = name => path.join(h.home, '.local/share/claude-cowork/sessions', name);
+
+// A fake process that exits on the first signal, as claude would
+function exitsOnSignal(proc) {
+  const kill = proc.kill.bind(proc);
+  proc.kill = (signal) => {
+    kill(signal);
+    proc._exit(null, signal || 'SIGTERM');
+    return true;
+  };
+  return proc;
+}
+
+test('getAll lists summaries without host paths or the saved env', async () => {
+  await swift.vm.spawn('l1', 'listed', '/usr/local/bin/claude', [], {}, { PROJECT_NOTE: 'kept private' });
+  h.lastSpawn().process._exit(0);
+
+  const sessions = await h.invoke('LocalAgentModeSessions_$_getAll');
+  const session = sessions.find(s => s.name === 'listed');
+  assert.ok(session);
+  assert.strictEqual(session.status, 'exited');
+  assert.ok(Array.isArray(session.mounts));
+  assert.ok(session.mounts.every(mount => typeof mount === 'string' && !mount.startsWith('/')));
+  for (const field of ['env', 'pid', 'cwd', 'mountModes']) assert.ok(!(field in session), field);
+  assert.ok(!JSON.stringify(session).includes(h.home));
+});
+
+test('rename answers with the summary', async () => {
+  const result = await h.invoke('LocalAgentModeSessions_$_rename', 'listed', '  New title ');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.session.title, 'New title');
+  assert.ok(!('env' in result.session));
+});
+
+test('a forced delete stops the running session before removing it', async () => {
+  process.env.CLAUDE_KILL_SCHEDULE = 'SIGINT:0,SIGKILL:200';
+  await swift.vm.spawn('r1', 'running', '/usr/local/bin/claude', [], {}, {});
+  const proc = exitsOnSignal(h.lastSpawn().process);
+
+  const result = await h.invoke('LocalAgentModeSessions_$_delete', 'running', { force: true });
+  assert.deepStrictEqual(result, { success: true });
+  assert.deepStrictEqual(proc.signals, ['SIGINT']);
+  assert.ok(!fs.existsSync(sessionDir('running')));
+});
+
+test('delete of an unknown session fails without throwing', async () => {
+  const result = await h.invoke('LocalAgentModeSessions_$_delete', '../escape', { force: true });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /invalid session name/);
+});
@@ -0,0 +1,119 @@
+/**
+ * session-index.test.js - Listing and removing sessions
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const sessionIndex = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/session-index'));
+
+function makeSession(name, entries = []) {
+  sessionIndex.writeMeta(name, { name, title: name, status: 'exited', pid: null, spawnCount: 1, mounts: {} });
+  const mnt = path.join(sessionIndex.sessionDir(name), 'mnt');
+  fs.mkdirSync(mnt, { recursive: true });
+  for (const entry of entries) fs.mkdirSync(path.join(mnt, entry));
+  return mnt;
+}
+
+// Make fs.lstatSync / readdirSync fail like a dead FUSE mount for `target`
+function failing(method, target, fn) {
+  const original = fs[method];
+  fs[method] = function(p, ...rest) {
+    if (p === target) throw Object.assign(new Error(`${method} ${p}: socket not connected`), { code: 'ENOTCONN' });
+    return original.call(this, p, ...rest);
+  };
+  try {
+    return fn();
+  } finally {
+    fs[method] = original;
+  }
+}
+
+test('an exited session is removed', () => {
+  makeSession('plain', ['work']);
+  assert.strictEqual(sessionIndex.remove('plain'), true);
+  assert.ok(!fs.existsSync(sessionIndex.sessionDir('plain')));
+  assert.strictEqual(sessionIndex.remove('plain'), false);
+});
+
+test('a running session needs force', () => {
+  makeSession('live');
+  sessionIndex.writeMeta('live', { ...sessionIndex.readMeta('live'), status: 'running', pid: process.pid });
+  assert.throws(() => sessionIndex.remove('live'), /still running/);
+  assert.ok(fs.existsSync(sessionIndex.sessionDir('live')));
+});
+
+test('a mount entry that cannot be looked at keeps the session', () => {
+  const mnt = makeSession('stale', ['ok', 'dead']);
+  assert.throws(() => failing('lstatSync', path.join(mnt, 'dead'), () => sessionIndex.remove('stale')),
+    /still has folders mounted in .*: dead$/);
+  assert.ok(fs.existsSync(path.join(mnt, 'ok')));
+});
+
+test('an unreadable mnt directory keeps the session', () => {
+  const mnt = makeSession('unreadable', ['work']);
+  assert.throws(() => failing('readdirSync', mnt, () => sessionIndex.remove('unreadable')),
+    /cannot check .* for mounted folders/);
+  assert.ok(fs.existsSync(path.join(mnt, 'work')));
+});
+
+const { readStat } = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/process-supervisor'));
+const metaFile = name => path.join(sessionIndex.sessionDir(name), sessionIndex.META_FILE);
+
+async function eventually(fn) {
+  for (let i = 0; i < 100; i++) {
+    const value = fn();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return fn();
+}
+
+test('a recycled pid does not keep a session running', () => {
+  sessionIndex.recordSpawn('recycled', { pid: process.pid });
+  assert.strictEqual(sessionIndex.readMeta('recycled').procStart, readStat(process.pid).starttime);
+  assert.strictEqual(sessionIndex.isRunning('recycled'), true);
+
+  sessionIndex.writeMeta('recycled', { ...sessionIndex.readMeta('recycled'), procStart: 1 });
+  assert.strictEqual(sessionIndex.isRunning('recycled'), false);
+  assert.strictEqual(sessionIndex.get('recycled').status, 'exited');
+  assert.strictEqual(sessionIndex.remove('recycled'), true, 'no force needed');
+});
+
+test('listing writes nothing, even for lost and pre-index sessions', () => {
+  const legacy = sessionIndex.sessionDir('legacy');
+  fs.mkdirSync(legacy, { recursive: true });
+  sessionIndex.writeMeta('lost', {
+    name: 'lost', title: 'lost', lastActiveAt: new Date().toISOString(), status: 'running', pid: 2147483646,
+    spawnCount: 1, mounts: {},
+  });
+  const before = fs.readFileSync(metaFile('lost'), 'utf-8');
+
+  const listed = Object.fromEntries(sessionIndex.getAll().map(s => [s.name, s]));
+  assert.strictEqual(listed.legacy.spawnCount, 0);
+  assert.strictEqual(listed.lost.status, 'exited');
+  assert.match(listed.lost.exit.reason, /^lost: /);
+  assert.ok(!fs.existsSync(metaFile('legacy')));
+  assert.strictEqual(fs.readFileSync(metaFile('lost'), 'utf-8'), before);
+});
+
+test('disk usage is measured in the background', async () => {
+  makeSession('sized');
+  fs.writeFileSync(path.join(sessionIndex.sessionDir('sized'), 'data'), Buffer.alloc(5000));
+  const before = fs.readFileSync(metaFile('sized'), 'utf-8');
+  assert.ok(!sessionIndex.get('sized').disk, 'not measured on the read itself');
+  const disk = await eventually(() => sessionIndex.get('sized').disk);
+  assert.ok(disk.bytes >= 5000, JSON.stringify(disk));
+  assert.strictEqual(fs.readFileSync(metaFile('sized'), 'utf-8'), before);
+
+  // An exit stores the measurement with the session
+  sessionIndex.recordExit('sized', { code: 0 });
+  assert.ok((await eventually(() => sessionIndex.readMeta('sized').disk)).bytes >= 5000);
+});
@@ -0,0 +1,99 @@
+/**
+ * session-paths.test.js - A session's mounts, and its paths in both directions
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const js = name => path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js', name);
+const sessionPaths = require(js('session-paths'));
+const sessionIndex = require(js('session-index'));
+const swift = h.swift();
+swift.vm.setEventCallbacks(() => {}, () => {}, () => {}, () => {}, null);
+
+const home = h.home;
+sessionPaths.setMounts('t', [
+  { name: 'me', hostPath: home },
+  { name: '.claude', hostPath: path.join(home, '.claude') },
+  { name: 'docs', hostPath: path.join(home, 'docs'), readOnly: true },
+]);
+
+test('the longest matching mount wins, both ways', () => {
+  assert.strictEqual(sessionPaths.toHostPath('/sessions/t/mnt/.claude/settings.json'), path.join(home, '.claude/settings.json'));
+  assert.strictEqual(sessionPaths.toHostPath('/sessions/t/mnt/me/.claude/x'), path.join(home, '.claude/x'));
+  assert.strictEqual(sessionPaths.toVmPath('t', path.join(home, '.claude/x')), '/sessions/t/mnt/.claude/x');
+  assert.strictEqual(sessionPaths.toVmPath('t', path.join(home, 'src/a.js')), '/sessions/t/mnt/me/src/a.js');
+});
+
+test('paths round-trip through toVmPath and toHostPath', () => {
+  for (const vmPath of ['/sessions/t/mnt/docs/a/b.txt', '/sessions/t/mnt/me/src', '/sessions/t/outputs/r.md']) {
+    assert.strictEqual(sessionPaths.toVmPath('t', sessionPaths.toHostPath(vmPath)), vmPath);
+  }
+});
+
+test('paths outside any session or mount are left alone', () => {
+  assert.strictEqual(sessionPaths.toHostPath('/etc/passwd'), '/etc/passwd');
+  assert.strictEqual(sessionPaths.toHostPath('/sessions/../etc/passwd'), '/sessions/../etc/passwd');
+  assert.strictEqual(sessionPaths.toHostPath('relative/path'), 'relative/path');
+  assert.strictEqual(sessionPaths.toVmPath('t', '/etc/passwd'), '/etc/passwd');
+  assert.strictEqual(sessionPaths.toHostPath('/sessions/t/mnt/../../t/mnt/docs/a'), path.join(home, 'docs/a'));
+});
+
+test('writes to a read-only mount are refused', () => {
+  assert.throws(() => sessionPaths.toHostPath('/sessions/t/mnt/docs/a.txt', { write: true }), /read-only mount docs/);
+  assert.strictEqual(sessionPaths.toHostPath('/sessions/t/mnt/me/a.txt', { write: true }), path.join(home, 'a.txt'));
+});
+
+test('files.write honours read-only mounts', async () => {
+  fs.mkdirSync(path.join(home, 'docs'), { recursive: true });
+  await assert.rejects(swift.files.write('/sessions/t/mnt/docs/w.txt', 'x'), /read-only mount/);
+  assert.ok(!fs.existsSync(path.join(home, 'docs/w.txt')));
+  assert.strictEqual(await swift.files.write('/sessions/t/mnt/me/w.txt', 'x'), true);
+  assert.strictEqual(fs.readFileSync(path.join(home, 'w.txt'), 'utf-8'), 'x');
+});
+
+test('a session from an earlier run uses its planned mounts', () => {
+  sessionIndex.writeMeta('earlier', {
+    name: 'earlier',
+    profile: 'selected-only',
+    mounts: { me: home, proj: path.join(home, 'proj') },
+    planned: [{ name: 'proj', hostPath: path.join(home, 'proj'), readOnly: true }],
+  });
+  assert.deepStrictEqual(sessionPaths.mountsFor('earlier').map(m => [m.name, m.readOnly]), [['proj', true]]);
+  assert.strictEqual(sessionPaths.toHostPath('/sessions/earlier/mnt/proj/a'), path.join(home, 'proj/a'));
+  // The hidden home mount is not translated to the home directory
+  assert.ok(!sessionPaths.toHostPath('/sessions/earlier/mnt/me/a').startsWith(home + '/a'));
+});
+
+test('without planned mounts, only the legacy profile exposes every mount', () => {
+  sessionIndex.writeMeta('old-legacy', { name: 'old-legacy', mounts: { me: home }, mountModes: { me: 'ro' } });
+  assert.deepStrictEqual(sessionPaths.mountsFor('old-legacy').map(m => [m.name, m.readOnly]), [['me', true]]);
+
+  sessionIndex.writeMeta('old-narrow', { name: 'old-narrow', profile: 'home-ro', mounts: { me: home } });
+  assert.deepStrictEqual(sessionPaths.mountsFor('old-narrow').map(m => m.name), ['uploads']);
+  assert.deepStrictEqual(sessionPaths.mountsFor('never-spawned').map(m => m.name), ['uploads']);
+});
+
+test('spawn records what the profile let through', async () => {
+  process.env.CLAUDE_SANDBOX_PROFILE = 'selected-only';
+  try {
+    await swift.vm.spawn('pl', 'planned', '/usr/local/bin/claude', [], {}, {}, { proj: { path: 'proj' } });
+    h.lastSpawn().process._exit(0);
+  } finally {
+    delete process.env.CLAUDE_SANDBOX_PROFILE;
+  }
+  const meta = sessionIndex.readMeta('planned');
+  const username = require('os').userInfo().username;
+  assert.ok(username in meta.mounts);
+  assert.ok(!meta.planned.some(m => m.name === username), 'the hidden home mount is not planned');
+  assert.ok(meta.planned.some(m => m.name === 'proj' && !m.readOnly));
+});
@@ -0,0 +1,95 @@
+/**
+ * session-resume.test.js - What a resumed spawn gets back, and what is never saved
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const sessionIndex = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/session-index'));
+const swift = h.swift();
+const errors = [];
+swift.vm.setEventCallbacks(() => {}, () => {}, () => {}, (id, message) => errors.push([id, message]), null);
+
+const home = h.home;
+const proj = path.join(home, 'proj');
+fs.mkdirSync(proj, { recursive: true });
+
+function saved(name, extra = {}) {
+  sessionIndex.writeMeta(name, {
+    name, title: name, status: 'exited', pid: null, spawnCount: 1,
+    mounts: { proj }, mountModes: { proj: 'ro' }, cwd: '/sessions/x/mnt/proj', env: { LANG: 'C' }, ...extra,
+  });
+}
+
+// What the sandbox ran after its `--` and the command itself
+async function spawnResumed(name, command, args, envVars = {}) {
+  await swift.vm.spawn(`${name}-id`, name, command, args, {}, envVars, {}, true);
+  const spawned = h.lastSpawn();
+  spawned.process._exit(0);
+  return { args: spawned.args.slice(spawned.args.indexOf('--') + 2), env: spawned.options.env };
+}
+
+test('resumeState lays the request over the saved mounts, modes and cwd', () => {
+  saved('merge');
+  const other = path.join(home, 'other');
+  const state = sessionIndex.resumeState('merge', { mounts: { other }, mountModes: { other: 'ro' } });
+  assert.deepStrictEqual(state, {
+    mounts: { proj, other },
+    mountModes: { proj: 'ro', other: 'ro' },
+    cwd: '/sessions/x/mnt/proj',
+    env: { LANG: 'C' },
+  });
+  assert.strictEqual(sessionIndex.resumeState('merge', { mounts: { proj }, cwd: '/sessions/x/mnt/proj' }).cwd,
+    '/sessions/x/mnt/proj');
+});
+
+test('resumeState names every reason it cannot resume', () => {
+  assert.match(sessionIndex.resumeState('nothing').error, /no saved state/);
+  saved('unindexed', { spawnCount: 0 });
+  assert.match(sessionIndex.resumeState('unindexed').error, /never started with a session index/);
+
+  saved('changed', { mounts: { proj, gone: path.join(home, 'gone') }, status: 'running', pid: process.pid });
+  const { error } = sessionIndex.resumeState('changed', { mounts: { proj: home }, cwd: '/elsewhere' });
+  assert.match(error, /still running \(pid \d+\)/);
+  assert.match(error, /mount proj was .*proj, now /);
+  assert.match(error, /folder .*gone \(gone\) no longer exists/);
+  assert.match(error, /working directory was \/sessions\/x\/mnt\/proj, now \/elsewhere/);
+});
+
+test('secret-looking variables are never saved', () => {
+  sessionIndex.recordSpawn('secrets', {
+    env: {
+      GITHUB_TOKEN: 'x', MY_SECRET: 'x', DB_PASSWORD: 'x', FTP_PASSWD: 'x', AWS_CREDENTIALS: 'x',
+      OPENAI_API_KEY: 'x', APIKEY: 'x', ssh_private_key: 'x', AUTH_HEADER: 'x',
+      PATH: '/usr/bin', LANG: 'C', EDITOR: 'vi', COUNT: 3,
+    },
+  });
+  assert.deepStrictEqual(sessionIndex.readMeta('secrets').env, { PATH: '/usr/bin', LANG: 'C', EDITOR: 'vi' });
+});
+
+test('a resumed claude gets --continue once, and its saved env under the new one', async () => {
+  saved('again', { cwd: null, mountModes: {} });
+  const first = await spawnResumed('again', '/usr/local/bin/claude', ['-p', 'hi'], { EDITOR: 'vi' });
+  assert.deepStrictEqual(first.args, ['--continue', '-p', 'hi']);
+  assert.strictEqual(first.env.LANG, 'C');
+  assert.strictEqual(first.env.EDITOR, 'vi');
+  assert.strictEqual(first.env.CLAUDE_COWORK_RESUME, '1');
+
+  const overridden = await spawnResumed('again', '/usr/local/bin/claude', [], { LANG: 'en_US.UTF-8' });
+  assert.strictEqual(overridden.env.LANG, 'en_US.UTF-8');
+
+  for (const args of [['--continue'], ['-c'], ['--resume', 'abc'], ['-r', 'abc'], ['--resume=abc']]) {
+    assert.deepStrictEqual((await spawnResumed('again', '/usr/local/bin/claude', args)).args, args);
+  }
+  assert.deepStrictEqual((await spawnResumed('again', '/bin/echo', ['ok'])).args, ['ok']);
+  assert.deepStrictEqual(errors, []);
+});
@@ -0,0 +1,85 @@
+/**
+ * spoof-profile.test.js - Where each spoofed value comes from, and the UA rewrite
+ */
+
+const { test, after, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const { DEFAULTS, loadSpoofProfile, rewriteUserAgent } = require(path.join(h.resourcesDir, 'lib/spoof-profile'));
+const configFile = path.join(h.home, '.config/claude-cowork/spoof-profile.json');
+const appDir = path.join(h.resourcesDir, 'app');
+
+function pin(config) {
+  fs.mkdirSync(path.dirname(configFile), { recursive: true });
+  fs.writeFileSync(configFile, JSON.stringify(config));
+}
+
+function withElectron(version, fn) {
+  Object.defineProperty(process.versions, 'electron', { value: version, configurable: true, enumerable: true });
+  try {
+    return fn();
+  } finally {
+    delete process.versions.electron;
+  }
+}
+
+afterEach(() => fs.rmSync(configFile, { force: true }));
+
+const LINUX_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+  'Claude/0.0.1 Chrome/130.0.0.0 Electron/33.0.0 Safari/537.36';
+
+test('versions come from the installed app and the running Electron', () => {
+  const version = JSON.parse(fs.readFileSync(path.join(appDir, 'package.json'), 'utf-8')).version;
+  const profile = withElectron('40.1.2', () => loadSpoofProfile({ appDir }));
+  assert.strictEqual(profile.appVersion, version);
+  assert.strictEqual(profile.electronVersion, '40.1.2');
+  assert.deepStrictEqual(profile.sources, {
+    appVersion: 'app', electronVersion: 'electron', macosVersion: 'default', arch: 'default', userAgent: 'rewrite',
+  });
+});
+
+test('without an app or Electron, the known-good defaults are used', () => {
+  const profile = loadSpoofProfile({ appDir: path.join(h.root, 'missing') });
+  assert.strictEqual(profile.appVersion, DEFAULTS.appVersion);
+  assert.strictEqual(profile.electronVersion, DEFAULTS.electronVersion);
+});
+
+test('pinned values win, and invalid ones are ignored', () => {
+  pin({ appVersion: '9.9.9', macosVersion: '15.1', arch: 'x64', electronVersion: 'latest', userAgent: '' });
+  const profile = withElectron('40.1.2', () => loadSpoofProfile({ appDir }));
+  assert.strictEqual(profile.appVersion, '9.9.9');
+  assert.strictEqual(profile.macosVersion, '15.1.0');
+  assert.strictEqual(profile.arch, 'x64');
+  assert.strictEqual(profile.electronVersion, '40.1.2');
+  assert.strictEqual(profile.userAgent, null);
+  assert.strictEqual(profile.sources.appVersion, 'config');
+  assert.strictEqual(profile.sources.electronVersion, 'electron');
+
+  pin({ arch: 'ppc' });
+  assert.strictEqual(loadSpoofProfile({ appDir }).arch, 'arm64');
+});
+
+test('the User-Agent is rewritten for the profile, arch included', () => {
+  pin({ appVersion: '1.2.3', electronVersion: '39.0.0', macosVersion: '15.1' });
+  const arm = rewriteUserAgent(LINUX_UA, loadSpoofProfile({ appDir }));
+  assert.strictEqual(arm, 'Mozilla/5.0 (Macintosh; Apple M1 Mac OS X 15_1) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Claude/1.2.3 Chrome/130.0.0.0 Electron/39.0.0 Safari/537.36');
+
+  pin({ macosVersion: '15.1', arch: 'x64' });
+  const intel = rewriteUserAgent(LINUX_UA.replace('x86_64', 'aarch64'), loadSpoofProfile({ appDir }));
+  assert.match(intel, /\(Macintosh; Intel Mac OS X 15_1\)/);
+});
+
+test('a pinned userAgent replaces the whole header', () => {
+  pin({ userAgent: 'Custom/1.0' });
+  const profile = loadSpoofProfile({ appDir });
+  assert.strictEqual(profile.sources.userAgent, 'config');
+  assert.strictEqual(rewriteUserAgent(LINUX_UA, profile), 'Custom/1.0');
+});
@@ -0,0 +1,75 @@
+/**
+ * stdout-framing.test.js - Whole lines to _onStdout, and nothing lost at exit
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+h.ready();
+h.installClaudeBinary('2.1.5');
+after(() => h.cleanup());
+
+const swift = h.swift();
+const { createFramer } = require(path.join(h.resourcesDir, 'app/node_modules/@ant/claude-swift/js/stdout-framing'));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const events = [];
+swift.vm.setEventCallbacks(
+  (id, text) => events.push(['stdout', id, text]),
+  (id, text) => events.push(['stderr', id, text]),
+  (id, code) => events.push(['exit', id, code]),
+  () => {}, null);
+
+test('lines are delivered whole, and a split UTF-8 sequence intact', async () => {
+  const delivered = [];
+  const framer = createFramer({ flushDelayMs: 1, deliver: text => delivered.push(text) });
+  const euro = Buffer.from('€');
+  framer.push(Buffer.concat([Buffer.from('{"a":1}\n{"b":'), euro.subarray(0, 1)]));
+  framer.push(Buffer.concat([euro.subarray(1), Buffer.from('}\n')]));
+  await sleep(20);
+  assert.deepStrictEqual(delivered, ['{"a":1}\n{"b":€}\n']);
+});
+
+test('a line whose newline is late still arrives as one message', async () => {
+  const delivered = [];
+  const framer = createFramer({ flushDelayMs: 1, deliver: text => delivered.push(text) });
+  framer.push('{"type":"assistant","text":"hal');
+  await sleep(1200);
+  assert.deepStrictEqual(delivered, []);
+  framer.push('f"}\n');
+  await sleep(20);
+  assert.deepStrictEqual(delivered, ['{"type":"assistant","text":"half"}\n']);
+  framer.end();
+});
+
+test('with partialFlushMs, a prompt without its newline is delivered once the stream goes quiet', async () => {
+  const delivered = [];
+  const framer = createFramer({ flushDelayMs: 1, partialFlushMs: 50, deliver: text => delivered.push(text) });
+  framer.push('Continue? [y/N] ');
+  await sleep(20);
+  assert.deepStrictEqual(delivered, []);
+  await sleep(60);
+  assert.deepStrictEqual(delivered, ['Continue? [y/N] ']);
+  framer.end();
+});
+
+test('output arriving between exit and close reaches _onStdout before _onExit', async () => {
+  await swift.vm.spawn('p', 's', '/usr/local/bin/claude', [], {}, {});
+  const proc = h.lastSpawn().process;
+  proc._writeStdout('{"type":"first"}\n');
+  proc.emit('exit', 0, null);
+  proc._writeStdout('{"type":"last"}\n{"type":"unterminated"}');
+  proc._writeStderr('bye\n');
+  await sleep(30);
+  assert.ok(!events.some(([kind]) => kind === 'exit'));
+  proc._exit(0);
+  const mine = events.filter(([, id]) => id === 'p');
+  assert.deepStrictEqual(mine.map(([kind]) => kind).at(-1), 'exit');
+  const stdout = mine.filter(([kind]) => kind === 'stdout').map(([, , text]) => text).join('');
+  assert.strictEqual(stdout, '{"type":"first"}\n{"type":"last"}\n{"type":"unterminated"}');
+  assert.ok(mine.some(([kind, , text]) => kind === 'stderr' && text === 'bye\n'));
+});
@@ -0,0 +1,72 @@
+/**
+ * unhandled-tracker.test.js - Recording missing channels and stub members
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const EventEmitter = require('events');
+const path = require('path');
+const { createHarness } = require('./harness');
+
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const tracker = require(path.join(h.resourcesDir, 'lib/unhandled-tracker'));
+
+const gap = (namespace, method) => tracker.getReport().methods.find(m => m.namespace === namespace && m.method === method);
+
+const sub = Object.assign(new EventEmitter(), { _stubName: 'widgets', list: async () => [] });
+const stub = tracker.wrapStub('probe', { widgets: sub, start: async () => true });
+
+test('parseNotAFunction keeps the last meaningful segment as the namespace', () => {
+  assert.deepStrictEqual(tracker.parseNotAFunction('e.vm.startFoo is not a function'), { namespace: 'vm', method: 'startFoo' });
+  assert.deepStrictEqual(tracker.parseNotAFunction('e.vm.default.go is not a function'), { namespace: 'vm', method: 'go' });
+  assert.deepStrictEqual(tracker.parseNotAFunction('go is not a function'), { namespace: 'unknown', method: 'go' });
+  assert.strictEqual(tracker.parseNotAFunction('Cannot read properties of undefined'), null);
+});
+
+test('wrapStub records reads of missing members, not probes or private state', () => {
+  assert.strictEqual(stub.missing, undefined);
+  assert.strictEqual(stub.then, undefined);
+  assert.strictEqual(stub._private, undefined);
+  assert.strictEqual(stub.widgets.gone, undefined);
+  assert.strictEqual(gap('probe', 'missing').count, 1);
+  assert.ok(gap('widgets', 'gone').firstStack);
+  assert.ok(!gap('probe', 'then') && !gap('probe', '_private'));
+  assert.strictEqual(stub.widgets, stub.widgets, 'sub-modules are wrapped once');
+});
+
+test('noteError swallows missing channels and missing stub members only', () => {
+  assert.strictEqual(tracker.noteError(new Error("No handler registered for '$eipc_message$_abc_$_Foo_$_bar'")), true);
+  assert.ok(tracker.getReport().channels.some(c => c.handler === 'bar'));
+
+  assert.strictEqual(tracker.noteError(new TypeError('e.widgets.refresh is not a function')), true);
+  assert.strictEqual(gap('widgets', 'refresh').count, 1);
+
+  // The app's own bugs, or a stub member that is a function after all
+  assert.strictEqual(tracker.noteError(new TypeError('t.store.dispatch is not a function')), false);
+  assert.strictEqual(tracker.noteError(new TypeError('e.widgets.list is not a function')), false);
+  assert.strictEqual(tracker.noteError(new TypeError('n is not a function')), false);
+  assert.strictEqual(tracker.noteError(new Error('something else')), false);
+  assert.strictEqual(tracker.noteError(null), false);
+  assert.ok(!gap('store', 'dispatch'));
+});
+
+test('the scaffold has a section per gap kind', () => {
+  const scaffold = tracker.generateScaffold({
+    channels: [{ channel: 'Foo_$_bar', handler: 'bar', count: 2 }, { channel: 'unknown', handler: null, count: 1 }],
+    methods: [
+      { namespace: 'swift', method: 'top', count: 1 },
+      { namespace: 'vm', method: 'startFoo', count: 3 },
+      { namespace: 'vm', method: 'stopFoo', count: 1 },
+    ],
+  });
+  assert.match(scaffold, /^\/\/ ERROR_FALLBACKS entries/m);
+  assert.match(scaffold, /^'Foo_\$_bar': async \(\) => \(\{ \/\* TODO \*\/ \}\), \/\/ 2 call\(s\)$/m);
+  assert.ok(!scaffold.includes("'unknown'"));
+  assert.match(scaffold, /^\/\/ ClaudeSwiftInstance top-level methods/m);
+  assert.match(scaffold, /^\/\/ createEmitterObject\('vm', \{ \.\.\. \}\) methods/m);
+  assert.match(scaffold, /^startFoo: async \(\.\.\.args\) => \{ trace\('vm', 'startFoo\(\)', args\); return null; \}, \/\/ 3 access\(es\)$/m);
+  assert.match(scaffold, /^stopFoo: /m);
+});
@@ -0,0 +1,77 @@
+/**
+ * vm-bundle.test.js - Which app reads of the placeholder bundle are noticed, and reset/purge
+ */
+
+const { test, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { createHarness } = require('./harness');
+
+process.env.CLAUDE_VM_BUNDLE_WATCH = '1';
+const h = createHarness();
+h.load();
+after(() => h.cleanup());
+
+const vmBundle = require(path.join(h.resourcesDir, 'lib/vm-bundle.js'));
+const inBundle = name => path.join(vmBundle.CLAUDE_VM_BUNDLE, name);
+const reads = () => JSON.parse(fs.readFileSync(vmBundle.MANIFEST_FILE, 'utf-8')).reads || [];
+const readOf = file => reads().find(r => r.file === file);
+
+test('utf-8 readFileSync of a placeholder is recorded', () => {
+  fs.readFileSync(inBundle('config.json'), 'utf-8');
+  assert.deepStrictEqual({ ...readOf('config.json'), count: 1, firstSeen: null },
+    { file: 'config.json', kind: 'placeholder', via: 'fs.readFileSync', count: 1, firstSeen: null });
+});
+
+test('stat, access and exists checks are recorded', async () => {
+  fs.statSync(inBundle('rootfs.img'));
+  fs.accessSync(inBundle('vmlinux'));
+  fs.existsSync(inBundle('rootfs.qcow2'));
+  await fs.promises.stat(inBundle('version'));
+  assert.strictEqual(readOf('rootfs.img').via, 'fs.statSync');
+  assert.strictEqual(readOf('vmlinux').via, 'fs.accessSync');
+  assert.deepStrictEqual([readOf('rootfs.qcow2').kind, readOf('rootfs.qcow2').via], ['missing', 'fs.existsSync']);
+  assert.strictEqual(readOf('version').via, 'fs.promises.stat');
+});
+
+test('createReadStream is recorded under its own name', async () => {
+  const stream = fs.createReadStream(inBundle('bundle_complete'));
+  await new Promise(resolve => stream.on('close', resolve).resume());
+  assert.strictEqual(readOf('bundle_complete').via, 'fs.createReadStream');
+});
+
+test('paths outside the bundle are not recorded, and fs.exists still promisifies', async () => {
+  const before = reads().length;
+  fs.statSync(vmBundle.VM_BUNDLE_DIR);
+  assert.strictEqual(await util.promisify(fs.exists)(inBundle('nothing-here')), false);
+  assert.strictEqual(reads().length, before + 1);
+});
+
+const { spawnSync } = require('child_process');
+const tool = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'tools', 'vm-bundle.js'), ...args],
+  { env: { ...process.env, HOME: h.home }, encoding: 'utf-8', timeout: 30000 });
+
+test('reset and purge refuse while the process that wrote the markers runs', () => {
+  const manifest = JSON.parse(fs.readFileSync(vmBundle.MANIFEST_FILE, 'utf-8'));
+  assert.strictEqual(manifest.holder.pid, process.pid);
+  assert.throws(() => vmBundle.purgeBundle(), new RegExp(`Claude \\(pid ${process.pid}\\) is still using it`));
+
+  const purge = tool('purge');
+  assert.strictEqual(purge.status, 1);
+  assert.match(purge.stderr, /^vm-bundle: Cannot purge .*: Claude \(pid \d+\) is still using it/);
+  assert.match(tool('status').stdout, new RegExp(`In use by:  pid ${process.pid}`));
+  assert.ok(fs.existsSync(inBundle('bundle_complete')));
+});
+
+test('once that process is gone, reset rewrites the bundle', () => {
+  const manifest = JSON.parse(fs.readFileSync(vmBundle.MANIFEST_FILE, 'utf-8'));
+  // Same pid, different start time: a recycled pid
+  fs.writeFileSync(vmBundle.MANIFEST_FILE, JSON.stringify({ ...manifest, holder: { pid: process.pid, start: 1 } }));
+  fs.writeFileSync(inBundle('rootfs.qcow2'), 'foreign');
+  const reset = tool('reset');
+  assert.strictEqual(reset.status, 0, reset.stderr);
+  assert.ok(!fs.existsSync(inBundle('rootfs.qcow2')));
+  assert.ok(fs.existsSync(inBundle('bundle_complete')));
+});
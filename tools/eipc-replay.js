@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * eipc-replay.js - Replay an eipc recording against the overrides and stubs
+ *
+ * Runs the loader, the swift and native stubs and the override registry
+ * (built-ins + user override file) in the test harness - a scratch home,
+ * fake Electron, no processes started - and feeds each call from a
+ * CLAUDE_EIPC_RECORD recording back through them:
+ *
+ *   eipc calls  through ipcMain, with an app handler that answers (or
+ *               fails) as the app did, so overrides and fallbacks take
+ *               them as they would now
+ *   stub calls  straight to the harness's swift or native stub
+ *
+ * No Electron or app needed, so recordings from a known-good build act as
+ * regression fixtures when a new Claude Desktop build lands or overrides
+ * or stubs are edited.
+ *
+ * Usage:
+ *   node tools/eipc-replay.js <recording.jsonl> [--only <namespace|swift|native>] [--verbose]
+ *
+ * Per call:
+ *   pass     an override, fallback or stub answered and the result matches
+ *   changed  result differs, or a different layer would answer now
+ *   skipped  answered by the app itself - its stub calls are replayed
+ * Exits 1 if anything changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const { CONFIG_DIR } = require(path.join(ROOT_DIR, 'lib', 'config'));
+const { toSerializable, fromSerializable } = require(path.join(ROOT_DIR, 'lib', 'eipc-recorder'));
+
+const OVERRIDE_FILES = ['ipc-overrides.js', 'ipc-overrides.json'];
+
+function usage() {
+  console.error('Usage: eipc-replay.js <recording.jsonl> [--only <namespace|swift|native>] [--verbose]');
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const opts = { file: null, only: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--only') opts.only = argv[++i];
+    else if (arg === '--verbose' || arg === '-v') opts.verbose = true;
+    else if (!opts.file) opts.file = arg;
+    else usage();
+  }
+  if (!opts.file) usage();
+  return opts;
+}
+
+function readRecording(file) {
+  const calls = [];
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      calls.push(JSON.parse(line));
+    } catch (e) {
+      console.error(`${file}:${i + 1}: unreadable line skipped`);
+    }
+  });
+  return calls;
+}
+
+function label(call) {
+  return call.stub ? `${call.stub}:${call.member}` : call.channel;
+}
+
+// The harness points HOME at a scratch dir; bring the user's overrides along
+function startHarness(createHarness) {
+  delete process.env.CLAUDE_EIPC_RECORD;
+  const h = createHarness();
+  const configDir = path.join(h.home, '.config/claude-cowork');
+  fs.mkdirSync(configDir, { recursive: true });
+  for (const name of OVERRIDE_FILES) {
+    const file = path.join(CONFIG_DIR, name);
+    if (fs.existsSync(file)) fs.copyFileSync(file, path.join(configDir, name));
+  }
+  h.load();
+  h.ready();
+  return h;
+}
+
+async function settle(fn) {
+  try {
+    return { result: toSerializable(await fn()) };
+  } catch (e) {
+    return { error: toSerializable(e) };
+  }
+}
+
+function compare(call, actual, extra = {}) {
+  const expected = 'error' in call ? { error: call.error } : { result: call.result };
+  if (isDeepStrictEqual(JSON.parse(JSON.stringify(actual)), expected)) return { status: 'pass' };
+  return { status: 'changed', reason: 'result differs', expected, actual, ...extra };
+}
+
+// ============================================================
+// eipc calls
+// ============================================================
+
+function createChannelReplayer(h) {
+  const registered = new Set();
+  let current = null; // { call, appCalled, appThrew }
+
+  // Plays the app's recorded answer back. Calls an override or fallback
+  // answered have none, so the app fails them as it did then (or would
+  // have, for an override) and a fallback can take over.
+  const appHandler = async () => {
+    current.appCalled = true;
+    const { call } = current;
+    if (call.answeredBy === 'app' && !('error' in call)) return fromSerializable(call.result);
+    current.appThrew = true;
+    const recorded = call.answeredBy === 'app' ? call.error : call.appError;
+    throw new Error(recorded && recorded.message ? recorded.message : 'replay: no recorded app answer');
+  };
+
+  return async function replayChannel(call) {
+    if (!registered.has(call.channel)) {
+      h.registerAppHandler(call.channel, appHandler);
+      registered.add(call.channel);
+    }
+    current = { call, appCalled: false, appThrew: false };
+    const actual = await settle(() => h.invoke(call.channel, ...fromSerializable(call.args || [])));
+
+    let nowBy = 'app';
+    if (!current.appCalled) nowBy = 'override';
+    else if (current.appThrew && !('error' in actual)) nowBy = 'fallback';
+    if (nowBy !== call.answeredBy) {
+      return { status: 'changed', reason: `was answered by ${call.answeredBy}, now by ${nowBy}` };
+    }
+    // The app's own answer was only played back
+    if (nowBy === 'app') return { status: 'skipped' };
+    return compare(call, actual);
+  };
+}
+
+// ============================================================
+// Stub calls
+// ============================================================
+
+// 'vm.getRunningStatus' on the harness's stub -> { target, fn }
+function findMember(stub, member) {
+  const parts = member.split('.');
+  let target = stub;
+  for (const part of parts.slice(0, -1)) target = target && target[part];
+  const fn = target && target[parts[parts.length - 1]];
+  return typeof fn === 'function' ? { target, fn } : null;
+}
+
+async function replayStubCall(h, call) {
+  const stub = call.stub === 'native' ? h.native() : h.swift();
+  const found = findMember(stub, call.member);
+  if (!found) return { status: 'changed', reason: `the ${call.stub} stub no longer has ${call.member}` };
+  const args = fromSerializable(call.args || []);
+  return compare(call, await settle(() => found.fn.apply(found.target, args)));
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const calls = readRecording(opts.file)
+    .filter(c => !opts.only || c.namespace === opts.only || c.stub === opts.only);
+
+  let createHarness;
+  try {
+    ({ createHarness } = require(path.join(ROOT_DIR, 'test', 'harness')));
+  } catch (e) {
+    console.error(`eipc-replay needs the test harness (${path.join(ROOT_DIR, 'test', 'harness')}): ${e.message}`);
+    process.exit(2);
+  }
+
+  // The loader and stubs log freely; only ours goes to stdout
+  const print = console.log.bind(console);
+  if (!opts.verbose) console.log = console.warn = console.error = () => {};
+  let h;
+  try {
+    h = startHarness(createHarness);
+  } finally {
+    if (!opts.verbose) delete console.error;
+  }
+  const replayChannel = createChannelReplayer(h);
+
+  const counts = { pass: 0, changed: 0, skipped: 0 };
+  for (const call of calls) {
+    const outcome = call.stub ? await replayStubCall(h, call) : await replayChannel(call);
+    counts[outcome.status]++;
+    if (outcome.status === 'changed') {
+      print(`CHANGED ${label(call)} (${outcome.reason})`);
+      if (outcome.expected) {
+        print('  recorded: ' + JSON.stringify(outcome.expected));
+        print('  replayed: ' + JSON.stringify(outcome.actual));
+      }
+    } else if (opts.verbose) {
+      print(`${outcome.status.toUpperCase()} ${label(call)}`);
+    }
+  }
+
+  print(`${calls.length} calls: ${counts.pass} pass, ${counts.changed} changed, ${counts.skipped} skipped (app-only)`);
+  h.cleanup();
+  process.exit(counts.changed ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(e.stack || e.message);
+  process.exit(2);
+});
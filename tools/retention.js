@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * retention.js - Sweep old session data, logs and VM tmp on demand
+ *
+ * Usage:
+ *   node tools/retention.js status [--json]   # what a sweep would remove
+ *   node tools/retention.js run [--json]      # remove it
+ *
+ * Uses the policy in ~/.config/claude-cowork/retention.json (see
+ * lib/retention.js). Running sessions are never touched, so this is safe
+ * while Claude is open.
+ */
+
+const path = require('path');
+
+const retention = require(path.join(__dirname, '..', 'lib', 'retention'));
+
+function usage() {
+  console.error('Usage: retention.js <status | run> [--json]');
+  process.exit(2);
+}
+
+function printReport(report) {
+  const { sessions, logs, vmTmp } = report.policy;
+  const limit = (value, unit) => (value == null ? 'unset' : `${value}${unit}`);
+  console.log(`Policy: sessions keepLast ${limit(sessions.keepLast, '')}, maxAgeDays ${limit(sessions.maxAgeDays, '')}, ` +
+    `maxTotalMB ${limit(sessions.maxTotalMB, '')}; logs maxAgeDays ${limit(logs.maxAgeDays, '')}; ` +
+    `vmTmp maxAgeDays ${limit(vmTmp.maxAgeDays, '')}`);
+  console.log('');
+  for (const item of report.removed) {
+    const label = item.kind === 'session' ? `${item.name}${item.title !== item.name ? ` "${item.title}"` : ''}` : item.path;
+    console.log(`  ${item.kind.padEnd(7)} ${retention.formatBytes(item.bytes).padStart(9)}  ${label} - ${item.reason}`);
+  }
+  for (const item of report.skipped) {
+    console.log(`  skipped ${' '.repeat(9)}  ${item.name} - ${item.reason}`);
+  }
+  for (const item of report.errors) {
+    console.log(`  error   ${' '.repeat(9)}  ${item.name || item.path} - ${item.error}`);
+  }
+  if (report.removed.length || report.skipped.length || report.errors.length) console.log('');
+  console.log(retention.summarize(report));
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command !== 'status' && command !== 'run') usage();
+  const report = retention.sweep({ dryRun: command === 'status' });
+  if (rest.includes('--json')) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+  if (report.errors.length) process.exitCode = 1;
+}
+
+main();
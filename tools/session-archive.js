@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * session-archive.js - Export a Cowork session to a file, or import one
+ *
+ * Usage:
+ *   node tools/session-archive.js export <session> [file.tar.gz] [--force]
+ *   node tools/session-archive.js import <file.tar.gz> [--as <session>] [--mount <mount>=<path>]...
+ *
+ * Host paths are stored as ${HOME}, ${SESSION} and ${MOUNT:<mount>}
+ * placeholders (stubs/@ant/claude-swift/js/session-archive.js). Folders
+ * that were outside the exporter's home need --mount on import.
+ */
+
+const path = require('path');
+
+const sessionArchive = require(path.join(__dirname, '..', 'stubs', '@ant', 'claude-swift', 'js', 'session-archive'));
+
+function usage() {
+  console.error('Usage: session-archive.js export <session> [file] [--force]');
+  console.error('       session-archive.js import <file> [--as <session>] [--mount <mount>=<path>]...');
+  process.exit(2);
+}
+
+function exportCommand(args) {
+  const force = args.includes('--force');
+  const [name, file] = args.filter(a => a !== '--force');
+  if (!name) usage();
+  const result = sessionArchive.exportSession(name, file || `${name}.cowork.tar.gz`, { force });
+  console.log(`Exported ${result.name} to ${result.file}`);
+  for (const [mount, placeholder] of Object.entries(result.mounts)) {
+    console.log(`  ${mount.padEnd(16)} ${placeholder}`);
+  }
+}
+
+function importCommand(args) {
+  let file = null;
+  let as;
+  const mounts = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--as') {
+      as = args[++i];
+    } else if (args[i] === '--mount') {
+      const [mount, ...rest] = (args[++i] || '').split('=');
+      if (!mount || !rest.length) usage();
+      mounts[mount] = rest.join('=');
+    } else if (!file) {
+      file = args[i];
+    } else {
+      usage();
+    }
+  }
+  if (!file) usage();
+
+  const result = sessionArchive.importSession(file, { as, mounts });
+  console.log(`Imported ${result.name} into ${result.dir}`);
+  for (const [mount, hostPath] of Object.entries(result.mounts)) {
+    console.log(`  ${mount.padEnd(16)} ${hostPath}${result.missing.includes(hostPath) ? '  (missing)' : ''}`);
+  }
+  if (result.missing.length) {
+    console.log('Create or --mount the missing folders before resuming the session.');
+  }
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  try {
+    if (command === 'export') exportCommand(rest);
+    else if (command === 'import') importCommand(rest);
+    else usage();
+  } catch (e) {
+    console.error(`session-archive: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();
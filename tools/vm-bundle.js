@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * vm-bundle.js - Inspect and reset the placeholder VM bundle
+ *
+ * Usage:
+ *   node tools/vm-bundle.js status [--json]
+ *   node tools/vm-bundle.js reset    # rewrite markers, drop foreign files, clear tmp
+ *   node tools/vm-bundle.js purge    # remove bundle, manifest and tmp contents
+ *
+ * status lists each bundle file as cowork (our placeholder), foreign (not
+ * written by us), modified (changed since we wrote it), unknown (no
+ * manifest entry) or missing, plus the bundle reads the app made that
+ * suggest it expects a real bundle (recorded only with
+ * CLAUDE_VM_BUNDLE_WATCH=1). reset and purge refuse while the Claude
+ * process that wrote the markers is running - the app uses vm_bundles/tmp
+ * as its TMPDIR.
+ */
+
+const path = require('path');
+
+const vmBundle = require(path.join(__dirname, '..', 'lib', 'vm-bundle'));
+
+function usage() {
+  console.error('Usage: vm-bundle.js <status [--json] | reset | purge>');
+  process.exit(2);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printStatus(json) {
+  const status = vmBundle.getStatus();
+  if (json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
+  console.log(`Bundle:     ${status.bundleDir}`);
+  console.log(`Marker set: ${status.markerSet || '(no manifest)'}` +
+    (status.markerSet && status.markerSet !== status.currentMarkerSet ? ` (current: ${status.currentMarkerSet})` : ''));
+  if (status.updatedAt) console.log(`Written:    ${status.updatedAt}`);
+  if (status.heldBy) console.log(`In use by:  pid ${status.heldBy}`);
+  console.log('');
+  for (const file of status.files) {
+    console.log(`  ${file.state.padEnd(9)} ${file.name}${file.state === 'missing' ? '' : ` (${formatBytes(file.size)})`}`);
+  }
+
+  console.log('');
+  if (status.reads.length) {
+    console.log('App reads of bundle files:');
+    for (const read of status.reads) {
+      console.log(`  ${read.kind.padEnd(11)} ${read.file} via ${read.via}, ${read.count}x since ${read.firstSeen}`);
+    }
+  } else {
+    console.log('No app reads of bundle files recorded (run Claude with CLAUDE_VM_BUNDLE_WATCH=1 to record them).');
+  }
+
+  console.log('');
+  console.log(`tmp: ${status.tmp.dir} - ${status.tmp.entries} entries, ${formatBytes(status.tmp.bytes)}`);
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  try {
+    switch (command) {
+      case 'status':
+        printStatus(rest.includes('--json'));
+        break;
+      case 'reset': {
+        const { manifest, tmpRemoved } = vmBundle.resetBundle();
+        console.log(`Rewrote ${Object.keys(manifest.files).length} markers (${manifest.markerSet}) in ${manifest.bundleDir}`);
+        console.log(`Cleared ${tmpRemoved} entries from ${vmBundle.VM_TMP_DIR}`);
+        break;
+      }
+      case 'purge': {
+        const { tmpRemoved } = vmBundle.purgeBundle();
+        console.log(`Removed ${vmBundle.CLAUDE_VM_BUNDLE} and ${vmBundle.MANIFEST_FILE}`);
+        console.log(`Cleared ${tmpRemoved} entries from ${vmBundle.VM_TMP_DIR}`);
+        console.log('Markers are recreated on the next launch.');
+        break;
+      }
+      default:
+        usage();
+    }
+  } catch (e) {
+    console.error(`vm-bundle: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+main();